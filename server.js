@@ -8,13 +8,22 @@ const roleRoutes = require('./src/routes/roleRoutes');
 const permissionRoutes = require('./src/routes/permissionRoutes');
 const rolePermissionRoutes = require('./src/routes/rolePermissionRoutes');
 const inscriptionRoutes = require('./src/routes/inscriptionRoutes'); // Importar las rutas de inscripción
+const tableModuleRoutes = require('./src/routes/tableModuleRoutes');
+const auditRoutes = require('./src/routes/auditRoutes');
+const { ensureTableRegistry } = require('./src/utils/tableRegistry');
+const { ensureSearchSupport, ensureSearchIndexes } = require('./src/utils/recordSearch');
+const { ensureHistorySupport } = require('./src/utils/recordHistory');
+const { requestContext } = require('./src/middlewares/requestContextMiddleware');
 const path = require('path');
 require('dotenv').config();
 require('./src/models/associations'); // Cargar las asociaciones entre modelos
 
 const app = express();
-app.use(cors());
+// Exponer al frontend las cabeceras ETag (versión de los registros) y X-Request-Id (ID de la solicitud).
+app.use(cors({ exposedHeaders: ['ETag', 'X-Request-Id'] }));
 app.use(express.json());
+// Contexto de cada solicitud (ID e IP) para el registro de auditoría.
+app.use(requestContext);
 
 // Servir archivos estáticos (si es necesario)
 app.use('/uploads', express.static('/var/data/uploads'));
@@ -33,6 +42,10 @@ app.use('/api/permissions', permissionRoutes);
 app.use('/api/role-permissions', rolePermissionRoutes);
 // Rutas de inscripción
 app.use('/api/inscriptions', inscriptionRoutes); 
+// Rutas del registro de módulos de tablas
+app.use('/api/table-modules', tableModuleRoutes);
+// Rutas del explorador de auditoría
+app.use('/api/audit', auditRoutes);
 
 // Ruta básica de prueba
 app.get('/', (req, res) => {
@@ -50,6 +63,18 @@ app.listen(PORT, async () => {
     } else {
       console.log('Sincronización automática deshabilitada en producción');
     }
+
+    // Crear los módulos por defecto y registrar las tablas dinámicas existentes que no tengan registro.
+    const registeredTables = await ensureTableRegistry();
+    console.log(`Registro de tablas actualizado (${registeredTables} tablas dinámicas)`);
+
+    // Preparar el historial de registros para la auditoría (operaciones masivas, alcance, IP e ID de solicitud).
+    await ensureHistorySupport();
+
+    // Preparar la búsqueda de texto (extensión unaccent) y crear los índices de búsqueda que falten.
+    await ensureSearchSupport();
+    const searchIndexes = await ensureSearchIndexes();
+    console.log(`Índices de búsqueda creados: ${searchIndexes}`);
     console.log(`Servidor corriendo en el puerto ${PORT}`);
   } catch (error) {
     console.error('Error sincronizando la base de datos:', error);
@@ -0,0 +1,68 @@
+const { Parser } = require('json2csv');
+const { buildPagination } = require('../utils/recordQuery');
+const {
+  MAX_EXPORT_ROWS,
+  AUDIT_COLUMNS,
+  buildAuditFilter,
+  parseAuditPagination,
+  findAuditEntries,
+  countAuditEntries,
+} = require('../utils/auditQuery');
+
+// Explorador de auditoría: entradas del historial de todas las tablas, filtradas por tabla, registro,
+// usuario, tipo de cambio, campo, operación masiva y rango de fechas, las más recientes primero.
+exports.getAuditLog = async (req, res) => {
+  try {
+    const filter = buildAuditFilter(req.query);
+    if (filter.error) {
+      return res.status(400).json({ message: filter.error });
+    }
+    const pagination = parseAuditPagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const { page, pageSize } = pagination;
+    const total = await countAuditEntries(filter);
+    const entries = await findAuditEntries(filter, { limit: pageSize, offset: (page - 1) * pageSize });
+
+    res.status(200).json({
+      entries,
+      pagination: buildPagination({ page, pageSize, cursor: null }, total, entries, page * pageSize < total),
+    });
+  } catch (error) {
+    console.error('Error obteniendo el registro de auditoría:', error);
+    res.status(500).json({ message: 'Error obteniendo el registro de auditoría', error: error.message });
+  }
+};
+
+// Exportar a CSV las entradas del historial que cumplen los mismos filtros del explorador.
+exports.exportAuditLog = async (req, res) => {
+  try {
+    const filter = buildAuditFilter(req.query);
+    if (filter.error) {
+      return res.status(400).json({ message: filter.error });
+    }
+
+    const total = await countAuditEntries(filter);
+    if (total > MAX_EXPORT_ROWS) {
+      return res.status(400).json({
+        message: `La exportación tiene ${total} entradas; el máximo es ${MAX_EXPORT_ROWS}. Use filtros más específicos`,
+      });
+    }
+
+    const entries = await findAuditEntries(filter, { limit: MAX_EXPORT_ROWS });
+    const rows = entries.map((entry) => ({
+      ...entry,
+      created_at: entry.created_at instanceof Date ? entry.created_at.toISOString() : entry.created_at,
+    }));
+    const csv = new Parser({ fields: AUDIT_COLUMNS }).parse(rows);
+
+    res.header('Content-Type', 'text/csv');
+    res.attachment(`auditoria_${new Date().toISOString().slice(0, 10)}.csv`);
+    return res.send(csv);
+  } catch (error) {
+    console.error('Error exportando el registro de auditoría:', error);
+    res.status(500).json({ message: 'Error exportando el registro de auditoría', error: error.message });
+  }
+};
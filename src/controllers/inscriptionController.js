@@ -14,27 +14,175 @@ const archiver = require('archiver');
 
 const { DataTypes } = require('sequelize');
 const FieldPreference = require('../models/FieldPreference')(sequelize, DataTypes);
-
-
-// Función auxiliar para insertar en el historial
-async function insertHistory(tableName, recordId, userId, changeType, fieldName, oldValue, newValue, description) {
-  await sequelize.query(
-    `INSERT INTO record_history (table_name, record_id, user_id, change_type, field_name, old_value, new_value, description)
-     VALUES (:tableName, :recordId, :userId, :changeType, :fieldName, :oldValue, :newValue, :description)`,
-    {
-      replacements: {
-        tableName,
-        recordId,
-        userId, // Se usa el parámetro userId tal como viene
-        changeType,
-        fieldName: fieldName || null,
-        oldValue: oldValue || null,
-        newValue: newValue || null,
-        description: description || null
-      },
-      type: sequelize.QueryTypes.INSERT,
+const SchemaChange = require('../models/SchemaChange');
+const InscriptionStructure = require('../models/InscriptionStructure');
+const SavedView = require('../models/SavedView');
+const DeletedRecord = require('../models/DeletedRecord');
+const BulkOperation = require('../models/BulkOperation');
+const {
+  SELECT_TYPES,
+  SEMANTIC_TYPES,
+  normalizeFieldType,
+  buildColumnAttributes,
+  resolveFieldType,
+  toCsvValue,
+} = require('../utils/fieldTypes');
+const {
+  validateOptionList,
+  pickFieldMetadata,
+  saveFieldMetadata,
+  getActiveOptions,
+  getFieldMetadataMap,
+  deleteFieldMetadata,
+} = require('../utils/fieldMetadata');
+const { getTableColumns, getDynamicModel } = require('../utils/dynamicModel');
+const { quoteIdentifier, describeTable, buildCreateTable, resetIdSequence } = require('../utils/tableStructure');
+const {
+  pickTableRegistryAttributes,
+  getModules,
+  matchTableModule,
+  PI_MODULE_KEY,
+  getTableModule,
+  isModuleTable,
+  getPrefixErrorMessage,
+  canRelateTables,
+  registerTable,
+} = require('../utils/tableRegistry');
+const {
+  INDEX_NAME_PATTERN,
+  buildIndexName,
+  listIndexes,
+  findUniqueViolations,
+  createIndex,
+  dropIndex,
+} = require('../utils/tableIndexes');
+const {
+  exportSchema,
+  validateSchemaDocument,
+  buildImportPlan,
+  applyImportPlan,
+} = require('../utils/schemaTransfer');
+const { validateDisplaySettings, fetchRelatedOptions } = require('../utils/relationDisplay');
+const {
+  RESERVED_PARAMS,
+  isPaginatedQuery,
+  parseRecordQuery,
+  buildPagination,
+} = require('../utils/recordQuery');
+const { FilterError, buildFilterClause, getFilterColumns } = require('../utils/recordFilters');
+const {
+  VIEW_PARAM,
+  DEFAULT_VIEW_NAME,
+  findVisibleView,
+  findDefaultView,
+  validateSavedView,
+  clearOtherDefaults,
+  applyViewToQuery,
+  removeViewColumn,
+} = require('../utils/savedViews');
+const {
+  notDeletedCondition,
+  isRecordDeleted,
+  listDeletedRecords,
+  purgeRecord,
+} = require('../utils/recordTrash');
+const {
+  toHistoryValue,
+  fromHistoryValue,
+  buildRecordSnapshot,
+  planOperationRevert,
+} = require('../utils/recordHistory');
+const { recordAudit, recordAuditChanges } = require('../utils/audit');
+const {
+  parseIfMatch,
+  parseEtag,
+  recordHashSql,
+  getRecordVersion,
+  findVersionConflict,
+} = require('../utils/recordVersion');
+const {
+  SEARCH_PARAM,
+  getSearchColumns,
+  buildSearchQuery,
+  buildSearchClause,
+  syncSearchIndex,
+  syncSearchIndexIfChanged,
+  searchTable,
+  searchComments,
+  searchFiles,
+} = require('../utils/recordSearch');
+const {
+  COMPUTED_TYPE,
+  validateExpression,
+  validateComputedName,
+  getComputedFields,
+  findDependentFields,
+  buildComputedSelect,
+} = require('../utils/computedFields');
+const {
+  validateRuleSet,
+  toMultiselectValue,
+  validateRecord,
+  findDuplicateValues,
+} = require('../utils/recordValidation');
+const {
+  getCastRule,
+  findCastFailures,
+  changeColumnType,
+  countNullValues,
+  setColumnNullability,
+  renameColumn,
+} = require('../utils/columnOperations');
+const {
+  recordSchemaChange,
+  getLastActiveChange,
+  describeColumn,
+  toFieldDefinition,
+} = require('../utils/schemaLedger');
+
+
+// Número máximo de registros de una actualización masiva.
+const MAX_BULK_RECORDS = 1000;
+
+// Mensaje de las respuestas 409 cuando la versión enviada en If-Match ya no es la del registro.
+const VERSION_CONFLICT_MESSAGE = 'El registro fue modificado por otro usuario después de consultarlo';
+
+// Carpeta donde uploadFile guarda los archivos cargados. En la tabla 'files' se guarda su ruta pública ('/uploads/...').
+const UPLOADS_ROOT = process.env.UPLOADS_DIR || '/var/data/uploads';
+
+// Asegura el tipo booleano de los valores de las columnas 'boolean' en los registros obtenidos con SQL.
+function normalizeRecordTypes(records, fields) {
+  return records.map((record) => {
+    const newRecord = {};
+    for (const [key, value] of Object.entries(record)) {
+      const field = fields.find((f) => f.column_name === key);
+      if (field && field.data_type === 'boolean') {
+        newRecord[key] = value === null ? null : Boolean(value); // Asegurar tipo booleano
+      } else {
+        newRecord[key] = value;
+      }
     }
-  );
+    return newRecord;
+  });
+}
+
+// Función auxiliar para insertar en el historial de un registro (ver recordAudit). 'operationId' es la
+// operación masiva (BulkOperation) a la que pertenece el cambio, si la hay.
+async function insertHistory(
+  tableName, recordId, userId, changeType, fieldName, oldValue, newValue, description, { transaction, operationId } = {}
+) {
+  await recordAudit({
+    tableName,
+    recordId,
+    userId, // Se usa el parámetro userId tal como viene
+    changeType,
+    fieldName: fieldName || null,
+    oldValue,
+    newValue,
+    description: description || null,
+    operationId: operationId || null,
+    transaction,
+  });
 }
 
 
@@ -55,33 +203,16 @@ exports.createTable = async (req, res) => {
       return res.status(400).json({ message: 'El nombre de la tabla y los campos son requeridos' });
     }
 
-    // Validar que el nombre de la tabla comience con 'inscription_', 'provider_' o 'pi_'.
+    // Validar que el nombre de la tabla comience con el prefijo de un módulo registrado.
     // Esto garantiza que el nombre de la tabla siga un estándar definido.
-    const prefixedTableName =
-      table_name.startsWith('inscription_') ||
-      table_name.startsWith('provider_') ||
-      table_name.startsWith('pi_');
-    if (!prefixedTableName) {
+    if (!(await getTableModule(table_name))) {
       // Si el nombre no cumple con los prefijos, devuelve un error 400.
-      return res.status(400).json({
-        message: 'El nombre de la tabla debe empezar con inscription_, provider_ o pi_',
-      });
+      return res.status(400).json({ message: await getPrefixErrorMessage() });
     }
 
     // Obtener el queryInterface de Sequelize, que permite ejecutar consultas de forma dinámica.
     const queryInterface = sequelize.getQueryInterface();
 
-    // Mapeo de tipos de datos válidos para los campos que se van a crear en la tabla.
-    const validTypes = {
-      'VARCHAR(255)': Sequelize.STRING, // Texto con longitud máxima de 255 caracteres.
-      'TEXT': Sequelize.TEXT,           // Texto sin límite de longitud.
-      'INTEGER': Sequelize.INTEGER,     // Número entero.
-      'DECIMAL': Sequelize.DECIMAL,     // Número decimal para almacenar valores numéricos con precisión.
-      'BOOLEAN': Sequelize.BOOLEAN,     // Valores booleanos (true/false).
-      'DATE': Sequelize.DATE,           // Fechas.
-      'FOREIGN_KEY': Sequelize.INTEGER, // Para claves foráneas, usa INTEGER.
-    };
-
     // Definir las columnas iniciales de la tabla, incluyendo la columna 'id' que es primaria y autoincremental.
     const columns = {
       id: {
@@ -91,6 +222,9 @@ exports.createTable = async (req, res) => {
       },
     };
 
+    // Definiciones normalizadas de los campos, que se guardan en el historial de esquema.
+    const fieldDefinitions = [];
+
     // Iterar sobre los campos proporcionados para agregar cada columna a la tabla.
     for (const field of fields) {
       // Validar que cada campo tenga un nombre.
@@ -99,52 +233,113 @@ exports.createTable = async (req, res) => {
         return res.status(400).json({ message: 'Todos los campos deben tener un nombre' });
       }
 
-      // Determinar si la columna permite valores nulos. Por defecto, se permite.
-      const allowNull = field.allow_null !== false;
+      // Normalizar la definición del campo. Las claves foráneas referencian la columna 'id' de la tabla relacionada.
+      const definition = toFieldDefinition(field);
 
-      // Verificar si el campo es de tipo 'FOREIGN_KEY' para configurar la relación.
-      if (field.type === 'FOREIGN_KEY') {
+      // Los campos calculados no crean columnas: su expresión se valida después de conocer todas las columnas.
+      if (definition.type === COMPUTED_TYPE) {
+        fieldDefinitions.push(definition);
+        continue;
+      }
+      if (definition.type === 'FOREIGN_KEY') {
         // Si es una clave foránea, asegurar que se haya proporcionado la tabla relacionada.
         if (!field.relatedTable) {
           return res.status(400).json({
             message: `El campo ${field.name} es una clave foránea, pero no se proporcionó la tabla relacionada`,
           });
         }
+        definition.relatedColumn = 'id';
+      }
 
-        // Definir la columna de clave foránea con la referencia a la tabla relacionada.
-        columns[field.name] = {
-          type: Sequelize.INTEGER, // Las claves foráneas se almacenan como enteros.
-          allowNull: allowNull,    // Permite nulos si 'allowNull' es true.
-          references: {
-            model: field.relatedTable, // Especifica la tabla relacionada.
-            key: 'id',                 // La columna de referencia en la tabla relacionada.
-          },
-          onUpdate: 'CASCADE',         // Si el ID de la tabla relacionada cambia, se actualiza automáticamente.
-          onDelete: 'SET NULL',        // Si el registro relacionado se elimina, la referencia se establece en null.
-        };
-      } else {
-        // Validar el tipo de dato del campo y mapearlo a un tipo de Sequelize.
-        const sequelizeType = validTypes[field.type];
-        if (!sequelizeType) {
-          // Si el tipo de dato no es válido, devolver un error 400.
-          return res.status(400).json({
-            message: `Tipo de dato no válido para el campo ${field.name}: ${field.type}`,
-          });
+      // Los campos de selección requieren una lista de opciones; los demás campos no admiten opciones.
+      if (SELECT_TYPES.includes(definition.type)) {
+        const optionsError = validateOptionList(field.name, field.options);
+        if (optionsError) {
+          return res.status(400).json({ message: optionsError });
         }
+      } else if (field.options !== undefined) {
+        return res.status(400).json({
+          message: `El campo ${field.name} no es de selección y no admite opciones`,
+        });
+      }
 
-        // Definir la columna con el tipo de dato correspondiente.
-        columns[field.name] = {
-          type: sequelizeType,
-          allowNull: allowNull, // Permitir nulos si 'allowNull' es true.
-        };
+      // Validar la plantilla y el orden con que se muestran los registros relacionados de una clave foránea.
+      const displayError = await validateDisplaySettings(
+        field.name,
+        pickFieldMetadata(field),
+        definition.type === 'FOREIGN_KEY' ? definition.relatedTable : null
+      );
+      if (displayError) {
+        return res.status(400).json({ message: displayError });
+      }
+
+      // Validar la definición de las reglas de validación del campo.
+      const rulesError = field.validation_rules !== undefined && validateRuleSet(field.name, field.validation_rules);
+      if (rulesError) {
+        return res.status(400).json({ message: rulesError });
+      }
+
+      // Validar el tipo de dato del campo y construir la definición de la columna.
+      const columnAttributes = buildColumnAttributes(definition);
+      if (!columnAttributes) {
+        // Si el tipo de dato no es válido, devolver un error 400.
+        return res.status(400).json({
+          message: `Tipo de dato no válido para el campo ${field.name}: ${field.type}`,
+        });
       }
+
+      columns[field.name] = columnAttributes;
+      fieldDefinitions.push(definition);
     }
 
-    // Crear la tabla usando queryInterface con las columnas definidas.
-    await queryInterface.createTable(table_name, columns);
+    // Validar el nombre y la expresión de los campos calculados contra las columnas de la nueva tabla.
+    const computedNames = [];
+    for (const definition of fieldDefinitions) {
+      if (definition.type === COMPUTED_TYPE) {
+        const nameError = validateComputedName(definition.name, [...Object.keys(columns), ...computedNames]);
+        if (nameError) {
+          return res.status(400).json({ message: nameError });
+        }
+        computedNames.push(definition.name);
 
-    // Registrar la tabla en la metadata para mantener un registro de las tablas creadas.
-    await TablesMetadata.create({ table_name });
+        const expressionError = validateExpression(definition.name, definition.expression, Object.keys(columns));
+        if (expressionError) {
+          return res.status(400).json({ message: expressionError });
+        }
+      }
+    }
+
+    // Crear la tabla, registrarla y guardar la primera versión de su esquema en una sola transacción,
+    // para que un error no deje una tabla sin registrar o sin historial.
+    await sequelize.transaction(async (transaction) => {
+      // Crear la tabla usando queryInterface con las columnas definidas.
+      await queryInterface.createTable(table_name, columns, { transaction });
+
+      // Crear el índice de búsqueda si la tabla tiene columnas de texto.
+      await syncSearchIndexIfChanged(table_name, [], { transaction });
+
+      // Registrar la tabla (con su módulo y datos de presentación) en la metadata.
+      await registerTable(table_name, pickTableRegistryAttributes(req.body), { transaction });
+
+      // Registrar la creación como la primera versión del esquema de la tabla.
+      await recordSchemaChange({
+        tableName: table_name,
+        operation: 'create_table',
+        definition: { fields: fieldDefinitions },
+        userId: req.user && req.user.id,
+      }, { transaction });
+
+      // Guardar los metadatos de presentación de cada campo (etiqueta, ayuda, orden, sección...).
+      for (const [index, field] of fields.entries()) {
+        await saveFieldMetadata(
+          table_name,
+          field.name,
+          fieldDefinitions[index].type,
+          pickFieldMetadata(field),
+          { transaction }
+        );
+      }
+    });
 
     // Devolver una respuesta exitosa con un mensaje indicando que la tabla fue creada.
     res.status(201).json({ message: `Tabla ${table_name} creada con éxito` });
@@ -162,47 +357,67 @@ exports.createTable = async (req, res) => {
 exports.listTables = async (req, res) => {
   try {
     // Obtener el tipo de tabla y si es principal a partir de los parámetros de la consulta.
-    // 'tableType' define el tipo de tabla a buscar (e.g., provider, pi, inscription).
+    // 'tableType' es la clave del módulo a buscar (e.g., inscription, provider, pi); por defecto 'inscription'.
     // 'isPrimary' indica si se desea filtrar solo las tablas principales.
-    const { tableType, isPrimary } = req.query;
-
-    // Determinar el prefijo de búsqueda según el tipo de tabla proporcionado.
-    let tablePrefix;
-    if (tableType === 'provider') {
-      tablePrefix = 'provider_%'; // Prefijo para tablas de tipo 'provider'.
-    } else if (tableType === 'pi') {
-      tablePrefix = 'pi_%'; // Prefijo para tablas de tipo 'pi'.
-    } else {
-      tablePrefix = 'inscription_%'; // Prefijo por defecto para tablas de tipo 'inscription'.
+    // 'includeArchived' indica si se deben incluir las tablas archivadas (por defecto se ocultan).
+    const { tableType = 'inscription', isPrimary, includeArchived } = req.query;
+
+    // Buscar el módulo solicitado en el registro de módulos.
+    const modules = await getModules();
+    const tableModule = modules.find((item) => item.key === tableType);
+    if (!tableModule) {
+      return res.status(400).json({
+        message: `Tipo de tabla no válido: ${tableType}. Los módulos registrados son: ${modules.map((item) => item.key).join(', ')}`,
+      });
     }
 
-    // Consultar las tablas en la base de datos que coinciden con el prefijo determinado.
+    // Consultar las tablas de la base de datos con el prefijo del módulo.
     const [tables] = await sequelize.query(
       `
       SELECT table_name
       FROM information_schema.tables
       WHERE table_schema = 'public'
       AND table_type = 'BASE TABLE'
-      AND table_name LIKE :tablePrefix
+      AND starts_with(table_name, :prefix)
     `,
       {
-        replacements: { tablePrefix }, // Reemplazar el parámetro 'tablePrefix' en la consulta.
+        replacements: { prefix: tableModule.prefix },
       }
     );
 
-    // Obtener la información de metadata para saber cuáles tablas son principales.
-    // Esto recupera todos los registros de la tabla 'TablesMetadata'.
-    const metadata = await TablesMetadata.findAll();
+    // Obtener la información de metadata (registro) de las tablas del módulo.
+    const metadata = await TablesMetadata.findAll({
+      where: { table_name: tables.map((table) => table.table_name) },
+    });
+
+    // Combinar cada tabla con su registro. Un prefijo más largo de otro módulo tiene prioridad
+    // (p. ej. 'pi_seguimiento_' frente a 'pi_'), por lo que esas tablas no se incluyen aquí.
+    let tableList = [];
+    for (const table of tables) {
+      const owningModule = matchTableModule(table.table_name, modules);
+      if (!owningModule || owningModule.key !== tableModule.key) {
+        continue;
+      }
 
-    // Añadir la propiedad 'is_primary' a cada tabla basada en la metadata.
-    // Mapea las tablas consultadas y verifica si cada una es principal según su registro en 'metadata'.
-    let tableList = tables.map((table) => {
       const metadataRecord = metadata.find((meta) => meta.table_name === table.table_name);
-      return {
+      tableList.push({
         table_name: table.table_name,
+        module: tableModule.key,
+        display_name: (metadataRecord && metadataRecord.display_name) || table.table_name,
+        description: metadataRecord ? metadataRecord.description : null,
+        icon: metadataRecord ? metadataRecord.icon : null,
+        color: metadataRecord ? metadataRecord.color : null,
+        sort_order: metadataRecord ? metadataRecord.sort_order : null,
+        owner_id: metadataRecord ? metadataRecord.owner_id : null,
         is_primary: metadataRecord ? metadataRecord.is_primary : false, // Si está en 'metadata', tomar su valor de 'is_primary'.
-      };
-    });
+        is_archived: metadataRecord ? metadataRecord.is_archived : false,
+      });
+    }
+
+    // Ocultar las tablas archivadas salvo que se soliciten explícitamente.
+    if (includeArchived !== 'true') {
+      tableList = tableList.filter((table) => !table.is_archived);
+    }
 
     // Si 'isPrimary' se especifica como 'true', filtrar las tablas que son principales.
     if (isPrimary === 'true') {
@@ -215,188 +430,1335 @@ exports.listTables = async (req, res) => {
       return res.status(404).json({ message: `No se encontraron tablas para el tipo ${tableType}` });
     }
 
-    // Si se encontraron tablas, devolver la lista como respuesta exitosa.
-    res.status(200).json(tableList);
+    // Ordenar según 'sort_order' (las tablas sin orden van al final) y luego por nombre.
+    tableList.sort((a, b) => {
+      if (a.sort_order !== b.sort_order) {
+        if (a.sort_order === null) return 1;
+        if (b.sort_order === null) return -1;
+        return a.sort_order - b.sort_order;
+      }
+      return a.table_name.localeCompare(b.table_name);
+    });
+
+    // Si se encontraron tablas, devolver la lista como respuesta exitosa.
+    res.status(200).json(tableList);
+  } catch (error) {
+    // Capturar cualquier error ocurrido durante la ejecución y devolver un mensaje de error.
+    console.error('Error listando las tablas:', error);
+    res.status(500).json({ message: 'Error listando las tablas', error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------------------------------
+// --------------------------- CONTROLADOR updateTableRegistry ----------------------------
+// ----------------------------------------------------------------------------------------
+
+exports.updateTableRegistry = async (req, res) => {
+  // Extrae 'table_name' de los parámetros de la solicitud (URL). El cuerpo puede incluir
+  // 'display_name', 'description', 'icon', 'color', 'sort_order' y 'owner_id'.
+  const { table_name } = req.params;
+  const attributes = pickTableRegistryAttributes(req.body);
+
+  try {
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+    if (!(await describeTable(table_name))) {
+      return res.status(404).json({ message: `La tabla ${table_name} no existe` });
+    }
+
+    // Validar los atributos numéricos y el usuario responsable.
+    if (attributes.sort_order !== undefined && attributes.sort_order !== null && !Number.isInteger(attributes.sort_order)) {
+      return res.status(400).json({ message: 'El orden de la tabla debe ser un número entero' });
+    }
+    if (attributes.owner_id !== undefined && attributes.owner_id !== null && !(await User.findByPk(attributes.owner_id))) {
+      return res.status(400).json({ message: `El usuario ${attributes.owner_id} no existe` });
+    }
+
+    // Las tablas creadas antes del registro pueden no tener un registro en 'TablesMetadata'.
+    const metadata = await registerTable(table_name);
+    const previous = metadata.get({ plain: true });
+    await metadata.update(attributes);
+
+    await recordAuditChanges(
+      { scope: 'schema', tableName: table_name, changeType: 'update_table', userId: req.user.id },
+      previous,
+      metadata.get({ plain: true }),
+      Object.keys(attributes)
+    );
+
+    res.status(200).json({ message: `Registro de la tabla ${table_name} actualizado con éxito`, table: metadata });
+  } catch (error) {
+    console.error('Error actualizando el registro de la tabla:', error);
+    res.status(500).json({ message: 'Error actualizando el registro de la tabla', error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------------------------------
+// -------------------------------- CONTROLADOR deleteTable -------------------------------
+// ----------------------------------------------------------------------------------------
+
+exports.deleteTable = async (req, res) => {
+  // Extrae 'table_name' de los parámetros de la solicitud (URL).
+  const { table_name } = req.params;
+
+  try {
+    // Verificar si la tabla está vacía antes de intentar eliminarla.
+    // Ejecuta una consulta SQL para contar los registros existentes en la tabla.
+    const [records] = await sequelize.query(`SELECT COUNT(*) as count FROM ${table_name}`);
+    const recordCount = records[0].count;
+
+    // Si la tabla contiene registros (count > 0), no se permite eliminarla.
+    if (recordCount > 0) {
+      return res.status(400).json({
+        message: `No se puede eliminar la tabla ${table_name} porque no está vacía.`,
+      });
+    }
+
+    // Si la tabla está vacía (count === 0), proceder a eliminarla.
+    await sequelize.getQueryInterface().dropTable(table_name);
+
+    // Eliminar los metadatos de presentación de los campos de la tabla y sus vistas guardadas.
+    await deleteFieldMetadata(table_name);
+    await SavedView.destroy({ where: { table_name } });
+    await DeletedRecord.destroy({ where: { table_name } });
+
+    await recordAudit({
+      scope: 'schema',
+      tableName: table_name,
+      changeType: 'delete_table',
+      description: `Tabla ${table_name} eliminada`,
+      userId: req.user.id,
+    });
+
+    // Devolver una respuesta exitosa indicando que la tabla fue eliminada.
+    res.status(200).json({ message: `Tabla ${table_name} eliminada con éxito` });
+  } catch (error) {
+    // Capturar cualquier error durante la operación y devolver un mensaje de error.
+    console.error('Error eliminando la tabla:', error);
+    res.status(500).json({ message: 'Error eliminando la tabla', error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------------------------------
+// ---------------------------- CONTROLADORES archiveTable / unarchiveTable ---------------
+// ----------------------------------------------------------------------------------------
+
+exports.archiveTable = async (req, res) => {
+  // Extrae 'table_name' de los parámetros de la solicitud (URL).
+  const { table_name } = req.params;
+
+  try {
+    // Verificar que la tabla exista.
+    if (!(await describeTable(table_name))) {
+      return res.status(404).json({ message: `La tabla ${table_name} no existe` });
+    }
+
+    // Las tablas creadas antes de registrar la metadata pueden no tener un registro en 'TablesMetadata'.
+    const [metadata] = await TablesMetadata.findOrCreate({ where: { table_name } });
+    if (metadata.is_archived) {
+      return res.status(400).json({ message: `La tabla ${table_name} ya está archivada` });
+    }
+
+    // Marcar la tabla como archivada y registrar quién y cuándo la archivó.
+    metadata.is_archived = true;
+    metadata.archived_at = new Date();
+    metadata.archived_by = req.user.id;
+    await metadata.save();
+
+    await recordAudit({
+      scope: 'schema',
+      tableName: table_name,
+      changeType: 'archive_table',
+      fieldName: 'is_archived',
+      oldValue: false,
+      newValue: true,
+      description: `Tabla ${table_name} archivada`,
+      userId: req.user.id,
+    });
+
+    res.status(200).json({ message: `Tabla ${table_name} archivada con éxito`, table: metadata });
+  } catch (error) {
+    console.error('Error archivando la tabla:', error);
+    res.status(500).json({ message: 'Error archivando la tabla', error: error.message });
+  }
+};
+
+exports.unarchiveTable = async (req, res) => {
+  // Extrae 'table_name' de los parámetros de la solicitud (URL).
+  const { table_name } = req.params;
+
+  try {
+    const metadata = await TablesMetadata.findOne({ where: { table_name } });
+    if (!metadata || !metadata.is_archived) {
+      return res.status(400).json({ message: `La tabla ${table_name} no está archivada` });
+    }
+
+    // Devolver la tabla al listado y permitir de nuevo la escritura de registros.
+    metadata.is_archived = false;
+    metadata.archived_at = null;
+    metadata.archived_by = null;
+    await metadata.save();
+
+    await recordAudit({
+      scope: 'schema',
+      tableName: table_name,
+      changeType: 'unarchive_table',
+      fieldName: 'is_archived',
+      oldValue: true,
+      newValue: false,
+      description: `Tabla ${table_name} desarchivada`,
+      userId: req.user.id,
+    });
+
+    res.status(200).json({ message: `Tabla ${table_name} desarchivada con éxito`, table: metadata });
+  } catch (error) {
+    console.error('Error desarchivando la tabla:', error);
+    res.status(500).json({ message: 'Error desarchivando la tabla', error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------------------------------
+// -------------------------------- CONTROLADOR cloneTable --------------------------------
+// ----------------------------------------------------------------------------------------
+
+exports.cloneTable = async (req, res) => {
+  // Extrae 'table_name' (tabla de origen) de los parámetros de la solicitud (URL).
+  // 'new_table_name' es el nombre de la copia e 'include_data' indica si también se copian los registros.
+  const { table_name } = req.params;
+  const { new_table_name, include_data } = req.body;
+
+  try {
+    // Validar que el nuevo nombre sea proporcionado y siga el estándar de prefijos.
+    if (!new_table_name || new_table_name.trim() === '') {
+      return res.status(400).json({ message: 'El nombre de la nueva tabla es requerido' });
+    }
+    if (!(await getTableModule(new_table_name))) {
+      return res.status(400).json({ message: await getPrefixErrorMessage() });
+    }
+
+    // Solo se pueden clonar las tablas de un módulo registrado que estén en la metadata.
+    if (!(await getTableModule(table_name)) || !(await TablesMetadata.findOne({ where: { table_name } }))) {
+      return res.status(404).json({ message: `La tabla ${table_name} no existe` });
+    }
+
+    // Obtener la estructura de la tabla de origen y verificar que la tabla destino no exista.
+    const structure = await describeTable(table_name);
+    if (!structure) {
+      return res.status(404).json({ message: `La tabla ${table_name} no existe` });
+    }
+    if (await describeTable(new_table_name)) {
+      return res.status(400).json({ message: `La tabla ${new_table_name} ya existe` });
+    }
+
+    const copiedRecords = await sequelize.transaction(async (transaction) => {
+      // Crear la nueva tabla con las mismas columnas, tipos, nulabilidad y claves foráneas.
+      for (const statement of buildCreateTable(new_table_name, structure)) {
+        await sequelize.query(statement, { transaction });
+      }
+
+      // Copiar los registros si se solicitó, conservando sus IDs.
+      let recordCount = 0;
+      if (include_data) {
+        const columnList = structure.columns.map((column) => quoteIdentifier(column.name)).join(', ');
+        const [, inserted] = await sequelize.query(
+          `INSERT INTO ${quoteIdentifier(new_table_name)} (${columnList})
+           SELECT ${columnList} FROM ${quoteIdentifier(table_name)}`,
+          { type: QueryTypes.INSERT, transaction }
+        );
+        recordCount = inserted;
+        await resetIdSequence(new_table_name, { transaction });
+      }
+
+      // Registrar la nueva tabla en la metadata.
+      await registerTable(new_table_name, {}, { transaction });
+      await syncSearchIndex(new_table_name, { transaction });
+
+      // Copiar los metadatos de los campos (etiquetas, opciones, reglas, campos calculados...).
+      const metadataRows = await InscriptionStructure.findAll({ where: { table_name }, transaction });
+      for (const row of metadataRows) {
+        const { id, createdAt, updatedAt, ...metadata } = row.get({ plain: true });
+        await InscriptionStructure.create({ ...metadata, table_name: new_table_name }, { transaction });
+      }
+
+      // Copiar las preferencias de columnas visibles.
+      const preference = await FieldPreference.findOne({ where: { table_name }, transaction });
+      if (preference) {
+        await FieldPreference.create(
+          { table_name: new_table_name, visible_columns: preference.visible_columns },
+          { transaction }
+        );
+      }
+
+      // Registrar la creación como la primera versión del esquema de la nueva tabla.
+      const fieldDefinitions = [];
+      for (const column of structure.columns) {
+        if (column.name !== 'id') {
+          fieldDefinitions.push(await describeColumn(new_table_name, column.name, { transaction }));
+        }
+      }
+      for (const row of metadataRows) {
+        if (row.field_type === COMPUTED_TYPE) {
+          fieldDefinitions.push({ name: row.field_name, type: COMPUTED_TYPE, expression: row.expression });
+        }
+      }
+      await recordSchemaChange({
+        tableName: new_table_name,
+        operation: 'create_table',
+        definition: { fields: fieldDefinitions, cloned_from: table_name },
+        userId: req.user && req.user.id,
+      }, { transaction });
+
+      return recordCount;
+    });
+
+    res.status(201).json({
+      message: `Tabla ${table_name} clonada con éxito como ${new_table_name}`,
+      table_name: new_table_name,
+      copied_records: copiedRecords,
+    });
+  } catch (error) {
+    console.error('Error clonando la tabla:', error);
+    res.status(500).json({ message: 'Error clonando la tabla', error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------------------------------
+// ------------------------------ CONTROLADOR editTable -----------------------------------
+// ----------------------------------------------------------------------------------------
+
+exports.editTable = async (req, res) => {
+  // Extrae 'table_name' de los parámetros de la solicitud (URL).
+  // 'fieldsToAdd', 'fieldsToEdit' y 'fieldsToDelete' se obtienen del cuerpo de la solicitud para saber qué columnas
+  // agregar, modificar o eliminar. Si 'preview' es true, solo se devuelve la vista previa de 'fieldsToEdit'.
+  const { table_name } = req.params;
+  const { fieldsToAdd, fieldsToEdit, fieldsToDelete, preview } = req.body;
+
+  try {
+    // Solo se pueden editar las tablas de un módulo registrado.
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+
+    // Obtener el queryInterface de Sequelize para realizar modificaciones en la tabla.
+    const queryInterface = sequelize.getQueryInterface();
+
+    // ID del usuario que aplica los cambios, para el historial de esquema.
+    const userId = req.user && req.user.id;
+
+    // ----------------------------------------------------------------------------------------
+    // ------------------------- EDITAR COLUMNAS EXISTENTES -----------------------------------
+    // ----------------------------------------------------------------------------------------
+
+    // Cada elemento de 'fieldsToEdit' tiene la forma { column_name, new_name, type, allow_null } y puede
+    // incluir metadatos de presentación (label, description, placeholder, display_order, section, hidden),
+    // la lista de opciones de los campos de selección y las reglas de validación (validation_rules).
+    // Primero se validan todos los cambios (también los de 'fieldsToAdd' y 'fieldsToDelete') y se calcula
+    // qué registros fallarían al convertir el tipo; después se aplican todos en una sola transacción.
+    const plannedEdits = [];
+    const castPreview = [];
+
+    // Metadatos actuales de los campos, para conocer los campos de selección (SELECT/MULTISELECT).
+    const metadataMap = await getFieldMetadataMap(table_name);
+    const computedNames = getComputedFields(metadataMap).map((metadata) => metadata.field_name);
+
+    for (const field of fieldsToEdit || []) {
+      const columnName = field.column_name;
+      if (!columnName || columnName === 'id') {
+        return res.status(400).json({ message: 'Debe indicar una columna válida para editar' });
+      }
+
+      // Los campos calculados no son columnas: solo se pueden editar su expresión y sus metadatos.
+      if (metadataMap[columnName] && metadataMap[columnName].field_type === COMPUTED_TYPE) {
+        if ((field.new_name !== undefined && field.new_name !== columnName) || field.type || field.allow_null !== undefined) {
+          return res.status(400).json({
+            message: `Del campo calculado "${columnName}" solo se pueden editar la expresión y los metadatos`,
+          });
+        }
+        if (field.expression !== undefined) {
+          const columnNames = (await getTableColumns(table_name)).map((column) => column.column_name);
+          const expressionError = validateExpression(columnName, field.expression, columnNames);
+          if (expressionError) {
+            return res.status(400).json({ message: expressionError });
+          }
+        }
+
+        plannedEdits.push({
+          columnName,
+          metadata: pickFieldMetadata(field),
+          fieldType: COMPUTED_TYPE,
+          previousExpression: metadataMap[columnName].expression,
+        });
+        continue;
+      }
+
+      const currentDefinition = await describeColumn(table_name, columnName);
+      if (!currentDefinition) {
+        return res.status(404).json({ message: `La columna "${columnName}" no existe en la tabla ${table_name}` });
+      }
+
+      const fieldType = metadataMap[columnName] && metadataMap[columnName].field_type;
+      const isSelectField = SELECT_TYPES.includes(fieldType);
+
+      // Los tipos semánticos (EMAIL, GEO_POINT, TIMESTAMPTZ...) se toman de los metadatos del campo.
+      if (SEMANTIC_TYPES.includes(fieldType)) {
+        currentDefinition.type = fieldType;
+      }
+
+      const edit = { columnName, currentDefinition, metadata: pickFieldMetadata(field) };
+
+      // Validar la nueva lista de opciones. Solo los campos de selección admiten opciones.
+      if (field.options !== undefined) {
+        if (!isSelectField) {
+          return res.status(400).json({ message: `El campo ${columnName} no es de selección y no admite opciones` });
+        }
+        const optionsError = validateOptionList(columnName, field.options);
+        if (optionsError) {
+          return res.status(400).json({ message: optionsError });
+        }
+      }
+
+      // Validar las nuevas reglas de validación del campo (null elimina las reglas).
+      const rulesError = field.validation_rules !== undefined && validateRuleSet(columnName, field.validation_rules);
+      if (rulesError) {
+        return res.status(400).json({ message: rulesError });
+      }
+
+      // Validar la plantilla y el orden de visualización de la clave foránea (null vuelve a los valores por defecto).
+      const displayError = await validateDisplaySettings(
+        columnName,
+        edit.metadata,
+        currentDefinition.type === 'FOREIGN_KEY' ? currentDefinition.relatedTable : null
+      );
+      if (displayError) {
+        return res.status(400).json({ message: displayError });
+      }
+
+      // Validar el nuevo nombre de la columna.
+      if (field.new_name !== undefined && field.new_name !== columnName) {
+        if (!field.new_name || field.new_name.trim() === '') {
+          return res.status(400).json({ message: `El nuevo nombre de la columna "${columnName}" es requerido` });
+        }
+        if (await describeColumn(table_name, field.new_name) || computedNames.includes(field.new_name)
+          || plannedEdits.some((planned) => planned.newName === field.new_name)) {
+          return res.status(400).json({ message: `Ya existe una columna llamada "${field.new_name}" en la tabla ${table_name}` });
+        }
+        edit.newName = field.new_name;
+      }
+
+      // Validar el cambio de tipo y obtener los registros que no se podrían convertir.
+      if (field.type) {
+        const targetType = normalizeFieldType(field.type);
+        if (currentDefinition.type === 'FOREIGN_KEY' || targetType === 'FOREIGN_KEY') {
+          return res.status(400).json({ message: `No se puede cambiar el tipo de la clave foránea "${columnName}"` });
+        }
+        if (isSelectField && targetType !== fieldType) {
+          return res.status(400).json({ message: `No se puede cambiar el tipo del campo de selección "${columnName}"` });
+        }
+        if (!isSelectField && targetType !== currentDefinition.type && !getCastRule(targetType)) {
+          return res.status(400).json({ message: `No se puede convertir la columna "${columnName}" al tipo ${field.type}` });
+        }
+
+        if (!isSelectField && targetType !== currentDefinition.type) {
+          const failures = await findCastFailures(table_name, columnName, targetType);
+          castPreview.push({
+            column_name: columnName,
+            from_type: currentDefinition.type,
+            to_type: targetType,
+            failing_count: failures.total,
+            failing_rows: failures.rows,
+          });
+          edit.targetType = targetType;
+        }
+      }
+
+      // Validar el cambio de nulabilidad. No se puede exigir un valor si hay registros vacíos.
+      if (field.allow_null !== undefined && field.allow_null !== currentDefinition.allow_null) {
+        if (field.allow_null === false) {
+          const nullCount = await countNullValues(table_name, columnName);
+          if (nullCount > 0) {
+            return res.status(400).json({
+              message: `No se puede hacer obligatoria la columna "${columnName}" porque ${nullCount} registros no tienen valor.`,
+            });
+          }
+        }
+        edit.allowNull = field.allow_null;
+      }
+
+      edit.fieldType = currentDefinition.type;
+      plannedEdits.push(edit);
+    }
+
+    // En modo vista previa no se aplica ningún cambio.
+    if (preview) {
+      return res.status(200).json({ preview: castPreview });
+    }
+
+    // Si algún registro no se puede convertir al nuevo tipo, no se aplica ningún cambio.
+    const failedCasts = castPreview.filter((item) => item.failing_count > 0);
+    if (failedCasts.length > 0) {
+      return res.status(400).json({
+        message: 'Algunos registros no se pueden convertir al nuevo tipo de dato',
+        preview: failedCasts,
+      });
+    }
+
+    // ----------------------------------------------------------------------------------------
+    // ------------------------- VALIDAR LAS NUEVAS COLUMNAS ----------------------------------
+    // ----------------------------------------------------------------------------------------
+
+    // Columnas que tendrá la tabla después de los renombres, a las que se suman las nuevas columnas en orden.
+    // Las expresiones de los campos calculados nuevos se validan contra ellas.
+    const renames = plannedEdits.reduce((acc, edit) => {
+      if (edit.newName) {
+        acc[edit.columnName] = edit.newName;
+      }
+      return acc;
+    }, {});
+    const columnNames = (await getTableColumns(table_name)).map((column) => renames[column.column_name] || column.column_name);
+    const addedComputedNames = [];
+    const plannedAdds = [];
+
+    for (const field of fieldsToAdd || []) {
+      // Validar que cada campo tenga un nombre que no use otra columna o campo calculado.
+      if (!field.name || field.name.trim() === '') {
+        return res.status(400).json({ message: 'El nombre del campo es requerido' });
+      }
+
+      const definition = toFieldDefinition(field);
+
+      // Los campos calculados solo se registran en los metadatos, con su expresión sobre las columnas de la tabla.
+      if (definition.type === COMPUTED_TYPE) {
+        const nameError = validateComputedName(field.name, [...columnNames, ...computedNames, ...addedComputedNames]);
+        if (nameError) {
+          return res.status(400).json({ message: nameError });
+        }
+        const expressionError = validateExpression(field.name, definition.expression, columnNames);
+        if (expressionError) {
+          return res.status(400).json({ message: expressionError });
+        }
+        addedComputedNames.push(field.name);
+        plannedAdds.push({ field, definition });
+        continue;
+      }
+
+      if ([...columnNames, ...computedNames, ...addedComputedNames].includes(field.name)) {
+        return res.status(400).json({ message: `Ya existe una columna llamada "${field.name}" en la tabla ${table_name}` });
+      }
+
+      // Si el campo es una clave foránea, validar que se especifique la tabla y la columna relacionadas.
+      if (definition.type === 'FOREIGN_KEY' && (!field.relatedTable || !field.relatedColumn)) {
+        return res.status(400).json({
+          message: `Debe especificar una tabla y columna relacionada para la clave foránea en el campo ${field.name}`,
+        });
+      }
+
+      // Los campos de selección requieren una lista de opciones; los demás campos no admiten opciones.
+      if (SELECT_TYPES.includes(definition.type)) {
+        const optionsError = validateOptionList(field.name, field.options);
+        if (optionsError) {
+          return res.status(400).json({ message: optionsError });
+        }
+      } else if (field.options !== undefined) {
+        return res.status(400).json({ message: `El campo ${field.name} no es de selección y no admite opciones` });
+      }
+
+      // Validar la plantilla y el orden de visualización de la clave foránea.
+      const displayError = await validateDisplaySettings(
+        field.name,
+        pickFieldMetadata(field),
+        definition.type === 'FOREIGN_KEY' ? definition.relatedTable : null
+      );
+      if (displayError) {
+        return res.status(400).json({ message: displayError });
+      }
+
+      // Validar la definición de las reglas de validación del campo.
+      const rulesError = field.validation_rules !== undefined && validateRuleSet(field.name, field.validation_rules);
+      if (rulesError) {
+        return res.status(400).json({ message: rulesError });
+      }
+
+      // Validar que el tipo de dato sea válido y construir la definición de la columna.
+      const columnAttributes = buildColumnAttributes(definition);
+      if (!columnAttributes) {
+        return res.status(400).json({ message: `Tipo de dato no válido: ${field.type}` });
+      }
+
+      columnNames.push(field.name);
+      plannedAdds.push({ field, definition, columnAttributes });
+    }
+
+    // ----------------------------------------------------------------------------------------
+    // ------------------------- VALIDAR LAS COLUMNAS A ELIMINAR ------------------------------
+    // ----------------------------------------------------------------------------------------
+
+    const plannedDeletes = [];
+
+    for (const field of fieldsToDelete || []) {
+      const columnName = field.column_name;
+
+      // Los campos calculados no tienen datos: basta con eliminar sus metadatos y quitarlos de las vistas.
+      const computedMetadata = metadataMap[columnName];
+      if (computedMetadata && computedMetadata.field_type === COMPUTED_TYPE) {
+        plannedDeletes.push({
+          columnName,
+          computedDefinition: {
+            name: columnName,
+            type: COMPUTED_TYPE,
+            expression: computedMetadata.expression,
+            metadata: pickFieldMetadata(computedMetadata.get({ plain: true })),
+          },
+        });
+        continue;
+      }
+
+      // Guardar la definición actual de la columna y sus metadatos para poder recrearla si se revierte el cambio.
+      const previousDefinition = columnName && columnName !== 'id' ? await describeColumn(table_name, columnName) : null;
+      if (!previousDefinition) {
+        return res.status(404).json({ message: `La columna "${columnName}" no existe en la tabla ${table_name}` });
+      }
+      const previousMetadata = metadataMap[columnName];
+      if (previousMetadata) {
+        previousDefinition.metadata = pickFieldMetadata(previousMetadata.get({ plain: true }));
+        // Los campos de tipo semántico se recrean con su tipo original y no con el de la columna.
+        if (SEMANTIC_TYPES.includes(previousMetadata.field_type)) {
+          previousDefinition.type = previousMetadata.field_type;
+        }
+      }
+
+      // No se puede eliminar una columna que se edita en la misma solicitud ni una que usan los campos calculados.
+      if (plannedEdits.some((edit) => edit.columnName === columnName)) {
+        return res.status(400).json({ message: `No se puede editar y eliminar la columna "${columnName}" a la vez.` });
+      }
+      const dependentFields = findDependentFields(metadataMap, columnName);
+      if (dependentFields.length > 0) {
+        return res.status(400).json({
+          message: `No se puede eliminar la columna "${columnName}" porque la usan los campos calculados: ${dependentFields.join(', ')}.`,
+        });
+      }
+
+      // Verificar si la columna contiene datos antes de eliminarla.
+      const [{ count }] = await sequelize.query(
+        `SELECT COUNT(*) as count FROM "${table_name}" WHERE "${columnName}" IS NOT NULL`,
+        { type: Sequelize.QueryTypes.SELECT }
+      );
+
+      // Si la columna contiene datos, no se permite eliminarla.
+      if (parseInt(count, 10) > 0) {
+        return res.status(400).json({
+          message: `No se puede eliminar la columna "${columnName}" porque contiene datos.`,
+        });
+      }
+
+      // Verificar si la columna tiene restricciones de clave foránea.
+      const foreignKeys = await sequelize.query(
+        `
+        SELECT kcu.constraint_name
+        FROM information_schema.key_column_usage kcu
+        JOIN information_schema.table_constraints tc
+          ON kcu.constraint_name = tc.constraint_name
+          AND tc.constraint_type = 'FOREIGN KEY'
+        WHERE kcu.table_name = :table_name
+        AND kcu.column_name = :column_name
+      `,
+        {
+          replacements: { table_name, column_name: columnName },
+          type: Sequelize.QueryTypes.SELECT,
+        }
+      );
+
+      // Si la columna está involucrada en una clave foránea, no se puede eliminar.
+      if (foreignKeys.length > 0) {
+        return res.status(400).json({
+          message: `No se puede eliminar la columna "${columnName}" porque tiene restricciones de clave foránea.`,
+        });
+      }
+
+      plannedDeletes.push({ columnName, previousDefinition });
+    }
+
+    // ----------------------------------------------------------------------------------------
+    // ------------------------- APLICAR LOS CAMBIOS ------------------------------------------
+    // ----------------------------------------------------------------------------------------
+
+    // Todos los cambios se aplican en una transacción y se registran en el historial de esquema: si alguno
+    // falla, la tabla queda como estaba. El índice de búsqueda se reconstruye al final si cambiaron las
+    // columnas de texto (al eliminar una columna de texto PostgreSQL elimina también el índice que la usaba).
+    await sequelize.transaction(async (transaction) => {
+      const searchColumns = await getSearchColumns(table_name, { transaction });
+
+      for (const edit of plannedEdits) {
+        if (edit.targetType) {
+          await changeColumnType(table_name, edit.columnName, edit.targetType, { transaction });
+          await recordSchemaChange({
+            tableName: table_name,
+            operation: 'change_type',
+            columnName: edit.columnName,
+            definition: { ...edit.currentDefinition, type: edit.targetType },
+            previousDefinition: edit.currentDefinition,
+            userId,
+          }, { transaction });
+        }
+
+        if (edit.allowNull !== undefined) {
+          await setColumnNullability(table_name, edit.columnName, edit.allowNull, { transaction });
+          await recordSchemaChange({
+            tableName: table_name,
+            operation: 'change_nullability',
+            columnName: edit.columnName,
+            definition: { name: edit.columnName, allow_null: edit.allowNull },
+            previousDefinition: { name: edit.columnName, allow_null: edit.currentDefinition.allow_null },
+            userId,
+          }, { transaction });
+        }
+
+        // Registrar el cambio de expresión de los campos calculados.
+        if (edit.fieldType === COMPUTED_TYPE && edit.metadata.expression !== undefined
+          && edit.metadata.expression !== edit.previousExpression) {
+          await recordSchemaChange({
+            tableName: table_name,
+            operation: 'change_expression',
+            columnName: edit.columnName,
+            definition: { name: edit.columnName, type: COMPUTED_TYPE, expression: edit.metadata.expression },
+            previousDefinition: { name: edit.columnName, type: COMPUTED_TYPE, expression: edit.previousExpression },
+            userId,
+          }, { transaction });
+        }
+
+        // Actualizar los metadatos de presentación y el tipo registrado del campo.
+        if (edit.targetType || Object.keys(edit.metadata).length > 0) {
+          await saveFieldMetadata(
+            table_name,
+            edit.columnName,
+            edit.targetType || edit.fieldType,
+            edit.metadata,
+            { transaction }
+          );
+
+          // Los cambios de metadatos no tienen versión en el historial de esquema: se registran en la auditoría.
+          // La expresión de los campos calculados ya quedó registrada como 'change_expression'.
+          const previousMetadata = metadataMap[edit.columnName] ? metadataMap[edit.columnName].get({ plain: true }) : {};
+          await recordAuditChanges(
+            {
+              scope: 'schema',
+              tableName: table_name,
+              changeType: 'update_field_metadata',
+              description: `Metadatos del campo ${edit.columnName} actualizados`,
+              userId,
+              transaction,
+            },
+            previousMetadata,
+            edit.metadata,
+            Object.keys(edit.metadata).filter((attribute) => attribute !== 'expression')
+          );
+        }
+
+        // El renombre se aplica al final para que los pasos anteriores usen el nombre actual.
+        // renameColumn también mueve los metadatos del campo al nuevo nombre.
+        if (edit.newName) {
+          await renameColumn(table_name, edit.columnName, edit.newName, { transaction });
+          await recordSchemaChange({
+            tableName: table_name,
+            operation: 'rename_column',
+            columnName: edit.newName,
+            definition: { name: edit.newName },
+            previousDefinition: { name: edit.columnName },
+            userId,
+          }, { transaction });
+        }
+      }
+
+      for (const { field, definition, columnAttributes } of plannedAdds) {
+        // Agregar la columna con el tipo de dato especificado (los campos calculados no crean columnas).
+        if (columnAttributes) {
+          await queryInterface.addColumn(table_name, field.name, columnAttributes, { transaction });
+        }
+
+        // Registrar el nuevo campo en el historial de esquema.
+        let operation = 'add_column';
+        if (definition.type === COMPUTED_TYPE) {
+          operation = 'add_computed_field';
+        } else if (definition.type === 'FOREIGN_KEY') {
+          operation = 'add_foreign_key';
+        }
+        await recordSchemaChange({
+          tableName: table_name,
+          operation,
+          columnName: field.name,
+          definition,
+          userId,
+        }, { transaction });
+
+        // Guardar los metadatos de presentación del nuevo campo.
+        await saveFieldMetadata(table_name, field.name, definition.type, pickFieldMetadata(field), { transaction });
+      }
+
+      for (const { columnName, computedDefinition, previousDefinition } of plannedDeletes) {
+        // Si la columna no tiene datos ni restricciones de claves foráneas, proceder a eliminarla.
+        if (!computedDefinition) {
+          await queryInterface.removeColumn(table_name, columnName, { transaction });
+        }
+
+        // Registrar la eliminación en el historial de esquema.
+        await recordSchemaChange({
+          tableName: table_name,
+          operation: computedDefinition ? 'remove_computed_field' : 'remove_column',
+          columnName,
+          previousDefinition: computedDefinition || previousDefinition,
+          userId,
+        }, { transaction });
+
+        // Eliminar los metadatos de presentación del campo y sus referencias en las vistas guardadas.
+        await deleteFieldMetadata(table_name, columnName, { transaction });
+        await removeViewColumn(table_name, columnName, { transaction });
+      }
+
+      await syncSearchIndexIfChanged(table_name, searchColumns, { transaction });
+    });
+
+    // Devolver un mensaje de éxito indicando que la tabla fue actualizada.
+    res.status(200).json({ message: `Tabla "${table_name}" actualizada con éxito` });
+  } catch (error) {
+    // Capturar cualquier error y devolver un mensaje de error.
+    console.error('Error editando la tabla:', error);
+    res.status(500).json({ message: 'Error editando la tabla', error: error.message });
+  }
+};
+
+
+// ----------------------------------------------------------------------------------------
+// --------------------------- CONTROLADOR getSchemaVersions ------------------------------
+// ----------------------------------------------------------------------------------------
+
+exports.getSchemaVersions = async (req, res) => {
+  const { table_name } = req.params;
+
+  try {
+    // Obtener todos los cambios de esquema de la tabla, del más reciente al más antiguo.
+    const versions = await SchemaChange.findAll({
+      where: { table_name },
+      include: [{ model: User, attributes: ['id', 'username'] }],
+      order: [['version', 'DESC']],
+    });
+
+    if (versions.length === 0) {
+      return res.status(404).json({ message: `No se encontraron versiones de esquema para la tabla ${table_name}` });
+    }
+
+    // La versión vigente es el último cambio que no ha sido revertido.
+    const current = versions.find((version) => !version.rolled_back);
+
+    res.status(200).json({
+      table_name,
+      current_version: current ? current.version : null,
+      versions,
+    });
+  } catch (error) {
+    console.error('Error obteniendo las versiones del esquema:', error);
+    res.status(500).json({ message: 'Error obteniendo las versiones del esquema', error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------------------------------
+// ------------------------- CONTROLADOR rollbackSchemaChange -----------------------------
+// ----------------------------------------------------------------------------------------
+
+exports.rollbackSchemaChange = async (req, res) => {
+  const { table_name } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const queryInterface = sequelize.getQueryInterface();
+
+      // Bloquear el historial de esquema de la tabla (el mismo bloqueo que recordSchemaChange) para que dos
+      // reversiones simultáneas no tomen el mismo cambio.
+      await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:tableName))', {
+        replacements: { tableName: table_name },
+        transaction,
+      });
+
+      // Solo se puede revertir el último cambio vigente de la tabla.
+      const change = await getLastActiveChange(table_name, { transaction });
+      if (!change) {
+        return { status: 404, body: { message: `No hay cambios de esquema para revertir en la tabla ${table_name}` } };
+      }
+
+      // Cuenta los valores no nulos de una columna para saber si es seguro eliminarla.
+      const countColumnValues = async (columnName) => {
+        const [{ count }] = await sequelize.query(
+          `SELECT COUNT(*) AS count FROM "${table_name}" WHERE "${columnName}" IS NOT NULL`,
+          { type: QueryTypes.SELECT, transaction }
+        );
+        return parseInt(count, 10);
+      };
+
+      switch (change.operation) {
+        case 'create_table': {
+          // Revertir la creación solo si la tabla no tiene registros.
+          const [{ count }] = await sequelize.query(
+            `SELECT COUNT(*) AS count FROM "${table_name}"`,
+            { type: QueryTypes.SELECT, transaction }
+          );
+          if (parseInt(count, 10) > 0) {
+            return {
+              status: 409,
+              body: { message: `No se puede revertir la creación de la tabla ${table_name} porque contiene registros.` },
+            };
+          }
+
+          await queryInterface.dropTable(table_name, { transaction });
+          await TablesMetadata.destroy({ where: { table_name }, transaction });
+          await deleteFieldMetadata(table_name, null, { transaction });
+          break;
+        }
+
+        case 'add_column':
+        case 'add_foreign_key': {
+          // Revertir una columna agregada solo si no contiene datos ni la usan campos calculados.
+          const dependentFields = findDependentFields(
+            await getFieldMetadataMap(table_name, { transaction }),
+            change.column_name
+          );
+          if (dependentFields.length > 0) {
+            return {
+              status: 409,
+              body: { message: `No se puede revertir: la columna "${change.column_name}" la usan los campos calculados: ${dependentFields.join(', ')}.` },
+            };
+          }
+
+          if ((await countColumnValues(change.column_name)) > 0) {
+            return {
+              status: 409,
+              body: { message: `No se puede revertir: la columna "${change.column_name}" ya contiene datos.` },
+            };
+          }
+
+          await queryInterface.removeColumn(table_name, change.column_name, { transaction });
+          await deleteFieldMetadata(table_name, change.column_name, { transaction });
+          await removeViewColumn(table_name, change.column_name, { transaction });
+          break;
+        }
+
+        case 'remove_column': {
+          // Recrear la columna eliminada con su definición anterior.
+          const columnAttributes = change.previous_definition && buildColumnAttributes(change.previous_definition);
+          if (!columnAttributes) {
+            return {
+              status: 409,
+              body: { message: `No se guardó una definición válida para recrear la columna "${change.column_name}".` },
+            };
+          }
+
+          await queryInterface.addColumn(table_name, change.column_name, columnAttributes, { transaction });
+          await saveFieldMetadata(
+            table_name,
+            change.column_name,
+            change.previous_definition.type,
+            change.previous_definition.metadata || {},
+            { transaction }
+          );
+          break;
+        }
+
+        case 'rename_column': {
+          // Devolver la columna (y sus referencias) a su nombre anterior.
+          await renameColumn(table_name, change.column_name, change.previous_definition.name, { transaction });
+          break;
+        }
+
+        case 'change_type': {
+          // Volver al tipo anterior solo si todos los valores actuales se pueden convertir.
+          const previousType = change.previous_definition.type;
+          if (!getCastRule(previousType)) {
+            return {
+              status: 409,
+              body: { message: `No se puede revertir automáticamente al tipo ${previousType}.` },
+            };
+          }
+
+          const failures = await findCastFailures(table_name, change.column_name, previousType, { transaction });
+          if (failures.total > 0) {
+            return {
+              status: 409,
+              body: {
+                message: `No se puede revertir: ${failures.total} registros no se pueden convertir a ${previousType}.`,
+                failing_rows: failures.rows,
+              },
+            };
+          }
+
+          await changeColumnType(table_name, change.column_name, previousType, { transaction });
+          await saveFieldMetadata(table_name, change.column_name, previousType, {}, { transaction });
+          break;
+        }
+
+        case 'change_nullability': {
+          // Volver a exigir valor solo si no hay registros vacíos.
+          const allowNull = change.previous_definition.allow_null;
+          if (!allowNull && (await countNullValues(table_name, change.column_name, { transaction })) > 0) {
+            return {
+              status: 409,
+              body: { message: `No se puede revertir: la columna "${change.column_name}" tiene registros sin valor.` },
+            };
+          }
+
+          await setColumnNullability(table_name, change.column_name, allowNull, { transaction });
+          break;
+        }
+
+        case 'add_computed_field': {
+          // Los campos calculados no tienen datos: basta con eliminar sus metadatos y quitarlos de las vistas.
+          await deleteFieldMetadata(table_name, change.column_name, { transaction });
+          await removeViewColumn(table_name, change.column_name, { transaction });
+          break;
+        }
+
+        case 'remove_computed_field': {
+          // Restaurar el campo calculado con su expresión y metadatos anteriores.
+          await saveFieldMetadata(
+            table_name,
+            change.column_name,
+            COMPUTED_TYPE,
+            { ...(change.previous_definition.metadata || {}), expression: change.previous_definition.expression },
+            { transaction }
+          );
+          break;
+        }
+
+        case 'change_expression': {
+          // Volver a la expresión anterior del campo calculado.
+          await saveFieldMetadata(
+            table_name,
+            change.column_name,
+            COMPUTED_TYPE,
+            { expression: change.previous_definition.expression },
+            { transaction }
+          );
+          break;
+        }
+
+        case 'add_index': {
+          // Eliminar el índice creado, si aún existe.
+          const index = (await listIndexes(table_name, { transaction }))
+            .find((item) => item.name === change.definition.name);
+          if (index) {
+            await dropIndex(table_name, index, { transaction });
+          }
+          break;
+        }
+
+        case 'drop_index': {
+          // Recrear el índice eliminado. Una restricción única solo si no hay valores repetidos.
+          const previousIndex = change.previous_definition;
+          if (previousIndex.unique) {
+            const violations = await findUniqueViolations(table_name, previousIndex.columns, { transaction });
+            if (violations.total > 0) {
+              return {
+                status: 409,
+                body: {
+                  message: `No se puede revertir: ${violations.total} combinaciones de valores están repetidas en ${previousIndex.columns.join(', ')}.`,
+                  violations: violations.rows,
+                },
+              };
+            }
+          }
+
+          await createIndex(table_name, previousIndex, { transaction });
+          break;
+        }
+
+        default:
+          return {
+            status: 409,
+            body: { message: `La operación ${change.operation} no se puede revertir automáticamente.` },
+          };
+      }
+
+      // Mantener el índice de búsqueda con las columnas que quedan tras revertir el cambio.
+      await syncSearchIndex(table_name, { transaction });
+
+      // Marcar el cambio como revertido.
+      change.rolled_back = true;
+      change.rolled_back_at = new Date();
+      change.rolled_back_by = userId;
+      await change.save({ transaction });
+
+      await recordAudit({
+        scope: 'schema',
+        tableName: table_name,
+        changeType: 'rollback_schema_change',
+        fieldName: change.column_name,
+        oldValue: change.definition,
+        newValue: change.previous_definition,
+        description: `Versión ${change.version} revertida (${change.operation})`,
+        userId,
+        transaction,
+      });
+
+      return {
+        status: 200,
+        body: { message: `Versión ${change.version} de la tabla ${table_name} revertida con éxito`, change },
+      };
+    });
+
+    res.status(result.status).json(result.body);
   } catch (error) {
-    // Capturar cualquier error ocurrido durante la ejecución y devolver un mensaje de error.
-    console.error('Error listando las tablas:', error);
-    res.status(500).json({ message: 'Error listando las tablas', error: error.message });
+    console.error('Error revirtiendo el cambio de esquema:', error);
+    res.status(500).json({ message: 'Error revirtiendo el cambio de esquema', error: error.message });
   }
 };
 
+
 // ----------------------------------------------------------------------------------------
-// -------------------------------- CONTROLADOR deleteTable -------------------------------
+// --------------- CONTROLADORES listTableIndexes / createTableIndex / dropTableIndex -------
 // ----------------------------------------------------------------------------------------
 
-exports.deleteTable = async (req, res) => {
+exports.listTableIndexes = async (req, res) => {
   // Extrae 'table_name' de los parámetros de la solicitud (URL).
   const { table_name } = req.params;
 
   try {
-    // Verificar si la tabla está vacía antes de intentar eliminarla.
-    // Ejecuta una consulta SQL para contar los registros existentes en la tabla.
-    const [records] = await sequelize.query(`SELECT COUNT(*) as count FROM ${table_name}`);
-    const recordCount = records[0].count;
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+    if (!(await describeTable(table_name))) {
+      return res.status(404).json({ message: `La tabla ${table_name} no existe` });
+    }
 
-    // Si la tabla contiene registros (count > 0), no se permite eliminarla.
-    if (recordCount > 0) {
+    const indexes = await listIndexes(table_name);
+    res.status(200).json({ table_name, indexes });
+  } catch (error) {
+    console.error('Error obteniendo los índices de la tabla:', error);
+    res.status(500).json({ message: 'Error obteniendo los índices de la tabla', error: error.message });
+  }
+};
+
+exports.createTableIndex = async (req, res) => {
+  // 'columns' es la lista de columnas del índice (una o varias, en orden), 'unique' indica si se crea
+  // una restricción única y 'name' es opcional (por defecto se genera a partir de la tabla y las columnas).
+  const { table_name } = req.params;
+  const { name, unique = false } = req.body;
+  const columns = typeof req.body.columns === 'string' ? [req.body.columns] : req.body.columns;
+
+  try {
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+    const structure = await describeTable(table_name);
+    if (!structure) {
+      return res.status(404).json({ message: `La tabla ${table_name} no existe` });
+    }
+
+    // Validar las columnas del índice.
+    if (!Array.isArray(columns) || columns.length === 0) {
+      return res.status(400).json({ message: 'Debe indicar al menos una columna para el índice' });
+    }
+    if (new Set(columns).size !== columns.length) {
+      return res.status(400).json({ message: 'Las columnas del índice no se pueden repetir' });
+    }
+    const columnNames = structure.columns.map((column) => column.name);
+    const missingColumns = columns.filter((column) => !columnNames.includes(column));
+    if (missingColumns.length > 0) {
       return res.status(400).json({
-        message: `No se puede eliminar la tabla ${table_name} porque no está vacía.`,
+        message: `Las siguientes columnas no existen en la tabla ${table_name}: ${missingColumns.join(', ')}`,
       });
     }
 
-    // Si la tabla está vacía (count === 0), proceder a eliminarla.
-    await sequelize.getQueryInterface().dropTable(table_name);
+    // Validar el nombre del índice y que no exista uno igual.
+    const indexName = name || buildIndexName(table_name, columns, unique);
+    if (!INDEX_NAME_PATTERN.test(indexName)) {
+      return res.status(400).json({
+        message: 'El nombre del índice solo puede tener letras, números y guiones bajos (máximo 63 caracteres)',
+      });
+    }
+    const indexes = await listIndexes(table_name);
+    if (indexes.some((index) => index.name === indexName)) {
+      return res.status(400).json({ message: `Ya existe un índice llamado ${indexName}` });
+    }
+    const duplicate = indexes.find(
+      (index) => index.is_unique === Boolean(unique) && index.columns.join(',') === columns.join(',')
+    );
+    if (duplicate) {
+      return res.status(400).json({ message: `El índice ${duplicate.name} ya cubre las columnas ${columns.join(', ')}` });
+    }
 
-    // Devolver una respuesta exitosa indicando que la tabla fue eliminada.
-    res.status(200).json({ message: `Tabla ${table_name} eliminada con éxito` });
+    // Antes de crear una restricción única, verificar que los registros actuales no tengan valores repetidos.
+    if (unique) {
+      const violations = await findUniqueViolations(table_name, columns);
+      if (violations.total > 0) {
+        return res.status(409).json({
+          message: `No se puede crear la restricción única: ${violations.total} combinaciones de valores están repetidas en ${columns.join(', ')}.`,
+          violations: violations.rows,
+        });
+      }
+    }
+
+    const definition = { name: indexName, columns, unique: Boolean(unique) };
+    await sequelize.transaction(async (transaction) => {
+      await createIndex(table_name, definition, { transaction });
+      await recordSchemaChange({
+        tableName: table_name,
+        operation: 'add_index',
+        definition,
+        userId: req.user && req.user.id,
+      }, { transaction });
+    });
+
+    res.status(201).json({ message: `Índice ${indexName} creado con éxito`, index: definition });
   } catch (error) {
-    // Capturar cualquier error durante la operación y devolver un mensaje de error.
-    console.error('Error eliminando la tabla:', error);
-    res.status(500).json({ message: 'Error eliminando la tabla', error: error.message });
+    console.error('Error creando el índice:', error);
+    res.status(500).json({ message: 'Error creando el índice', error: error.message });
   }
 };
 
-// ----------------------------------------------------------------------------------------
-// ------------------------------ CONTROLADOR editTable -----------------------------------
-// ----------------------------------------------------------------------------------------
-
-exports.editTable = async (req, res) => {
-  // Extrae 'table_name' de los parámetros de la solicitud (URL).
-  // 'fieldsToAdd' y 'fieldsToDelete' se obtienen del cuerpo de la solicitud para saber qué columnas agregar o eliminar.
-  const { table_name } = req.params;
-  const { fieldsToAdd, fieldsToDelete } = req.body;
+exports.dropTableIndex = async (req, res) => {
+  const { table_name, index_name } = req.params;
 
   try {
-    // Obtener el queryInterface de Sequelize para realizar modificaciones en la tabla.
-    const queryInterface = sequelize.getQueryInterface();
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+    const index = (await listIndexes(table_name)).find((item) => item.name === index_name);
+    if (!index) {
+      return res.status(404).json({ message: `El índice ${index_name} no existe en la tabla ${table_name}` });
+    }
+    if (index.is_primary) {
+      return res.status(400).json({ message: 'No se puede eliminar la clave primaria de la tabla' });
+    }
 
-    // Mapeo de tipos de datos válidos que se pueden usar para crear nuevas columnas.
-    const validTypes = {
-      'VARCHAR(255)': Sequelize.STRING,
-      'CHARACTER VARYING': Sequelize.STRING,
-      'TEXT': Sequelize.TEXT,
-      'INTEGER': Sequelize.INTEGER,
-      'DECIMAL': Sequelize.DECIMAL,
-      'BOOLEAN': Sequelize.BOOLEAN,
-      'DATE': Sequelize.DATE,
-      'FOREIGN_KEY': Sequelize.INTEGER, // Claves foráneas se manejan como INTEGER.
-    };
+    await sequelize.transaction(async (transaction) => {
+      await dropIndex(table_name, index, { transaction });
+      await recordSchemaChange({
+        tableName: table_name,
+        operation: 'drop_index',
+        previousDefinition: { name: index.name, columns: index.columns, unique: index.is_unique },
+        userId: req.user && req.user.id,
+      }, { transaction });
+    });
 
-    // Verificar que no se envíen campos para editar. Este controlador solo permite agregar o eliminar columnas.
-    if (req.body.fieldsToEdit && req.body.fieldsToEdit.length > 0) {
-      return res.status(400).json({ message: 'No se permite editar campos existentes' });
+    res.status(200).json({ message: `Índice ${index_name} eliminado con éxito` });
+  } catch (error) {
+    // 2BP01: otros objetos (p. ej. claves foráneas de otras tablas) dependen de la restricción.
+    if (error.parent && error.parent.code === '2BP01') {
+      return res.status(409).json({
+        message: `No se puede eliminar el índice ${index_name} porque otros objetos dependen de él`,
+        error: error.message,
+      });
     }
+    console.error('Error eliminando el índice:', error);
+    res.status(500).json({ message: 'Error eliminando el índice', error: error.message });
+  }
+};
 
-    // ----------------------------------------------------------------------------------------
-    // ------------------------- AGREGAR NUEVAS COLUMNAS --------------------------------------
-    // ----------------------------------------------------------------------------------------
-
-    // Verificar si hay campos para agregar.
-    if (fieldsToAdd && fieldsToAdd.length > 0) {
-      for (const field of fieldsToAdd) {
-        // Validar que cada campo tenga un nombre.
-        if (!field.name || field.name.trim() === '') {
-          return res.status(400).json({ message: 'El nombre del campo es requerido' });
-        }
+// ----------------------------------------------------------------------------------------
+// ---------------------- CONTROLADORES exportTableSchemas / importTableSchemas ------------
+// ----------------------------------------------------------------------------------------
 
-        // Determinar si la columna permite valores nulos. Por defecto, se permite.
-        const allowNull = field.allow_null !== false;
+exports.exportTableSchemas = async (req, res) => {
+  // 'table_name' es una tabla o una lista separada por comas; 'module' exporta todas las tablas de un módulo.
+  const { table_name, module: moduleKey } = req.query;
 
-        // Verificar si el campo es una clave foránea (FOREIGN_KEY).
-        if (field.type.toUpperCase() === 'FOREIGN_KEY') {
-          // Validar que se especifique la tabla y la columna relacionadas.
-          if (!field.relatedTable || !field.relatedColumn) {
-            return res.status(400).json({
-              message: `Debe especificar una tabla y columna relacionada para la clave foránea en el campo ${field.name}`,
-            });
-          }
+  try {
+    let tableNames;
+    if (moduleKey) {
+      const modules = await getModules();
+      const tableModule = modules.find((item) => item.key === moduleKey);
+      if (!tableModule) {
+        return res.status(404).json({ message: `El módulo ${moduleKey} no está registrado` });
+      }
 
-          // Agregar la columna de clave foránea con referencia a la tabla relacionada.
-          await queryInterface.addColumn(table_name, field.name, {
-            type: Sequelize.INTEGER, // Las claves foráneas se almacenan como enteros.
-            references: {
-              model: field.relatedTable, // Tabla relacionada.
-              key: field.relatedColumn,  // Columna de referencia en la tabla relacionada.
-            },
-            onUpdate: 'CASCADE',         // Si el valor de la clave cambia en la tabla relacionada, se actualiza aquí también.
-            onDelete: 'SET NULL',        // Si se elimina la referencia, la clave foránea se establece en null.
-            allowNull,
-          });
-        } else {
-          // Si el campo no es una clave foránea, validar que el tipo de dato sea válido.
-          const sequelizeType = validTypes[field.type.toUpperCase()];
-          if (!sequelizeType) {
-            return res.status(400).json({ message: `Tipo de dato no válido: ${field.type}` });
-          }
+      const tables = await sequelize.query(
+        `
+        SELECT table_name
+        FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_type = 'BASE TABLE'
+        AND starts_with(table_name, :prefix)
+        ORDER BY table_name
+        `,
+        { replacements: { prefix: tableModule.prefix }, type: QueryTypes.SELECT }
+      );
+      tableNames = tables
+        .map((table) => table.table_name)
+        .filter((name) => {
+          const owningModule = matchTableModule(name, modules);
+          return owningModule && owningModule.key === moduleKey;
+        });
+    } else if (table_name) {
+      tableNames = String(table_name).split(',').map((name) => name.trim()).filter(Boolean);
+    } else {
+      return res.status(400).json({ message: 'Debe indicar la tabla (table_name) o el módulo (module) a exportar' });
+    }
 
-          // Agregar la columna con el tipo de dato especificado.
-          await queryInterface.addColumn(table_name, field.name, {
-            type: sequelizeType,
-            allowNull,
-          });
-        }
+    for (const name of tableNames) {
+      if (!(await getTableModule(name))) {
+        return res.status(400).json({ message: `Nombre de tabla inválido: ${name}` });
       }
     }
 
-    // ----------------------------------------------------------------------------------------
-    // ------------------------- ELIMINAR COLUMNAS --------------------------------------------
-    // ----------------------------------------------------------------------------------------
-
-    // Verificar si hay campos para eliminar.
-    if (fieldsToDelete && fieldsToDelete.length > 0) {
-      for (const field of fieldsToDelete) {
-        const columnName = field.column_name;
+    const schema = await exportSchema(tableNames);
+    if (schema.tables.length === 0) {
+      return res.status(404).json({ message: 'No se encontraron tablas para exportar' });
+    }
 
-        // Verificar si la columna contiene datos antes de eliminarla.
-        const [{ count }] = await sequelize.query(
-          `SELECT COUNT(*) as count FROM "${table_name}" WHERE "${columnName}" IS NOT NULL`,
-          { type: Sequelize.QueryTypes.SELECT }
-        );
+    res.status(200).json(schema);
+  } catch (error) {
+    console.error('Error exportando el esquema:', error);
+    res.status(500).json({ message: 'Error exportando el esquema', error: error.message });
+  }
+};
 
-        // Si la columna contiene datos, no se permite eliminarla.
-        if (parseInt(count, 10) > 0) {
-          return res.status(400).json({
-            message: `No se puede eliminar la columna "${columnName}" porque contiene datos.`,
-          });
-        }
+exports.importTableSchemas = async (req, res) => {
+  // El cuerpo es el documento exportado, o { schema, dry_run }. Por defecto la importación es una
+  // vista previa: solo se aplica cuando 'dry_run' es false.
+  const schema = req.body && req.body.schema ? req.body.schema : req.body;
+  const dryRun = !(req.body && req.body.dry_run === false);
 
-        // Verificar si la columna tiene restricciones de clave foránea.
-        const foreignKeys = await sequelize.query(
-          `
-          SELECT constraint_name
-          FROM information_schema.key_column_usage
-          WHERE table_name = :table_name
-          AND column_name = :column_name
-        `,
-          {
-            replacements: { table_name, column_name: columnName },
-            type: Sequelize.QueryTypes.SELECT,
-          }
-        );
+  try {
+    const schemaError = validateSchemaDocument(schema);
+    if (schemaError) {
+      return res.status(400).json({ message: schemaError });
+    }
 
-        // Si la columna está involucrada en una clave foránea, no se puede eliminar.
-        if (foreignKeys.length > 0) {
-          return res.status(400).json({
-            message: `No se puede eliminar la columna "${columnName}" porque tiene restricciones de clave foránea.`,
-          });
-        }
+    // Calcular el DDL que se aplicaría a cada tabla.
+    const plan = await buildImportPlan(schema);
+    if (plan.errors.length > 0) {
+      return res.status(409).json({ message: 'El esquema no se puede importar', errors: plan.errors, plan: plan.tables });
+    }
 
-        // Si la columna no tiene datos ni restricciones de claves foráneas, proceder a eliminarla.
-        await queryInterface.removeColumn(table_name, columnName);
-      }
+    if (dryRun) {
+      return res.status(200).json({
+        message: 'Vista previa de la importación. Envíe dry_run: false para aplicar los cambios.',
+        dry_run: true,
+        statements: plan.statements,
+        tables: plan.tables,
+      });
     }
 
-    // Devolver un mensaje de éxito indicando que la tabla fue actualizada.
-    res.status(200).json({ message: `Tabla "${table_name}" actualizada con éxito` });
+    await applyImportPlan(schema, plan, { userId: req.user && req.user.id });
+
+    res.status(200).json({
+      message: 'Esquema importado con éxito',
+      dry_run: false,
+      statements: plan.statements,
+      tables: plan.tables,
+    });
   } catch (error) {
-    // Capturar cualquier error y devolver un mensaje de error.
-    console.error('Error editando la tabla:', error);
-    res.status(500).json({ message: 'Error editando la tabla', error: error.message });
+    // Si una sentencia falla no se aplica ningún cambio; se informa la sentencia que falló.
+    if (error.statement) {
+      return res.status(409).json({
+        message: 'No se pudo aplicar el esquema; no se realizó ningún cambio',
+        statement: error.statement,
+        error: error.message,
+      });
+    }
+    console.error('Error importando el esquema:', error);
+    res.status(500).json({ message: 'Error importando el esquema', error: error.message });
   }
 };
 
-
 // ----------------------------------------------------------------------------------------
 // ------------------------------ CONTROLADOR addRecord -----------------------------------
 // ----------------------------------------------------------------------------------------
@@ -412,18 +1774,23 @@ exports.addRecord = async (req, res) => {
     // ------------------------- VALIDACIÓN DEL NOMBRE DE LA TABLA -----------------------------
     // ----------------------------------------------------------------------------------------
 
-    // Verificar que el nombre de la tabla comience con 'inscription_', 'provider_' o 'pi_'.
+    // Verificar que el nombre de la tabla tenga el prefijo de un módulo registrado.
     // Esto garantiza que solo se agreguen registros a tablas que cumplan con el estándar definido.
-    if (
-      !table_name.startsWith('inscription_') &&
-      !table_name.startsWith('provider_') &&
-      !table_name.startsWith('pi_')
-    ) {
+    if (!(await getTableModule(table_name))) {
       return res.status(400).json({ message: 'Nombre de tabla inválido' });
     }
 
-    // Obtener el modelo de la tabla dinámica a partir del nombre usando Sequelize.
-    const Table = sequelize.model(table_name);
+    // Definir el modelo de la tabla dinámica a partir de sus columnas.
+    const Table = await getDynamicModel(table_name);
+    if (!Table) {
+      return res.status(404).json({ message: `No se encontraron columnas para la tabla ${table_name}` });
+    }
+
+    // Validar los datos según las opciones y las reglas de validación de los campos.
+    const { data: values, errors: validationErrors } = await validateRecord(table_name, recordData);
+    if (validationErrors.length > 0) {
+      return res.status(422).json({ message: 'Los datos del registro no son válidos', errors: validationErrors });
+    }
 
     // ----------------------------------------------------------------------------------------
     // ------------------- VALIDACIÓN DE RELACIONES DE CLAVES FORÁNEAS -------------------------
@@ -452,7 +1819,19 @@ exports.addRecord = async (req, res) => {
     // ----------------------------------------------------------------------------------------
 
     // Crear un nuevo registro en la tabla usando los datos validados de 'recordData'.
-    const newRecord = await Table.create(recordData);
+    const newRecord = await Table.create(values);
+
+    // Registrar la creación en el historial con el contenido del registro. La ruta pública no tiene usuario.
+    await insertHistory(
+      table_name,
+      newRecord.id,
+      req.user ? req.user.id : null,
+      'create',
+      null,
+      null,
+      newRecord.get({ plain: true }),
+      'Registro creado'
+    );
 
     // Devolver una respuesta exitosa con un mensaje y los detalles del nuevo registro creado.
     res.status(201).json({ message: 'Registro añadido con éxito', newRecord });
@@ -481,17 +1860,21 @@ exports.getTableFields = async (req, res) => {
       SELECT 
         c.column_name, 
         c.data_type,
+        c.numeric_precision,
+        c.numeric_scale,
         c.is_nullable,
         tc.constraint_type,
         ccu.table_name AS foreign_table_name,
         ccu.column_name AS foreign_column_name
       FROM information_schema.columns c
-      LEFT JOIN information_schema.key_column_usage kcu
+      LEFT JOIN (
+        information_schema.key_column_usage kcu
+        JOIN information_schema.table_constraints tc
+          ON kcu.constraint_name = tc.constraint_name
+          AND tc.constraint_type = 'FOREIGN KEY'
+      )
         ON LOWER(c.table_name) = LOWER(kcu.table_name)
         AND LOWER(c.column_name) = LOWER(kcu.column_name)
-      LEFT JOIN information_schema.table_constraints tc
-        ON kcu.constraint_name = tc.constraint_name
-        AND tc.constraint_type = 'FOREIGN KEY'
       LEFT JOIN information_schema.constraint_column_usage ccu
         ON tc.constraint_name = ccu.constraint_name
       WHERE LOWER(c.table_name) = LOWER(:table_name)
@@ -505,41 +1888,74 @@ exports.getTableFields = async (req, res) => {
       return res.status(404).json({ message: `No se encontraron campos para la tabla ${table_name}` });
     }
 
-    // Mapear los tipos de datos de PostgreSQL a tipos de datos más amigables para el frontend.
-    const fieldDataTypes = fields.map(field => {
-      let mappedType;
-      switch (field.data_type) {
-        case 'character varying':
-        case 'varchar':
-          mappedType = 'VARCHAR(255)';
-          break;
-        case 'text':
-          mappedType = 'TEXT';
-          break;
-        case 'integer':
-          mappedType = 'INTEGER';
-          break;
-        case 'numeric':
-        case 'decimal':
-          mappedType = 'DECIMAL';
-          break;
-        case 'boolean':
-          mappedType = 'BOOLEAN';
-          break;
-        case 'date':
-        case 'timestamp without time zone':
-          mappedType = 'DATE';
-          break;
-        default:
-          mappedType = field.data_type.toUpperCase();
-      }
+    // Obtener los metadatos de presentación (etiqueta, ayuda, orden, sección) de los campos.
+    const metadataMap = await getFieldMetadataMap(table_name);
+
+    // Restricciones únicas (y clave primaria) de la tabla, para indicar qué campos no admiten valores repetidos.
+    const uniqueIndexes = (await listIndexes(table_name)).filter((index) => index.is_unique);
+
+    // Mapear los tipos de datos de PostgreSQL a tipos de datos más amigables para el frontend
+    // y combinar cada campo con sus metadatos. Si no hay etiqueta, se usa el nombre de la columna.
+    const fieldDataTypes = fields.map((field) => {
+      const metadata = metadataMap[field.column_name];
 
       return {
         ...field,
-        data_type: mappedType,
+        data_type: resolveFieldType(field.data_type, metadata && metadata.field_type, {
+          precision: field.numeric_precision,
+          scale: field.numeric_scale,
+        }),
+        label: (metadata && metadata.label) || field.column_name,
+        description: metadata ? metadata.description : null,
+        placeholder: metadata ? metadata.placeholder : null,
+        display_order: metadata ? metadata.display_order : null,
+        section: metadata ? metadata.section : null,
+        hidden: metadata ? metadata.hidden : false,
+        options: metadata && metadata.options ? getActiveOptions(metadata) : null,
+        validation_rules: metadata ? metadata.validation_rules : null,
+        display_template: metadata ? metadata.display_template : null,
+        display_sort: metadata ? metadata.display_sort : null,
+        // 'unique' solo es verdadero si el campo es único por sí solo; las restricciones compuestas
+        // en las que participa se listan en 'unique_constraints'.
+        unique: uniqueIndexes.some((index) => index.columns.length === 1 && index.columns[0] === field.column_name),
+        unique_constraints: uniqueIndexes
+          .filter((index) => index.columns.includes(field.column_name))
+          .map((index) => ({ name: index.name, columns: index.columns })),
       };
     });
 
+    // Agregar los campos calculados, que no son columnas de la tabla y son de solo lectura.
+    for (const metadata of getComputedFields(metadataMap)) {
+      fieldDataTypes.push({
+        column_name: metadata.field_name,
+        data_type: COMPUTED_TYPE,
+        is_nullable: 'YES',
+        constraint_type: null,
+        foreign_table_name: null,
+        foreign_column_name: null,
+        label: metadata.label || metadata.field_name,
+        description: metadata.description,
+        placeholder: metadata.placeholder,
+        display_order: metadata.display_order,
+        section: metadata.section,
+        hidden: metadata.hidden,
+        options: null,
+        validation_rules: null,
+        unique: false,
+        unique_constraints: [],
+        expression: metadata.expression,
+        read_only: true,
+      });
+    }
+
+    // Ordenar los campos según 'display_order'; los campos sin orden definido van al final.
+    fieldDataTypes.sort((a, b) => {
+      if (a.display_order === null && b.display_order === null) return 0;
+      if (a.display_order === null) return 1;
+      if (b.display_order === null) return -1;
+      return a.display_order - b.display_order;
+    });
+
     // Devolver la lista de campos con sus tipos mapeados como respuesta exitosa.
     res.status(200).json(fieldDataTypes);
   } catch (error) {
@@ -654,65 +2070,21 @@ exports.uploadCsv = async (req, res) => {
     }
 
     // ----------------------------------------------------------------------------------------
-    // ---------------------- OBTENER LAS COLUMNAS DE LA TABLA --------------------------------
+    // -------------- DEFINIR EL MODELO DE LA TABLA DINÁMICAMENTE -----------------------------
     // ----------------------------------------------------------------------------------------
 
-    // Obtener las columnas de la tabla desde 'information_schema'.
-    const [columns] = await sequelize.query(`
-      SELECT column_name, data_type, column_default
-      FROM information_schema.columns
-      WHERE table_name = '${table_name}'
-      AND table_schema = 'public'
-    `);
+    // Definir el modelo de la tabla a partir de sus columnas en 'information_schema'.
+    const Table = await getDynamicModel(table_name);
 
     // Si no se encuentran columnas, devolver un error 404.
-    if (columns.length === 0) {
+    if (!Table) {
       return res.status(404).json({ message: `No se encontraron columnas para la tabla ${table_name}` });
     }
 
-    // ----------------------------------------------------------------------------------------
-    // -------------- DEFINIR EL MODELO DE LA TABLA DINÁMICAMENTE -----------------------------
-    // ----------------------------------------------------------------------------------------
-
-    // Crear un mapeo de tipos de datos válidos de Sequelize.
-    const validTypes = {
-      varchar: Sequelize.STRING,
-      'character varying': Sequelize.STRING, // Soporte para VARCHAR.
-      text: Sequelize.TEXT,                  // Soporte para TEXT.
-      integer: Sequelize.INTEGER,
-      boolean: Sequelize.BOOLEAN,
-      date: Sequelize.DATE,
-    };
-
-    // Configurar las columnas del modelo basado en las columnas de la tabla.
-    const tableColumns = columns.reduce((acc, column) => {
-      const sequelizeType = validTypes[column.data_type.toLowerCase()];
-      if (sequelizeType) {
-        acc[column.column_name] = {
-          type: sequelizeType,
-          allowNull: true,
-        };
-
-        // Si la columna 'id' es autoincremental, marcarla como clave primaria.
-        if (
-          column.column_name === 'id' &&
-          column.column_default &&
-          column.column_default.includes('nextval')
-        ) {
-          acc[column.column_name].primaryKey = true;
-          acc[column.column_name].autoIncrement = true;
-        }
-      } else {
-        console.log(`Tipo de dato no válido para la columna: ${column.column_name}`); // Verificación de tipo de dato.
-      }
-      return acc;
-    }, {});
+    const tableColumns = Table.rawAttributes;
 
-    // Definir el modelo de la tabla dinámicamente, desactivando la creación de columna 'id' por defecto.
-    const Table = sequelize.define(table_name, tableColumns, {
-      timestamps: false,
-      freezeTableName: true, // Evitar pluralizar el nombre de la tabla.
-    });
+    // Metadatos de los campos, para reconocer los campos de selección.
+    const metadataMap = await getFieldMetadataMap(table_name);
 
     // ----------------------------------------------------------------------------------------
     // ---------------------------- PROCESAR Y LEER EL ARCHIVO CSV ----------------------------
@@ -728,9 +2100,13 @@ exports.uploadCsv = async (req, res) => {
         // Tratar los valores del CSV y convertirlos a un formato adecuado para la base de datos.
         const processedData = Object.keys(data).reduce((acc, key) => {
           if (tableColumns[key]) {
+            const typeKey = tableColumns[key].type.key;
             // Asegurarse de que los valores no sean nulos para los campos de tipo VARCHAR y TEXT.
-            if (tableColumns[key].type === Sequelize.STRING || tableColumns[key].type === Sequelize.TEXT) {
+            if (typeKey === 'STRING' || typeKey === 'TEXT') {
               acc[key] = data[key] ? data[key].toString().trim() : ''; // Convertir a cadena y limpiar espacios.
+            } else if (typeKey === 'ARRAY') {
+              // Los campos MULTISELECT se escriben en el CSV separados por ';'.
+              acc[key] = data[key] ? toMultiselectValue(data[key]) : null;
             } else {
               acc[key] = data[key]; // Asignar el valor directamente para otros tipos de datos.
             }
@@ -751,11 +2127,62 @@ exports.uploadCsv = async (req, res) => {
           // ----------------------- INSERTAR DATOS EN LA TABLA -------------------------------------
           // ----------------------------------------------------------------------------------------
 
+          // Validar cada fila del CSV según las opciones y las reglas de validación de los campos,
+          // incluidos los valores repetidos dentro del mismo archivo en los campos únicos.
+          const rowErrors = [];
+          for (const [index, row] of results.entries()) {
+            const { data: values, errors } = await validateRecord(table_name, row, { metadataMap });
+            results[index] = values;
+            errors.forEach((error) => rowErrors.push({ row: index + 1, ...error }));
+          }
+          rowErrors.push(...findDuplicateValues(results, metadataMap));
+
+          if (rowErrors.length > 0) {
+            return res.status(422).json({ message: 'Los datos del archivo CSV no son válidos', errors: rowErrors });
+          }
+
           // Insertar los datos del CSV en la tabla usando 'bulkCreate' para realizar la inserción masiva.
-          await Table.bulkCreate(results, { validate: true });
+          // La carga es una operación masiva: cada registro creado queda en el historial con el ID de la
+          // operación, para poder revertir la carga completa.
+          const operation = await sequelize.transaction(async (transaction) => {
+            const created = await Table.bulkCreate(results, { validate: true, returning: true, transaction });
+            const newOperation = await BulkOperation.create({
+              table_name,
+              operation_type: 'csv_import',
+              record_count: created.length,
+              description: `Carga del archivo CSV ${req.file.originalname}`,
+              user_id: req.user.id,
+            }, { transaction });
+
+            if (created.length > 0) {
+              const records = await sequelize.query(`SELECT * FROM "${table_name}" WHERE id IN (:ids)`, {
+                replacements: { ids: created.map((record) => record.id) },
+                type: QueryTypes.SELECT,
+                transaction,
+              });
+              for (const record of records) {
+                await insertHistory(
+                  table_name,
+                  record.id,
+                  req.user.id,
+                  'create',
+                  null,
+                  null,
+                  JSON.stringify(record),
+                  'Registro creado (carga de CSV)',
+                  { transaction, operationId: newOperation.id }
+                );
+              }
+            }
+            return newOperation;
+          });
 
           // Responder con un mensaje de éxito si la inserción es exitosa.
-          res.status(201).json({ message: 'Datos insertados con éxito en la tabla' });
+          res.status(201).json({
+            message: 'Datos insertados con éxito en la tabla',
+            operation_id: operation.id,
+            inserted: operation.record_count,
+          });
         } catch (error) {
           console.error('Error insertando datos en la tabla:', error);
           res.status(500).json({
@@ -807,7 +2234,7 @@ exports.downloadCsvData = async (req, res) => {
 
     // Obtener los nombres de las columnas de la tabla desde 'information_schema'.
     const [columns] = await sequelize.query(`
-      SELECT column_name
+      SELECT column_name, data_type, numeric_precision, numeric_scale
       FROM information_schema.columns
       WHERE table_name = '${table_name}'
       AND table_schema = 'public'
@@ -822,15 +2249,39 @@ exports.downloadCsvData = async (req, res) => {
     // -------------------------- OBTENER LOS DATOS DE LA TABLA --------------------------------
     // ----------------------------------------------------------------------------------------
 
-    // Obtener todos los registros de la tabla.
-    const [rows] = await sequelize.query(`SELECT * FROM ${table_name}`);
+    // Campos calculados de la tabla, que se exportan como columnas adicionales.
+    const metadataMap = await getFieldMetadataMap(table_name);
+    const computedColumns = buildComputedSelect(metadataMap, columns.map((c) => c.column_name));
+
+    // Obtener todos los registros de la tabla, salvo los que están en la papelera.
+    const [records] = await sequelize.query(
+      `SELECT *${computedColumns.map(({ name, sql }) => `, ${sql} AS ${quoteIdentifier(name)}`).join('')} FROM "${table_name}"
+       WHERE ${notDeletedCondition(table_name)}`
+    );
+
+    // Convertir las listas, coordenadas y documentos JSON al mismo formato de texto que acepta la carga de CSV.
+    const columnTypes = columns.reduce((acc, c) => {
+      acc[c.column_name] = resolveFieldType(c.data_type, metadataMap[c.column_name] && metadataMap[c.column_name].field_type, {
+        precision: c.numeric_precision,
+        scale: c.numeric_scale,
+      });
+      return acc;
+    }, {});
+    const rows = records.map((record) =>
+      Object.keys(record).reduce((acc, key) => {
+        acc[key] = toCsvValue(record[key], columnTypes[key]);
+        return acc;
+      }, {})
+    );
 
     // ----------------------------------------------------------------------------------------
     // --------------------------- GENERAR CSV USANDO json2csv ---------------------------------
     // ----------------------------------------------------------------------------------------
 
-    // Crear un parser de JSON a CSV con los nombres de las columnas como campos.
-    const json2csvParser = new Parser({ fields: columns.map(c => c.column_name) });
+    // Crear un parser de JSON a CSV con los nombres de las columnas (y de los campos calculados) como campos.
+    const json2csvParser = new Parser({
+      fields: [...columns.map((c) => c.column_name), ...computedColumns.map(({ name }) => name)],
+    });
 
     // Generar el CSV usando los datos de la tabla.
     const csv = json2csvParser.parse(rows);
@@ -865,15 +2316,16 @@ exports.downloadCsvData = async (req, res) => {
 
 exports.getTableRecords = async (req, res) => {
   const { table_name } = req.params; // Nombre de la tabla
-  const filters = req.query; // Filtros pasados en la query string
+  // Filtros pasados en la query string: "col=valor", "col[op]=valor" o 'filter' en JSON (ver buildFilterClause),
+  // y 'q' para buscar texto en todas las columnas de texto (ver recordSearch).
+  // 'page', 'pageSize', 'cursor', 'sort' y 'fields' controlan la paginación, el orden y las columnas
+  // de la respuesta (ver parseRecordQuery).
+  const filters = req.query;
 
   try {
     // Validar que el nombre de la tabla sea válido
-    if (
-      !table_name.startsWith('inscription_') &&
-      !table_name.startsWith('provider_') &&
-      !table_name.startsWith('pi_')
-    ) {
+    const tableModule = await getTableModule(table_name);
+    if (!tableModule) {
       return res.status(400).json({ message: 'Nombre de tabla inválido' });
     }
 
@@ -889,86 +2341,269 @@ exports.getTableRecords = async (req, res) => {
       }
     );
 
+    // Campos calculados de la tabla, que se evalúan en la misma consulta.
+    const computedColumns = buildComputedSelect(
+      await getFieldMetadataMap(table_name),
+      fields.map((field) => field.column_name),
+      { qualifier: table_name }
+    );
+
+    const columnNames = [...fields.map((field) => field.column_name), ...computedColumns.map(({ name }) => name)];
+
+    // Vista guardada ('view_id'): aporta su filtro, y su orden y columnas si la solicitud no los indica.
+    let view = null;
+    let query = filters;
+    if (filters[VIEW_PARAM] !== undefined) {
+      view = await findVisibleView(filters[VIEW_PARAM], table_name, req.user);
+      if (!view) {
+        return res.status(404).json({ message: 'Vista no encontrada' });
+      }
+      query = applyViewToQuery(view, filters, columnNames);
+    }
+
+    // Interpretar los parámetros de paginación, orden y proyección.
+    const paginated = isPaginatedQuery(query);
+    let options = { sort: [], fields: null };
+    if (paginated) {
+      const preference = query.fields === 'preferences'
+        ? await FieldPreference.findOne({ where: { table_name } })
+        : null;
+      options = parseRecordQuery(query, {
+        columnNames,
+        visibleColumns: preference ? preference.visible_columns : null,
+      });
+      if (options.error) {
+        return res.status(400).json({ message: options.error });
+      }
+    }
+
+    // Columnas de la consulta: todas o solo las solicitadas en 'fields'.
+    const selectedColumns = options.fields
+      ? [
+        ...options.fields
+          .filter((name) => fields.some((field) => field.column_name === name))
+          .map((name) => `"${table_name}"."${name}"`),
+        ...computedColumns
+          .filter(({ name }) => options.fields.includes(name))
+          .map(({ name, sql }) => `${sql} AS ${quoteIdentifier(name)}`),
+      ]
+      : [`"${table_name}".*`, ...computedColumns.map(({ name, sql }) => `${sql} AS ${quoteIdentifier(name)}`)];
+
     // Base de la consulta SQL
-    let query = `SELECT "${table_name}".* FROM "${table_name}"`;
+    let fromClause = `FROM "${table_name}"`;
     const replacements = {}; // Reemplazos para los parámetros dinámicos
-    const whereClauses = []; // Condiciones WHERE
+    // Condiciones WHERE. Los registros en la papelera no se listan.
+    const whereClauses = [notDeletedCondition(table_name)];
 
-    // Manejo específico para tablas que empiezan con "pi_"
-    if (table_name.startsWith('pi_')) {
-      query += `
+    // Manejo específico para las tablas del módulo del plan de inversión
+    if (tableModule.key === PI_MODULE_KEY) {
+      fromClause += `
         INNER JOIN inscription_caracterizacion 
         ON "${table_name}".caracterizacion_id = inscription_caracterizacion.id
       `;
       whereClauses.push(`inscription_caracterizacion."Estado" = 7`); // Filtro por Estado 7
+      whereClauses.push(notDeletedCondition('inscription_caracterizacion'));
     }
 
-    // Inicializar contador para generar nombres únicos de parámetros
-    let paramIndex = 1;
+    // Columnas filtrables con su expresión SQL y su tipo, para validar los operadores de cada filtro.
+    const filterColumns = await getFilterColumns(table_name, fields);
 
-    // Procesar filtros de la query string
-    for (const [key, value] of Object.entries(filters)) {
-      const fieldInCurrentTable = fields.find(
-        (field) => field.column_name.toLowerCase() === key.toLowerCase()
-      );
-
-      const paramName = `param${paramIndex}`; // Nombre del parámetro
-      paramIndex++;
+    // Procesar filtros de la query string (igualdad, operadores y grupos AND / OR, ver buildFilterClause)
+    try {
+      const filterClause = buildFilterClause(query, filterColumns, {
+        ignoredParams: [...RESERVED_PARAMS, SEARCH_PARAM],
+        baseFilter: view ? view.filters : null,
+      });
+      if (filterClause.sql) {
+        whereClauses.push(filterClause.sql);
+        Object.assign(replacements, filterClause.replacements);
+      }
+    } catch (error) {
+      if (error instanceof FilterError) {
+        return res.status(400).json({ message: error.message });
+      }
+      throw error;
+    }
 
-      // Condición específica para la tabla "pi_" y el campo "Estado"
-      if (table_name.startsWith('pi_') && key === 'Estado') {
-        whereClauses.push(`inscription_caracterizacion."Estado" = :${paramName}`);
-        replacements[paramName] = value;
-      } else if (fieldInCurrentTable) {
-        // Si el campo existe en la tabla actual, agregarlo como filtro
-        whereClauses.push(`"${table_name}"."${fieldInCurrentTable.column_name}" = :${paramName}`);
-        replacements[paramName] = value;
+    // Búsqueda de texto ('q') en todas las columnas de texto, sin distinguir tildes ni mayúsculas.
+    // Los resultados se ordenan por relevancia salvo que se indique otro orden.
+    let searchRank = null;
+    if (query[SEARCH_PARAM] !== undefined && String(query[SEARCH_PARAM]).trim() !== '') {
+      const searchQuery = buildSearchQuery(query[SEARCH_PARAM]);
+      if (!searchQuery) {
+        return res.status(400).json({ message: 'El texto de búsqueda debe contener letras o números' });
       }
+      const searchColumns = await getSearchColumns(table_name);
+      if (searchColumns.length === 0) {
+        return res.status(400).json({ message: `La tabla ${table_name} no tiene columnas de texto para buscar` });
+      }
+      const search = buildSearchClause(searchColumns, 'searchQuery', { qualifier: table_name });
+      whereClauses.push(search.where);
+      replacements.searchQuery = searchQuery;
+      searchRank = search.rank;
     }
 
     // Construir cláusula WHERE si hay condiciones
-    if (whereClauses.length > 0) {
-      query += ` WHERE ${whereClauses.join(' AND ')}`;
+    const whereClause = whereClauses.length > 0 ? ` WHERE ${whereClauses.join(' AND ')}` : '';
+
+    // Sin parámetros de paginación se mantiene la respuesta original: la lista completa de registros.
+    if (!paginated) {
+      const orderClause = searchRank ? ` ORDER BY ${searchRank} DESC, "${table_name}"."id" ASC` : '';
+      const [records] = await sequelize.query(
+        `SELECT ${selectedColumns.join(', ')} ${fromClause}${whereClause}${orderClause}`,
+        { replacements }
+      );
+      return res.status(200).json(normalizeRecordTypes(records, fields));
+    }
+
+    // Orden: las columnas de la tabla se califican con su nombre (por el JOIN de las tablas 'pi_') y los
+    // campos calculados se ordenan por su alias. Con búsqueda y sin orden indicado se ordena por relevancia
+    // (no en la paginación por cursor, que avanza por ID). El ID desempata para que las páginas sean estables.
+    const orderBy = options.sort.map(({ column, direction }) =>
+      fields.some((field) => field.column_name === column)
+        ? `"${table_name}"."${column}" ${direction}`
+        : `"${column}" ${direction}`
+    );
+    if (searchRank && orderBy.length === 0 && !options.cursor) {
+      orderBy.push(`${searchRank} DESC`);
+    }
+    const idSort = options.sort.find(({ column }) => column === 'id');
+    if (!idSort) {
+      orderBy.push(`"${table_name}"."id" ASC`);
     }
 
-    // Log para depuración de la consulta generada
-    console.log('Consulta SQL generada:', query);
-    console.log('Reemplazos:', replacements);
+    // Paginación por cursor: registros posteriores al último ID recibido.
+    let pageWhereClause = whereClause;
+    if (options.cursor) {
+      const operator = idSort && idSort.direction === 'DESC' ? '<' : '>';
+      pageWhereClause += `${whereClause ? ' AND' : ' WHERE'} "${table_name}"."id" ${operator} :cursor`;
+      replacements.cursor = options.cursor;
+    }
 
-    // Ejecutar la consulta
-    const [records] = await sequelize.query(query, { replacements });
+    // Se pide un registro adicional para saber si hay más páginas.
+    replacements.limit = options.pageSize + 1;
+    replacements.offset = options.cursor ? 0 : (options.page - 1) * options.pageSize;
 
-    // Mapear registros con sus tipos correspondientes
-    const recordsWithTypes = records.map((record) => {
-      const newRecord = {};
-      for (const [key, value] of Object.entries(record)) {
-        const field = fields.find((f) => f.column_name === key);
-        if (field && field.data_type === 'boolean') {
-          newRecord[key] = value === null ? null : Boolean(value); // Asegurar tipo booleano
-        } else {
-          newRecord[key] = value;
-        }
-      }
-      return newRecord;
+    const [rows] = await sequelize.query(
+      `SELECT ${selectedColumns.join(', ')} ${fromClause}${pageWhereClause}
+       ORDER BY ${orderBy.join(', ')}
+       LIMIT :limit OFFSET :offset`,
+      { replacements }
+    );
+    const [{ total }] = await sequelize.query(`SELECT COUNT(*)::int AS total ${fromClause}${whereClause}`, {
+      replacements,
+      type: QueryTypes.SELECT,
+    });
+
+    const hasMore = rows.length > options.pageSize;
+    const records = normalizeRecordTypes(rows.slice(0, options.pageSize), fields);
+
+    // Enviar respuesta con los registros de la página y los metadatos de paginación. Con una vista se
+    // devuelven también sus columnas (con su orden y ancho) para la presentación.
+    const response = {
+      records,
+      pagination: buildPagination(options, total, records, hasMore),
+    };
+    if (view) {
+      response.view = { id: view.id, name: view.name, columns: view.columns };
+    }
+    res.status(200).json(response);
+  } catch (error) {
+    // Manejo de errores y logs para depuración
+    console.error('Error obteniendo los registros:', error);
+    res.status(500).json({
+      message: 'Error obteniendo los registros',
+      error: error.message,
     });
+  }
+};
+
+// ----------------------------------------------------------------------------------------
+// ----------------------------- CONTROLADOR globalSearch ---------------------------------
+// ----------------------------------------------------------------------------------------
+
+// Busca un texto (p. ej. un número de cédula) en todas las tablas dinámicas registradas, en los comentarios
+// y en los nombres de los archivos. Los resultados se agrupan por tabla y cada uno indica el registro
+// al que pertenece (table_name, record_id) para poder abrirlo. Como en listTables, las tablas archivadas
+// se omiten salvo que se indique includeArchived=true.
+exports.globalSearch = async (req, res) => {
+  const { q, includeArchived } = req.query;
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : 5;
+
+  try {
+    if (!q || String(q).trim() === '') {
+      return res.status(400).json({ message: 'Debe indicar el texto a buscar en el parámetro q' });
+    }
+    const searchQuery = buildSearchQuery(q);
+    if (!searchQuery) {
+      return res.status(400).json({ message: 'El texto de búsqueda debe contener letras o números' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({ message: 'El parámetro limit debe ser un entero entre 1 y 50' });
+    }
+
+    // Tablas dinámicas registradas en alguno de los módulos (sin las archivadas, salvo que se soliciten).
+    const modules = await getModules();
+    const tables = (await TablesMetadata.findAll({
+      where: includeArchived === 'true' ? {} : { is_archived: false },
+      order: [['sort_order', 'ASC'], ['table_name', 'ASC']],
+    })).filter((table) => matchTableModule(table.table_name, modules));
+
+    const groups = [];
+    for (const table of tables) {
+      const result = await searchTable(table.table_name, searchQuery, { limit });
+      if (!result || result.total === 0) {
+        continue;
+      }
+      groups.push({
+        type: 'table',
+        table_name: table.table_name,
+        display_name: table.display_name,
+        module: table.module,
+        total: result.total,
+        results: result.records.map((record) => ({
+          table_name: table.table_name,
+          record_id: record.record_id,
+          snippet: record.snippet,
+          rank: record.rank,
+        })),
+      });
+    }
+
+    // Las tablas con las coincidencias más relevantes primero.
+    const bestRank = (group) => Math.max(...group.results.map((result) => result.rank));
+    groups.sort((a, b) => bestRank(b) - bestRank(a));
+
+    // Comentarios y archivos: el enlace apunta al registro comentado o al que pertenece el archivo. Solo se
+    // buscan los de las tablas consultadas, para no mostrar los de las tablas archivadas.
+    const tableNames = tables.map((table) => table.table_name);
+    const comments = await searchComments(searchQuery, { tableNames, limit });
+    if (comments.total > 0) {
+      groups.push({
+        type: 'comments',
+        table_name: 'comments',
+        total: comments.total,
+        results: comments.records,
+      });
+    }
 
-    // Log de los registros obtenidos
-    console.log('Registros obtenidos:', recordsWithTypes);
+    const files = await searchFiles(searchQuery, { tableNames, limit });
+    if (files.total > 0) {
+      groups.push({
+        type: 'files',
+        table_name: 'files',
+        total: files.total,
+        results: files.records.map((file) => ({ ...file, snippet: file.name })),
+      });
+    }
 
-    // Enviar respuesta con los registros procesados
-    res.status(200).json(recordsWithTypes);
+    res.status(200).json({ q, groups });
   } catch (error) {
-    // Manejo de errores y logs para depuración
-    console.error('Error obteniendo los registros:', error);
-    res.status(500).json({
-      message: 'Error obteniendo los registros',
-      error: error.message,
-    });
+    console.error('Error en la búsqueda global:', error);
+    res.status(500).json({ message: 'Error en la búsqueda global', error: error.message });
   }
 };
 
-
-
 // ----------------------------------------------------------------------------------------
 // ------------------------- CONTROLADOR getTableRecordById -------------------------------
 // ----------------------------------------------------------------------------------------
@@ -979,58 +2614,16 @@ exports.getTableRecordById = async (req, res) => {
 
   try {
     // ----------------------------------------------------------------------------------------
-    // -------------------- DEFINIR TIPOS DE DATOS VÁLIDOS Y MODELO DINÁMICO -------------------
+    // ------------------------------ DEFINIR EL MODELO DINÁMICO ------------------------------
     // ----------------------------------------------------------------------------------------
 
-    // Definir un mapeo de tipos de datos válidos para Sequelize.
-    const validTypes = {
-      varchar: Sequelize.STRING,
-      'character varying': Sequelize.STRING,
-      text: Sequelize.TEXT,
-      integer: Sequelize.INTEGER,
-      boolean: Sequelize.BOOLEAN,
-      date: Sequelize.DATE,
-    };
-
-    // Verificar si el modelo de la tabla ya está definido en Sequelize.
-    let Table;
-    if (sequelize.isDefined(table_name)) {
-      Table = sequelize.model(table_name);
-    } else {
-      // Si el modelo no está definido, se obtiene la estructura de la tabla y se define el modelo dinámicamente.
-      const [columns] = await sequelize.query(`
-        SELECT column_name, data_type
-        FROM information_schema.columns
-        WHERE table_name = '${table_name}'
-        AND table_schema = 'public'
-      `);
-
-      // Si no se encuentran columnas para la tabla, devolver un error 404.
-      if (columns.length === 0) {
-        return res.status(404).json({
-          message: `No se encontraron columnas para la tabla ${table_name}`,
-        });
-      }
-
-      // Crear el modelo de la tabla basado en los tipos de datos de las columnas.
-      const tableColumns = columns.reduce((acc, column) => {
-        const sequelizeType = validTypes[column.data_type.toLowerCase()];
-        if (sequelizeType) {
-          acc[column.column_name] = { type: sequelizeType, allowNull: true };
-
-          // Marcar la columna 'id' como clave primaria si aplica.
-          if (column.column_name === 'id') {
-            acc[column.column_name].primaryKey = true;
-            acc[column.column_name].autoIncrement = true;
-          }
-        }
-        return acc;
-      }, {});
+    // Definir el modelo de la tabla a partir de sus columnas en 'information_schema'.
+    const Table = await getDynamicModel(table_name);
 
-      // Definir el modelo de la tabla de forma dinámica.
-      Table = sequelize.define(table_name, tableColumns, {
-        timestamps: false,
-        freezeTableName: true,
+    // Si no se encuentran columnas para la tabla, devolver un error 404.
+    if (!Table) {
+      return res.status(404).json({
+        message: `No se encontraron columnas para la tabla ${table_name}`,
       });
     }
 
@@ -1038,14 +2631,25 @@ exports.getTableRecordById = async (req, res) => {
     // ----------------------------- OBTENER EL REGISTRO ESPECÍFICO ----------------------------
     // ----------------------------------------------------------------------------------------
 
-    // Buscar el registro por su ID utilizando el método 'findByPk'.
-    const record = await Table.findByPk(record_id);
+    // Buscar el registro por su ID utilizando el método 'findByPk', incluyendo los campos calculados.
+    const metadataMap = await getFieldMetadataMap(table_name);
+    const computedAttributes = buildComputedSelect(
+      metadataMap,
+      Object.keys(Table.rawAttributes),
+      { qualifier: table_name }
+    ).map(({ name, sql }) => [sequelize.literal(sql), name]);
+    const record = await Table.findByPk(record_id, { attributes: { include: computedAttributes } });
 
     // Si el registro no existe, devolver un error 404.
     if (!record) {
       return res.status(404).json({ message: 'Registro no encontrado' });
     }
 
+    // Los registros en la papelera solo se consultan desde la papelera.
+    if (await isRecordDeleted(table_name, record_id)) {
+      return res.status(404).json({ message: 'El registro está en la papelera', deleted: true });
+    }
+
     // ----------------------------------------------------------------------------------------
     // --------------------------- OBTENER RELACIONES DE CLAVES FORÁNEAS -----------------------
     // ----------------------------------------------------------------------------------------
@@ -1056,6 +2660,9 @@ exports.getTableRecordById = async (req, res) => {
         kcu.column_name,
         ccu.table_name AS related_table
       FROM information_schema.key_column_usage kcu
+      JOIN information_schema.table_constraints tc
+        ON kcu.constraint_name = tc.constraint_name
+        AND tc.constraint_type = 'FOREIGN KEY'
       JOIN information_schema.constraint_column_usage ccu
         ON kcu.constraint_name = ccu.constraint_name
       WHERE kcu.table_name = '${table_name}'
@@ -1074,83 +2681,23 @@ exports.getTableRecordById = async (req, res) => {
       const relatedTableName = field.related_table;
       const foreignKeyColumn = field.column_name;
 
-      // Verificar si la tabla relacionada es válida según el tipo de tabla actual.
-      if (table_name.startsWith('provider_') && !relatedTableName.startsWith('provider_')) {
-        console.log(`Tabla relacionada ${relatedTableName} no pertenece a proveedores, ignorada.`);
-        continue;
-      }
-
-      if (table_name.startsWith('inscription_') && !relatedTableName.startsWith('inscription_')) {
-        console.log(`Tabla relacionada ${relatedTableName} no pertenece a inscripciones, ignorada.`);
-        continue;
-      }
-
-      if (
-        table_name.startsWith('pi_') &&
-        !relatedTableName.startsWith('pi_') &&
-        !relatedTableName.startsWith('inscription_') &&
-        !relatedTableName.startsWith('provider_')
-      ) {
-        console.log(
-          `Tabla relacionada ${relatedTableName} no pertenece a Plan de Inversión, Inscription o Provider, ignorada.`
-        );
+      // Verificar si la tabla relacionada pertenece a un módulo con el que se puede relacionar la tabla actual.
+      if (!(await canRelateTables(table_name, relatedTableName))) {
+        console.log(`Tabla relacionada ${relatedTableName} no pertenece a un módulo relacionado, ignorada.`);
         continue;
       }
 
       // Si hay una tabla relacionada válida, obtener sus datos.
       if (relatedTableName) {
-        // Verificar si el modelo de la tabla relacionada ya está definido.
-        let RelatedTable;
-        if (sequelize.isDefined(relatedTableName)) {
-          RelatedTable = sequelize.model(relatedTableName);
-        } else {
-          // Si no está definido, crear el modelo de la tabla relacionada.
-          const [relatedColumns] = await sequelize.query(`
-            SELECT column_name, data_type
-            FROM information_schema.columns
-            WHERE table_name = '${relatedTableName}'
-            AND table_schema = 'public'
-          `);
-
-          // Crear el modelo de la tabla relacionada.
-          const relatedTableColumns = relatedColumns.reduce((acc, column) => {
-            const sequelizeType = validTypes[column.data_type.toLowerCase()];
-            if (sequelizeType) {
-              acc[column.column_name] = { type: sequelizeType, allowNull: true };
-              if (column.column_name === 'id') {
-                acc[column.column_name].primaryKey = true;
-                acc[column.column_name].autoIncrement = true;
-              }
-            }
-            return acc;
-          }, {});
-
-          // Definir el modelo de la tabla relacionada dinámicamente.
-          RelatedTable = sequelize.define(relatedTableName, relatedTableColumns, {
-            timestamps: false,
-            freezeTableName: true,
-          });
+        // Obtener los registros relacionados con la plantilla y el orden configurados para la clave foránea.
+        const relatedOptions = await fetchRelatedOptions(relatedTableName, metadataMap[foreignKeyColumn]);
+        if (!relatedOptions) {
+          console.log(`No se encontraron columnas para la tabla relacionada ${relatedTableName}`);
+          continue;
         }
 
-        // Obtener todos los registros de la tabla relacionada.
-        const relatedRecords = await RelatedTable.findAll();
-
-        // Verificar si existen registros relacionados antes de acceder a ellos.
-        if (relatedRecords.length > 0) {
-          // Seleccionar un campo de visualización adecuado para la relación (usualmente diferente de 'id').
-          let displayField = Object.keys(relatedRecords[0].dataValues).find((col) => col !== 'id');
-
-          if (!displayField) {
-            displayField = 'id'; // Usar 'id' como fallback si no hay otro campo disponible.
-          }
-
-          console.log(`Related Table: ${relatedTableName}, Display Field: ${displayField}`);
-
-          // Mapear los registros relacionados a un formato adecuado.
-          relatedData[foreignKeyColumn] = relatedRecords.map((record) => ({
-            id: record.id,
-            displayValue: record[displayField],
-          }));
+        if (relatedOptions.length > 0) {
+          relatedData[foreignKeyColumn] = relatedOptions;
         } else {
           console.log(`No se encontraron registros en la tabla relacionada ${relatedTableName}`);
         }
@@ -1163,8 +2710,11 @@ exports.getTableRecordById = async (req, res) => {
     // ------------------ DEVOLVER EL REGISTRO Y LOS DATOS RELACIONADOS -----------------------
     // ----------------------------------------------------------------------------------------
 
-    // Devolver una respuesta exitosa con el registro y sus datos relacionados.
-    res.status(200).json({ record, relatedData });
+    // Devolver una respuesta exitosa con el registro, sus datos relacionados y su versión, que el cliente
+    // envía en If-Match al actualizarlo.
+    const version = await getRecordVersion(table_name, record_id);
+    res.set('ETag', version.etag);
+    res.status(200).json({ record, relatedData, version: version.etag });
   } catch (error) {
     // Capturar cualquier error durante la operación y devolver un mensaje de error.
     console.error('Error obteniendo el registro:', error);
@@ -1183,7 +2733,9 @@ exports.updateTableRecord = async (req, res) => {
   const user_id = req.user.id; // ID del usuario autenticado
 
   try {
-    if (!table_name.startsWith('provider_') && !table_name.startsWith('inscription_')) {
+    // Las tablas del plan de inversión se actualizan con 'updatePiRecord'.
+    const tableModule = await getTableModule(table_name);
+    if (!tableModule || tableModule.key === 'pi') {
       return res.status(400).json({ message: 'Nombre de tabla inválido para este controlador.' });
     }
 
@@ -1225,26 +2777,55 @@ exports.updateTableRecord = async (req, res) => {
       return res.status(400).json({ message: 'No se proporcionaron campos válidos para actualizar.' });
     }
 
-    const fieldNames = Object.keys(filteredData);
-    const fieldValues = Object.values(filteredData);
+    // Validar los campos enviados según las opciones y las reglas de validación de los campos.
+    const { data: values, errors: validationErrors } = await validateRecord(table_name, filteredData, {
+      partial: true,
+      recordIds: [record_id],
+    });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({ message: 'Los datos del registro no son válidos', errors: validationErrors });
+    }
+
+    const fieldNames = Object.keys(values);
+    const fieldValues = Object.values(values);
+
+    // Control de concurrencia optimista: con If-Match el registro solo se actualiza si no cambió desde
+    // la versión que tiene el cliente (la que devuelve getTableRecordById en la cabecera ETag).
+    const expectedVersion = parseIfMatch(req.headers['if-match']);
+    if (expectedVersion === null) {
+      return res.status(400).json({ message: 'La cabecera If-Match no contiene una versión válida del registro' });
+    }
+    if (expectedVersion) {
+      const conflict = await findVersionConflict(table_name, record_id, expectedVersion, fieldNames);
+      if (conflict) {
+        return res.status(409).json({ message: VERSION_CONFLICT_MESSAGE, ...conflict });
+      }
+    }
 
     const setClause = fieldNames
       .map((field, index) => `"${field}" = $${index + 1}`)
       .join(', ');
 
+    // La versión se vuelve a comprobar en el UPDATE por si el registro cambia entre la verificación y la escritura.
+    const checkVersion = expectedVersion && expectedVersion !== '*';
     const query = `
       UPDATE "${table_name}"
       SET ${setClause}
       WHERE id = $${fieldNames.length + 1}
+      ${checkVersion ? `AND ${recordHashSql(table_name)} = $${fieldNames.length + 2}` : ''}
       RETURNING *
     `;
 
     const [result] = await sequelize.query(query, {
-      bind: [...fieldValues, record_id],
+      bind: checkVersion ? [...fieldValues, record_id, expectedVersion.hash] : [...fieldValues, record_id],
       type: sequelize.QueryTypes.UPDATE,
     });
 
     if (result.length === 0) {
+      const conflict = checkVersion && (await findVersionConflict(table_name, record_id, expectedVersion, fieldNames));
+      if (conflict) {
+        return res.status(409).json({ message: VERSION_CONFLICT_MESSAGE, ...conflict });
+      }
       return res.status(404).json({ message: 'Registro no encontrado después de la actualización.' });
     }
 
@@ -1266,7 +2847,10 @@ exports.updateTableRecord = async (req, res) => {
       }
     }
 
-    res.status(200).json({ message: 'Registro actualizado con éxito', record: newRecord });
+    // Devolver la nueva versión del registro para la siguiente actualización.
+    const version = await getRecordVersion(table_name, record_id);
+    res.set('ETag', version.etag);
+    res.status(200).json({ message: 'Registro actualizado con éxito', record: newRecord, version: version.etag });
   } catch (error) {
     console.error('Error actualizando el registro:', error);
     res.status(500).json({ message: 'Error actualizando el registro', error: error.message });
@@ -1284,7 +2868,7 @@ exports.updatePiRecord = async (req, res) => {
   const userId = req.user.id; // Como está protegido por authenticateJWT, req.user debería existir
 
   try {
-    if (!table_name.startsWith('pi_')) {
+    if (!(await isModuleTable(table_name, PI_MODULE_KEY))) {
       return res.status(400).json({ message: 'Nombre de tabla inválido para este controlador.' });
     }
 
@@ -1327,26 +2911,55 @@ exports.updatePiRecord = async (req, res) => {
       return res.status(400).json({ message: 'No se proporcionaron campos válidos para actualizar.' });
     }
 
-    const fieldNames = Object.keys(filteredData);
-    const fieldValues = Object.values(filteredData);
+    // Validar los campos enviados según las opciones y las reglas de validación de los campos.
+    const { data: values, errors: validationErrors } = await validateRecord(table_name, filteredData, {
+      partial: true,
+      recordIds: [record_id],
+    });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({ message: 'Los datos del registro no son válidos', errors: validationErrors });
+    }
+
+    const fieldNames = Object.keys(values);
+    const fieldValues = Object.values(values);
+
+    // Control de concurrencia optimista: con If-Match el registro solo se actualiza si no cambió desde
+    // la versión que tiene el cliente (la que devuelve getTableRecordById en la cabecera ETag).
+    const expectedVersion = parseIfMatch(req.headers['if-match']);
+    if (expectedVersion === null) {
+      return res.status(400).json({ message: 'La cabecera If-Match no contiene una versión válida del registro' });
+    }
+    if (expectedVersion) {
+      const conflict = await findVersionConflict(table_name, record_id, expectedVersion, fieldNames);
+      if (conflict) {
+        return res.status(409).json({ message: VERSION_CONFLICT_MESSAGE, ...conflict });
+      }
+    }
 
     const setClause = fieldNames
       .map((field, index) => `"${field}" = $${index + 1}`)
       .join(', ');
 
+    // La versión se vuelve a comprobar en el UPDATE por si el registro cambia entre la verificación y la escritura.
+    const checkVersion = expectedVersion && expectedVersion !== '*';
     const query = `
       UPDATE "${table_name}"
       SET ${setClause}
       WHERE id = $${fieldNames.length + 1}
+      ${checkVersion ? `AND ${recordHashSql(table_name)} = $${fieldNames.length + 2}` : ''}
       RETURNING *
     `;
 
     const [result] = await sequelize.query(query, {
-      bind: [...fieldValues, record_id],
+      bind: checkVersion ? [...fieldValues, record_id, expectedVersion.hash] : [...fieldValues, record_id],
       type: sequelize.QueryTypes.UPDATE,
     });
 
     if (result.length === 0) {
+      const conflict = checkVersion && (await findVersionConflict(table_name, record_id, expectedVersion, fieldNames));
+      if (conflict) {
+        return res.status(409).json({ message: VERSION_CONFLICT_MESSAGE, ...conflict });
+      }
       return res.status(404).json({ message: 'Registro no encontrado después de la actualización.' });
     }
 
@@ -1370,7 +2983,10 @@ exports.updatePiRecord = async (req, res) => {
       }
     }
 
-    res.status(200).json({ message: 'Registro actualizado con éxito', record: newRecord });
+    // Devolver la nueva versión del registro para la siguiente actualización.
+    const version = await getRecordVersion(table_name, record_id);
+    res.set('ETag', version.etag);
+    res.status(200).json({ message: 'Registro actualizado con éxito', record: newRecord, version: version.etag });
   } catch (error) {
     console.error('Error actualizando el registro (pi_):', error);
     res.status(500).json({ message: 'Error actualizando el registro', error: error.message });
@@ -1428,10 +3044,21 @@ exports.updatePrincipalStatus = async (req, res) => {
     // ----------------------------------------------------------------------------------------
 
     // Actualizar el estado 'is_primary' de la tabla con el valor proporcionado.
+    const previousIsPrimary = tableMetadata.is_primary;
     tableMetadata.is_primary = is_primary;
 
-    // Guardar los cambios en la base de datos.
+    // Guardar los cambios en la base de datos y registrarlos en la auditoría.
     await tableMetadata.save();
+    await recordAudit({
+      scope: 'schema',
+      tableName: table_name,
+      changeType: 'update_table',
+      fieldName: 'is_primary',
+      oldValue: previousIsPrimary,
+      newValue: is_primary,
+      description: 'Estado de principal actualizado',
+      userId: req.user.id,
+    });
 
     // Responder con un mensaje de éxito indicando que se actualizó el estado de 'is_primary'.
     res.status(200).json({
@@ -1453,87 +3080,194 @@ exports.updatePrincipalStatus = async (req, res) => {
 
 exports.bulkUpdateRecords = async (req, res) => {
   // Extrae 'table_name' de los parámetros de la solicitud (URL).
-  // Extrae 'recordIds' y 'updates' del cuerpo de la solicitud.
+  // Extrae 'recordIds', 'updates' y 'dryRun' del cuerpo de la solicitud.
   const { table_name } = req.params;
   const { recordIds, updates } = req.body;
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+  const userId = req.user.id;
 
   try {
     // ----------------------------------------------------------------------------------------
-    // ------------------------ DEFINIR O VALIDAR EL MODELO DE LA TABLA -----------------------
+    // ------------------------------- VALIDAR LA SOLICITUD -----------------------------------
     // ----------------------------------------------------------------------------------------
 
-    // Verificar si el modelo de la tabla ya está definido en Sequelize.
-    let Table;
-    if (sequelize.isDefined(table_name)) {
-      // Si el modelo ya está definido, lo reutiliza.
-      Table = sequelize.model(table_name);
-    } else {
-      // Si el modelo no está definido, se define dinámicamente usando la estructura de la tabla.
-      const [columns] = await sequelize.query(`
-        SELECT column_name, data_type
-        FROM information_schema.columns
-        WHERE table_name = '${table_name}'
-        AND table_schema = 'public'
-      `);
-
-      // Si no se encuentran columnas para la tabla, devolver un error 404.
-      if (columns.length === 0) {
-        return res.status(404).json({
-          message: `No se encontraron columnas para la tabla ${table_name}`,
-        });
-      }
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
 
-      // Mapeo de tipos de datos válidos de Sequelize.
-      const validTypes = {
-        varchar: Sequelize.STRING,
-        'character varying': Sequelize.STRING,
-        text: Sequelize.TEXT,
-        integer: Sequelize.INTEGER,
-        boolean: Sequelize.BOOLEAN,
-        date: Sequelize.DATE,
-      };
+    if (!Array.isArray(recordIds) || recordIds.length === 0 || recordIds.some((id) => !Number.isInteger(Number(id)))) {
+      return res.status(400).json({ message: 'recordIds debe ser una lista de IDs de registros' });
+    }
+    if (recordIds.length > MAX_BULK_RECORDS) {
+      return res.status(400).json({ message: `No se pueden actualizar más de ${MAX_BULK_RECORDS} registros a la vez` });
+    }
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates) || Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'updates debe indicar los campos a actualizar' });
+    }
+    const ids = [...new Set(recordIds.map(Number))];
 
-      // Construir la definición de la tabla a partir de los tipos de columnas obtenidas.
-      const tableColumns = columns.reduce((acc, column) => {
-        const sequelizeType = validTypes[column.data_type.toLowerCase()];
-        if (sequelizeType) {
-          acc[column.column_name] = {
-            type: sequelizeType,
-            allowNull: true,
-          };
+    // Solo se pueden actualizar las columnas de la tabla (no el ID ni los campos calculados).
+    const columnNames = (await getTableColumns(table_name)).map((column) => column.column_name);
+    const unknownFields = Object.keys(updates).filter((field) => field === 'id' || !columnNames.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({ message: `No se pueden actualizar los campos: ${unknownFields.join(', ')}` });
+    }
 
-          // Marcar la columna 'id' como clave primaria si aplica.
-          if (column.column_name === 'id') {
-            acc[column.column_name].primaryKey = true;
-            acc[column.column_name].autoIncrement = true;
-          }
-        }
-        return acc;
-      }, {});
+    // Validar los campos a actualizar según las opciones y las reglas de validación de los campos.
+    // Los mismos valores se aplican a todos los registros, por lo que un error invalida toda la actualización.
+    const { data: values, errors: validationErrors } = await validateRecord(table_name, updates, {
+      partial: true,
+      recordIds: ids,
+    });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({ message: 'Los datos del registro no son válidos', errors: validationErrors });
+    }
+    const fieldNames = Object.keys(values);
+    if (fieldNames.length === 0) {
+      return res.status(400).json({ message: 'No se proporcionaron campos válidos para actualizar.' });
+    }
 
-      // Definir el modelo de la tabla dinámicamente.
-      Table = sequelize.define(table_name, tableColumns, {
-        timestamps: false,
-        freezeTableName: true,
-      });
+    // Control de concurrencia optimista: 'versions' indica la versión esperada de cada registro
+    // ({ id: versión }); con un solo registro también se acepta la cabecera If-Match.
+    const expectedVersions = {};
+    const ifMatch = parseIfMatch(req.headers['if-match']);
+    if (ifMatch !== undefined) {
+      if (ifMatch === null || ids.length !== 1) {
+        return res.status(400).json({
+          message: 'If-Match solo se admite con un único registro y una versión válida; use versions para varios registros',
+        });
+      }
+      expectedVersions[ids[0]] = ifMatch;
+    }
+    for (const [recordId, version] of Object.entries(req.body.versions || {})) {
+      const expected = version === '*' ? '*' : parseEtag(version);
+      if (!expected) {
+        return res.status(400).json({ message: `La versión del registro ${recordId} no es válida` });
+      }
+      expectedVersions[recordId] = expected;
     }
 
     // ----------------------------------------------------------------------------------------
     // -------------------------- ACTUALIZAR MÚLTIPLES REGISTROS -------------------------------
     // ----------------------------------------------------------------------------------------
 
-    // Utiliza el método 'update' de Sequelize para actualizar los registros.
-    // 'updates' contiene los campos y valores a actualizar.
-    // 'where' especifica los registros a actualizar, filtrando por 'id'.
-    await Table.update(updates, {
-      where: {
-        id: recordIds,
-      },
-    });
+    // Todos los registros se actualizan en una sola transacción. En la simulación ('dryRun') la transacción
+    // se revierte al final, de modo que el resultado muestra los valores exactos que quedarían guardados.
+    const transaction = await sequelize.transaction();
+    const results = [];
+    let operation = null;
+    try {
+      // Bloquear los registros para que no cambien mientras se actualizan.
+      const oldRecords = await sequelize.query(
+        `SELECT * FROM "${table_name}" WHERE id IN (:ids) ORDER BY id FOR UPDATE`,
+        { replacements: { ids }, type: QueryTypes.SELECT, transaction }
+      );
+      const deletedIds = (await DeletedRecord.findAll({ where: { table_name, record_id: ids }, transaction }))
+        .map((marker) => marker.record_id);
+
+      const conflicts = [];
+      for (const recordId of Object.keys(expectedVersions)) {
+        const conflict = await findVersionConflict(
+          table_name, recordId, expectedVersions[recordId], fieldNames, { transaction }
+        );
+        if (conflict) {
+          conflicts.push(conflict);
+        }
+      }
+      if (conflicts.length > 0) {
+        await transaction.rollback();
+        return res.status(409).json({ message: VERSION_CONFLICT_MESSAGE, conflicts });
+      }
+
+      const setClause = fieldNames.map((field, index) => `"${field}" = $${index + 1}`).join(', ');
+      for (const recordId of ids) {
+        const oldRecord = oldRecords.find((record) => record.id === recordId);
+        if (!oldRecord) {
+          results.push({ record_id: recordId, status: 'failed', message: 'Registro no encontrado' });
+          continue;
+        }
+        if (deletedIds.includes(recordId)) {
+          results.push({ record_id: recordId, status: 'failed', message: 'El registro está en la papelera' });
+          continue;
+        }
+
+        // Cada registro se actualiza en un punto de guardado: si falla, se descarta solo ese registro.
+        // El historial se escribe fuera del punto de guardado: un error al registrarlo cancela toda la operación.
+        let newRecord;
+        try {
+          newRecord = await sequelize.transaction({ transaction }, async (savepoint) => {
+            const [[updated]] = await sequelize.query(
+              `UPDATE "${table_name}" SET ${setClause} WHERE id = $${fieldNames.length + 1} RETURNING *`,
+              { bind: [...Object.values(values), recordId], transaction: savepoint }
+            );
+            return updated;
+          });
+        } catch (error) {
+          results.push({ record_id: recordId, status: 'failed', message: error.message });
+          continue;
+        }
+
+        const changes = fieldNames
+          .filter((field) => toHistoryValue(oldRecord[field]) !== toHistoryValue(newRecord[field]))
+          .map((field) => ({ field, before: oldRecord[field], after: newRecord[field] }));
+        if (changes.length === 0) {
+          results.push({ record_id: recordId, status: 'skipped', message: 'Los valores no cambian', changes });
+          continue;
+        }
+
+        // Una entrada del historial por cada campo modificado, asociada a la operación masiva para poder
+        // revertirla completa.
+        if (!operation) {
+          operation = await BulkOperation.create({
+            table_name,
+            operation_type: 'bulk_update',
+            description: `Actualización masiva de los campos ${fieldNames.join(', ')}`,
+            user_id: userId,
+          }, { transaction });
+        }
+        for (const change of changes) {
+          await insertHistory(
+            table_name,
+            recordId,
+            userId,
+            'update',
+            change.field,
+            toHistoryValue(change.before),
+            toHistoryValue(change.after),
+            `Campo ${change.field} actualizado (actualización masiva)`,
+            { transaction, operationId: operation.id }
+          );
+        }
+        results.push({ record_id: recordId, status: 'updated', changes });
+      }
 
-    // Responder con un mensaje de éxito indicando que los registros se actualizaron correctamente.
-    res.status(200).json({ message: 'Registros actualizados con éxito' });
+      if (dryRun) {
+        await transaction.rollback();
+      } else {
+        if (operation) {
+          operation.record_count = results.filter((result) => result.status === 'updated').length;
+          await operation.save({ transaction });
+        }
+        await transaction.commit();
+      }
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
 
+    // Responder con el resultado de cada registro.
+    const idsWithStatus = (status) => results.filter((result) => result.status === status).map((result) => result.record_id);
+    res.status(200).json({
+      message: dryRun
+        ? 'Simulación de la actualización masiva: no se guardó ningún cambio'
+        : 'Registros actualizados con éxito',
+      dryRun,
+      operation_id: operation && !dryRun ? operation.id : null,
+      updated: idsWithStatus('updated'),
+      skipped: idsWithStatus('skipped'),
+      failed: results.filter((result) => result.status === 'failed'),
+      results,
+    });
   } catch (error) {
     // Capturar cualquier error durante la operación y devolver un mensaje de error.
     console.error('Error actualizando registros:', error);
@@ -1553,6 +3287,20 @@ exports.getFieldOptions = async (req, res) => {
   const { table_name, field_name } = req.params;
 
   try {
+    // ----------------------------------------------------------------------------------------
+    // ------------------------- VERIFICAR SI EL CAMPO ES DE SELECCIÓN ------------------------
+    // ----------------------------------------------------------------------------------------
+
+    // Los campos SELECT/MULTISELECT devuelven las opciones activas guardadas en sus metadatos.
+    const metadata = (await getFieldMetadataMap(table_name))[field_name];
+    if (metadata && SELECT_TYPES.includes(metadata.field_type)) {
+      const options = getActiveOptions(metadata).map((option) => ({
+        value: option.value,
+        label: option.label,
+      }));
+      return res.status(200).json({ options });
+    }
+
     // ----------------------------------------------------------------------------------------
     // ------------------------- VERIFICAR SI EL CAMPO ES UNA CLAVE FORÁNEA --------------------
     // ----------------------------------------------------------------------------------------
@@ -1565,6 +3313,9 @@ exports.getFieldOptions = async (req, res) => {
         ccu.table_name AS related_table,
         ccu.column_name AS related_column
       FROM information_schema.key_column_usage kcu
+      JOIN information_schema.table_constraints tc
+        ON kcu.constraint_name = tc.constraint_name
+        AND tc.constraint_type = 'FOREIGN KEY'
       JOIN information_schema.constraint_column_usage ccu
         ON kcu.constraint_name = ccu.constraint_name
       WHERE kcu.table_name = '${table_name}'
@@ -1580,13 +3331,13 @@ exports.getFieldOptions = async (req, res) => {
       // ------------------- OBTENER REGISTROS DE LA TABLA RELACIONADA ---------------------------
       // ----------------------------------------------------------------------------------------
 
-      // Obtener todos los registros de la tabla relacionada.
-      const [relatedRecords] = await sequelize.query(`SELECT * FROM "${relatedTableName}"`);
+      // Obtener los registros de la tabla relacionada con la plantilla y el orden configurados para el campo.
+      const relatedOptions = (await fetchRelatedOptions(relatedTableName, metadata)) || [];
 
       // Mapeo de los registros para generar una lista de opciones.
-      const options = relatedRecords.map(record => ({
-        value: record.id,
-        label: record.nombre || record.name || record.title || record.descripcion || record.Estado || record.id.toString(),
+      const options = relatedOptions.map((option) => ({
+        value: option.id,
+        label: option.displayValue,
       }));
 
       // Responder con las opciones en formato JSON.
@@ -1614,29 +3365,25 @@ exports.uploadFile = async (req, res) => {
   const { table_name, record_id } = req.params;
   const { fileName, caracterizacion_id, source, user_id } = req.body;
 
-  // Asignamos un valor por defecto si user_id viene vacío o no viene
-  const finalUserId = user_id || 0; 
-
-  console.log("Contenido de req.body:", req.body);
-  console.log("Contenido de req.file:", req.file);
+  // La ruta de carga no exige autenticación: el historial se atribuye al usuario autenticado o, si no
+  // lo hay, al sistema. El 'user_id' enviado en la solicitud no se puede verificar y solo se anota en la descripción.
+  const actorId = req.user ? req.user.id : null;
+  const claimedUser = !req.user && user_id ? ` (user_id indicado en la solicitud: ${user_id})` : '';
 
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No se ha subido ningún archivo' });
     }
 
-    if (
-      !table_name.startsWith('inscription_') &&
-      !table_name.startsWith('provider_') &&
-      !table_name.startsWith('pi_')
-    ) {
+    const tableModule = await getTableModule(table_name);
+    if (!tableModule) {
       return res.status(400).json({ message: 'Nombre de tabla inválido' });
     }
 
     let uploadDir;
     let finalRecordId = record_id;
 
-    if (table_name.startsWith('pi_')) {
+    if (tableModule.key === PI_MODULE_KEY) {
       if (!caracterizacion_id) {
         return res
           .status(400)
@@ -1699,12 +3446,12 @@ exports.uploadFile = async (req, res) => {
     await insertHistory(
       table_name,
       finalRecordId,
-      finalUserId, // Usamos finalUserId
+      actorId,
       'upload_file',
       formulacion_id ? `Archivo (formulacion_id:${formulacion_id})` : 'Archivo',
       null,
       newFile.name,
-      `Se subió el archivo: ${newFile.name}`
+      `Se subió el archivo: ${newFile.name}${claimedUser}`
     );
 
     res.status(200).json({
@@ -1733,17 +3480,14 @@ exports.getFiles = async (req, res) => {
   const { source, caracterizacion_id } = req.query;
 
   try {
-    if (
-      !table_name.startsWith('inscription_') &&
-      !table_name.startsWith('provider_') &&
-      !table_name.startsWith('pi_')
-    ) {
+    const tableModule = await getTableModule(table_name);
+    if (!tableModule) {
       return res.status(400).json({ message: 'Nombre de tabla inválido' });
     }
 
     let finalRecordId = record_id;
 
-    if (table_name.startsWith('pi_')) {
+    if (tableModule.key === PI_MODULE_KEY) {
       finalRecordId = caracterizacion_id || record_id;
     }
 
@@ -1763,7 +3507,7 @@ exports.getFiles = async (req, res) => {
 
     const filesWithUrls = files.map((file) => {
       let fileUrl;
-      if (table_name.startsWith('pi_')) {
+      if (tableModule.key === PI_MODULE_KEY) {
         fileUrl = `/uploads/inscription_caracterizacion/${finalRecordId}/${path.basename(file.file_path)}`;
       } else {
         fileUrl = `/uploads/${table_name}/${finalRecordId}/${path.basename(file.file_path)}`;
@@ -1797,7 +3541,7 @@ exports.getFiles = async (req, res) => {
 // --------------------------- CONTROLADOR downloadZip ------------------------------------
 // ----------------------------------------------------------------------------------------
 
-exports.downloadZip = (req, res) => {
+exports.downloadZip = async (req, res) => {
   // Extrae 'table_name' y 'record_id' de los parámetros de la solicitud (URL).
   const { table_name, record_id } = req.params;
 
@@ -1805,14 +3549,15 @@ exports.downloadZip = (req, res) => {
   // ----------------- VALIDAR QUE EL NOMBRE DE LA TABLA TENGA UN PREFIJO VÁLIDO -------------
   // ----------------------------------------------------------------------------------------
 
-  // Verificar que el nombre de la tabla comience con 'inscription_', 'provider_' o 'pi_'.
-  // Si no cumple con este criterio, devolver un error 400.
-  if (
-    !table_name.startsWith('inscription_') &&
-    !table_name.startsWith('provider_') &&
-    !table_name.startsWith('pi_')
-  ) {
-    return res.status(400).json({ message: 'Nombre de tabla inválido' });
+  // Verificar que el nombre de la tabla tenga el prefijo de un módulo registrado.
+  // Si no cumple con este criterio, devolver un error 400. Un error al consultar los módulos devuelve 500.
+  try {
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+  } catch (error) {
+    console.error('Error validando la tabla:', error);
+    return res.status(500).json({ message: 'Error descargando los archivos', error: error.message });
   }
 
   // ----------------------------------------------------------------------------------------
@@ -1878,11 +3623,7 @@ exports.deleteFile = async (req, res) => {
       return res.status(404).json({ message: 'Archivo no encontrado' });
     }
 
-    if (
-      !file.table_name.startsWith('inscription_') &&
-      !file.table_name.startsWith('provider_') &&
-      !file.table_name.startsWith('pi_')
-    ) {
+    if (!(await getTableModule(file.table_name))) {
       return res.status(400).json({ message: 'Nombre de tabla inválido' });
     }
 
@@ -1950,11 +3691,7 @@ exports.downloadMultipleZip = async (req, res) => {
 
     // 3. Recorre tablas e IDs
     for (const table_name of tables) {
-      if (
-        !table_name.startsWith('inscription_') &&
-        !table_name.startsWith('provider_') &&
-        !table_name.startsWith('pi_')
-      ) {
+      if (!(await getTableModule(table_name))) {
         console.log(`Nombre de tabla inválido: ${table_name}, se omite`);
         continue;
       }
@@ -2021,6 +3758,7 @@ exports.getActiveCaracterizacionRecords = async (req, res) => {
       SELECT *
       FROM inscription_caracterizacion
       WHERE "${estadoColumn}" IN (7)
+      AND ${notDeletedCondition('inscription_caracterizacion')}
       `
     );
 
@@ -2045,11 +3783,6 @@ exports.createTableRecord = async (req, res) => {
   const { table_name } = req.params;
   const data = req.body;
 
-  // Validar que la tabla empiece con pi_
-  if (!table_name.startsWith('pi_')) {
-    return res.status(400).json({ message: 'Nombre de tabla inválido' });
-  }
-
   // Asegurar que llegue user_id para el historial
   const userId = data.user_id;
   if (!userId) {
@@ -2059,6 +3792,11 @@ exports.createTableRecord = async (req, res) => {
   }
 
   try {
+    // Validar que la tabla pertenezca al módulo del plan de inversión.
+    if (!(await isModuleTable(table_name, PI_MODULE_KEY))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+
     // 1. OBTENER CAMPOS DE LA TABLA
     const fieldsQueryResult = await sequelize.query(
       `SELECT column_name
@@ -2096,9 +3834,26 @@ exports.createTableRecord = async (req, res) => {
       });
     }
 
+    // Validar los datos según las opciones y las reglas de validación de los campos antes de escribir.
+    // Al actualizar un registro existente solo se validan los campos enviados, y el propio registro
+    // no cuenta para la regla 'unique'.
+    const validateData = async (existingRecordId) => {
+      const { data: values, errors } = await validateRecord(table_name, filteredData, {
+        partial: Boolean(existingRecordId),
+        recordIds: existingRecordId ? [existingRecordId] : [],
+      });
+      Object.assign(filteredData, values);
+      return errors;
+    };
+
     // 3. LÓGICA ESPECIAL PARA ALGUNAS TABLAS
     // ------------------------------------------------------------------
     if (table_name === 'pi_propuesta_mejora' || table_name === 'pi_ejecucion') {
+      const validationErrors = await validateData(null);
+      if (validationErrors.length > 0) {
+        return res.status(422).json({ message: 'Los datos del registro no son válidos', errors: validationErrors });
+      }
+
       // Siempre crear un nuevo registro sin lógica de actualización
       const insertFields = Object.keys(filteredData).map((f) => `"${f}"`).join(', ');
       const insertValues = Object.keys(filteredData).map((_, i) => `$${i + 1}`).join(', ');
@@ -2155,6 +3910,7 @@ exports.createTableRecord = async (req, res) => {
         SELECT id FROM "${table_name}" 
         WHERE caracterizacion_id = :caracterizacion_id 
           AND "Pregunta" = :Pregunta
+          AND ${notDeletedCondition(table_name)}
         LIMIT 1
       `;
       const existingRecords = await sequelize.query(existingRecordQuery, {
@@ -2169,6 +3925,11 @@ exports.createTableRecord = async (req, res) => {
         // Actualizar el registro existente
         const existingRecordId = existingRecords[0].id;
 
+        const validationErrors = await validateData(existingRecordId);
+        if (validationErrors.length > 0) {
+          return res.status(422).json({ message: 'Los datos del registro no son válidos', errors: validationErrors });
+        }
+
         // Obtener información previa para el historial
         const oldRecordQuery = `
           SELECT * FROM "${table_name}" WHERE id = :record_id
@@ -2219,6 +3980,11 @@ exports.createTableRecord = async (req, res) => {
           record: newRecord,
         });
       } else {
+        const validationErrors = await validateData(null);
+        if (validationErrors.length > 0) {
+          return res.status(422).json({ message: 'Los datos del registro no son válidos', errors: validationErrors });
+        }
+
         // Crear un nuevo registro si no existe
         const insertFields = Object.keys(filteredData)
           .map((field) => `"${field}"`)
@@ -2271,6 +4037,7 @@ exports.createTableRecord = async (req, res) => {
         if (filteredData.caracterizacion_id && filteredData.rel_id_prov) {
           const checkQuery = `
             SELECT id FROM "${table_name}" WHERE caracterizacion_id = :caracterizacion_id AND rel_id_prov = :rel_id_prov
+              AND ${notDeletedCondition(table_name)}
           `;
           const existingRecords = await sequelize.query(checkQuery, {
             replacements: {
@@ -2289,6 +4056,7 @@ exports.createTableRecord = async (req, res) => {
         if (filteredData.caracterizacion_id) {
           const checkQuery = `
             SELECT id FROM "${table_name}" WHERE caracterizacion_id = :caracterizacion_id
+              AND ${notDeletedCondition(table_name)}
           `;
           const existingRecords = await sequelize.query(checkQuery, {
             replacements: { caracterizacion_id: filteredData.caracterizacion_id },
@@ -2302,6 +4070,11 @@ exports.createTableRecord = async (req, res) => {
       }
 
       if (existingRecordId) {
+        const validationErrors = await validateData(existingRecordId);
+        if (validationErrors.length > 0) {
+          return res.status(422).json({ message: 'Los datos del registro no son válidos', errors: validationErrors });
+        }
+
         // Actualizar registro existente
         const oldRecordQuery = `
           SELECT * FROM "${table_name}" WHERE id = :record_id
@@ -2359,6 +4132,11 @@ exports.createTableRecord = async (req, res) => {
         });
       }
 
+      const validationErrors = await validateData(null);
+      if (validationErrors.length > 0) {
+        return res.status(422).json({ message: 'Los datos del registro no son válidos', errors: validationErrors });
+      }
+
       // Si no existe, se crea
       const insertFields = Object.keys(filteredData)
         .map((field) => `"${field}"`)
@@ -2413,18 +4191,36 @@ exports.createTableRecord = async (req, res) => {
 
 
 
-// Guardar configuración de columnas visibles
+// Guardar configuración de columnas visibles del usuario. Se guardan como las columnas de su vista
+// por defecto de la tabla, que se crea si aún no existe.
 exports.saveVisibleColumns = async (req, res) => {
-  const { userId } = req.user; // Asume que el userId viene en el token
+  const userId = req.user.id;
   const { table_name } = req.params;
   const { visibleColumns } = req.body;
 
   try {
-    // Guarda o actualiza la configuración de columnas visibles para este usuario y tabla
-    await UserSettings.upsert({
-      userId,
-      tableName: table_name,
-      visibleColumns: JSON.stringify(visibleColumns),
+    if (!Array.isArray(visibleColumns)) {
+      return res.status(400).json({ message: 'Las columnas visibles deben ser un array' });
+    }
+
+    const columns = visibleColumns.map((name) => ({ name: String(name), width: null }));
+    const validationError = await validateSavedView(table_name, { columns });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const view = (await findDefaultView(table_name, userId))
+        || (await SavedView.findOne({ where: { table_name, user_id: userId, name: DEFAULT_VIEW_NAME }, transaction }))
+        || SavedView.build({ table_name, user_id: userId, name: DEFAULT_VIEW_NAME });
+
+      // Se conserva el ancho de las columnas que ya estaban en la vista.
+      const previousColumns = view.columns || [];
+      view.columns = columns.map((column) => previousColumns.find((entry) => entry.name === column.name) || column);
+      view.is_default = true;
+      view.updated_at = new Date();
+      await view.save({ transaction });
+      await clearOtherDefaults(view, { transaction });
     });
 
     res.status(200).json({ message: 'Configuración guardada con éxito' });
@@ -2434,21 +4230,20 @@ exports.saveVisibleColumns = async (req, res) => {
   }
 };
 
-// Obtener configuración de columnas visibles
+// Obtener configuración de columnas visibles del usuario: las de su vista por defecto o, si no tiene,
+// las preferencias generales de la tabla.
 exports.getVisibleColumns = async (req, res) => {
-  const { userId } = req.user;
+  const userId = req.user.id;
   const { table_name } = req.params;
 
   try {
-    const settings = await UserSettings.findOne({
-      where: { userId, tableName: table_name },
-    });
-
-    if (settings) {
-      res.status(200).json({ visibleColumns: JSON.parse(settings.visibleColumns) });
-    } else {
-      res.status(200).json({ visibleColumns: [] });
+    const view = await findDefaultView(table_name, userId);
+    if (view && view.columns.length > 0) {
+      return res.status(200).json({ visibleColumns: view.columns.map((column) => column.name), view_id: view.id });
     }
+
+    const preference = await FieldPreference.findOne({ where: { table_name } });
+    res.status(200).json({ visibleColumns: preference ? preference.visible_columns : [] });
   } catch (error) {
     console.error('Error obteniendo configuración de columnas:', error);
     res.status(500).json({ message: 'Error obteniendo configuración de columnas', error: error.message });
@@ -2543,57 +4338,12 @@ exports.createNewRecord = async (req, res) => {
       return res.status(400).json({ message: 'Operación no permitida para esta tabla' });
     }
 
-    // Definir el modelo si no está registrado en Sequelize
-    let Table;
-    if (sequelize.isDefined(table_name)) {
-      Table = sequelize.model(table_name);
-    } else {
-      // Obtener la estructura de la tabla y definir el modelo dinámicamente
-      const [columns] = await sequelize.query(`
-        SELECT column_name, data_type
-        FROM information_schema.columns
-        WHERE table_name = '${table_name}'
-        AND table_schema = 'public'
-      `);
-
-      // Verificar si se encontraron columnas para la tabla
-      if (columns.length === 0) {
-        return res.status(404).json({ message: `No se encontraron columnas para la tabla ${table_name}` });
-      }
-
-      // Definir los tipos de datos válidos para Sequelize
-      const validTypes = {
-        varchar: Sequelize.STRING,
-        'character varying': Sequelize.STRING,
-        text: Sequelize.TEXT,
-        integer: Sequelize.INTEGER,
-        boolean: Sequelize.BOOLEAN,
-        date: Sequelize.DATE,
-      };
-
-      // Crear el modelo de la tabla basado en los tipos de datos de las columnas
-      const tableColumns = columns.reduce((acc, column) => {
-        const sequelizeType = validTypes[column.data_type.toLowerCase()];
-        if (sequelizeType) {
-          acc[column.column_name] = {
-            type: sequelizeType,
-            allowNull: true,
-            field: column.column_name, // Asegurarse de mapear el nombre del campo correctamente
-          };
-          if (column.column_name === 'id') {
-            acc[column.column_name].primaryKey = true;
-            acc[column.column_name].autoIncrement = true;
-          }
-        }
-        return acc;
-      }, {});
+    // Definir el modelo de la tabla dinámicamente a partir de su estructura
+    const Table = await getDynamicModel(table_name);
 
-      // Definir el modelo de la tabla de forma dinámica
-      Table = sequelize.define(table_name, tableColumns, {
-        timestamps: false,
-        freezeTableName: true,
-        quoteIdentifiers: true, // Asegurar que Sequelize maneje correctamente los nombres de columnas con espacios
-      });
+    // Verificar si se encontraron columnas para la tabla
+    if (!Table) {
+      return res.status(404).json({ message: `No se encontraron columnas para la tabla ${table_name}` });
     }
 
     // Verificar si ya existe un registro con el mismo "Numero de identificacion" o "Correo electronico"
@@ -2612,8 +4362,26 @@ exports.createNewRecord = async (req, res) => {
       });
     }
 
+    // Validar los datos según las opciones y las reglas de validación de los campos
+    const { data: values, errors: validationErrors } = await validateRecord(table_name, recordData);
+    if (validationErrors.length > 0) {
+      return res.status(422).json({ message: 'Los datos del registro no son válidos', errors: validationErrors });
+    }
+
     // Crear el registro en la tabla
-    const newRecord = await Table.create(recordData);
+    const newRecord = await Table.create(values);
+
+    // Registrar la creación en el historial. La ruta es pública: el registro queda sin usuario.
+    await insertHistory(
+      table_name,
+      newRecord.id,
+      null,
+      'create',
+      null,
+      null,
+      newRecord.get({ plain: true }),
+      'Registro creado (formulario de inscripción)'
+    );
 
     // Devolver la respuesta con el 'id' del nuevo registro creado
     res.status(201).json({
@@ -2638,27 +4406,23 @@ exports.getRelatedData = async (req, res) => {
   const { table_name } = req.params;
 
   try {
-    // Definir un mapeo de tipos de datos válidos para Sequelize.
-    const validTypes = {
-      varchar: Sequelize.STRING,
-      'character varying': Sequelize.STRING,
-      text: Sequelize.TEXT,
-      integer: Sequelize.INTEGER,
-      boolean: Sequelize.BOOLEAN,
-      date: Sequelize.DATE,
-    };
-
     // Obtener información sobre las claves foráneas desde 'information_schema'.
     const [fields] = await sequelize.query(`
       SELECT
         kcu.column_name,
         ccu.table_name AS related_table
       FROM information_schema.key_column_usage kcu
+      JOIN information_schema.table_constraints tc
+        ON kcu.constraint_name = tc.constraint_name
+        AND tc.constraint_type = 'FOREIGN KEY'
       JOIN information_schema.constraint_column_usage ccu
         ON kcu.constraint_name = ccu.constraint_name
       WHERE kcu.table_name = '${table_name}'
     `);
 
+    // Metadatos de los campos, con la plantilla y el orden de visualización de cada clave foránea.
+    const metadataMap = await getFieldMetadataMap(table_name);
+
     // Crear un objeto para almacenar los datos relacionados.
     const relatedData = {};
 
@@ -2669,158 +4433,37 @@ exports.getRelatedData = async (req, res) => {
 
       // Verificar si hay una tabla relacionada válida.
       if (relatedTableName) {
-        // Verificar si el modelo de la tabla relacionada ya está definido.
-        let RelatedTable;
-        if (sequelize.isDefined(relatedTableName)) {
-          RelatedTable = sequelize.model(relatedTableName);
-        } else {
-          // Si no está definido, crear el modelo de la tabla relacionada.
-          const [relatedColumns] = await sequelize.query(`
-            SELECT column_name, data_type
-            FROM information_schema.columns
-            WHERE table_name = '${relatedTableName}'
-            AND table_schema = 'public'
-          `);
-
-          // Crear el modelo de la tabla relacionada.
-          const relatedTableColumns = relatedColumns.reduce((acc, column) => {
-            const sequelizeType = validTypes[column.data_type.toLowerCase()];
-            if (sequelizeType) {
-              acc[column.column_name] = { type: sequelizeType, allowNull: true };
-              if (column.column_name === 'id') {
-                acc[column.column_name].primaryKey = true;
-                acc[column.column_name].autoIncrement = true;
-              }
-            }
-            return acc;
-          }, {});
-
-          // Definir el modelo de la tabla relacionada dinámicamente.
-          RelatedTable = sequelize.define(relatedTableName, relatedTableColumns, {
-            timestamps: false,
-            freezeTableName: true,
-          });
+        // Obtener los registros relacionados con la plantilla y el orden configurados para la clave foránea.
+        const relatedOptions = await fetchRelatedOptions(relatedTableName, metadataMap[foreignKeyColumn]);
+        if (!relatedOptions) {
+          console.log(`No se encontraron columnas para la tabla relacionada ${relatedTableName}`);
+          continue;
         }
 
-        // Obtener todos los registros de la tabla relacionada.
-        const relatedRecords = await RelatedTable.findAll();
-
-        // Verificar si existen registros relacionados antes de acceder a ellos.
-        if (relatedRecords.length > 0) {
-          // Seleccionar un campo de visualización adecuado para la relación (usualmente diferente de 'id').
-          let displayField = Object.keys(relatedRecords[0].dataValues).find((col) => col !== 'id');
-
-          if (!displayField) {
-            displayField = 'id'; // Usar 'id' como fallback si no hay otro campo disponible.
-          }
-
-          console.log(`Related Table: ${relatedTableName}, Display Field: ${displayField}`);
-
-          // Mapear los registros relacionados a un formato adecuado.
-          relatedData[foreignKeyColumn] = relatedRecords.map((record) => ({
-            id: record.id,
-            displayValue: record[displayField],
-          }));
+        if (relatedOptions.length > 0) {
+          relatedData[foreignKeyColumn] = relatedOptions;
         } else {
           console.log(`No se encontraron registros en la tabla relacionada ${relatedTableName}`);
         }
-      }
-    }
-
-    console.log('Related Data:', relatedData);
-
-    // ----------------------------------------------------------------------------------------
-    // ------------------ DEVOLVER LOS DATOS RELACIONADOS -------------------------------------
-    // ----------------------------------------------------------------------------------------
-
-    // Devolver una respuesta exitosa con los datos relacionados.
-    res.status(200).json({ relatedData });
-  } catch (error) {
-    // Capturar cualquier error durante la operación y devolver un mensaje de error.
-    console.error('Error obteniendo los datos relacionados:', error);
-    res.status(500).json({ message: 'Error obteniendo los datos relacionados', error: error.message });
-  }
-};
-
-
-// ----------------------------------------------------------------------------------------
-// ----------------------------- CONTROLADOR getTableFields -------------------------------
-// ----------------------------------------------------------------------------------------
-
-exports.getTableFields = async (req, res) => {
-  const { table_name } = req.params;
-
-  try {
-    console.log(`Consultando campos para la tabla: ${table_name}`);
-
-    const [fields] = await sequelize.query(`
-      SELECT 
-        c.column_name, 
-        c.data_type,
-        c.is_nullable,
-        tc.constraint_type,
-        ccu.table_name AS foreign_table_name,
-        ccu.column_name AS foreign_column_name
-      FROM information_schema.columns c
-      LEFT JOIN information_schema.key_column_usage kcu
-        ON LOWER(c.table_name) = LOWER(kcu.table_name)
-        AND LOWER(c.column_name) = LOWER(kcu.column_name)
-      LEFT JOIN information_schema.table_constraints tc
-        ON kcu.constraint_name = tc.constraint_name
-        AND tc.constraint_type = 'FOREIGN KEY'
-      LEFT JOIN information_schema.constraint_column_usage ccu
-        ON tc.constraint_name = ccu.constraint_name
-      WHERE LOWER(c.table_name) = LOWER(:table_name)
-        AND c.table_schema = 'public'
-    `, {
-      replacements: { table_name }
-    });
-
-    if (fields.length === 0) {
-      return res.status(404).json({ message: `No se encontraron campos para la tabla ${table_name}` });
+      }
     }
 
-    const fieldDataTypes = fields.map(field => {
-      let mappedType;
-      switch (field.data_type) {
-        case 'character varying':
-        case 'varchar':
-          mappedType = 'VARCHAR(255)';
-          break;
-        case 'text':
-          mappedType = 'TEXT';
-          break;
-        case 'integer':
-          mappedType = 'INTEGER';
-          break;
-        case 'numeric':
-        case 'decimal':
-          mappedType = 'DECIMAL';
-          break;
-        case 'boolean':
-          mappedType = 'BOOLEAN';
-          break;
-        case 'date':
-        case 'timestamp without time zone':
-          mappedType = 'DATE';
-          break;
-        default:
-          mappedType = field.data_type.toUpperCase();
-      }
+    console.log('Related Data:', relatedData);
 
-      return {
-        ...field,
-        data_type: mappedType,
-      };
-    });
+    // ----------------------------------------------------------------------------------------
+    // ------------------ DEVOLVER LOS DATOS RELACIONADOS -------------------------------------
+    // ----------------------------------------------------------------------------------------
 
-    res.status(200).json(fieldDataTypes);
+    // Devolver una respuesta exitosa con los datos relacionados.
+    res.status(200).json({ relatedData });
   } catch (error) {
-    console.error('Error obteniendo los campos de la tabla:', error);
-    res.status(500).json({ message: 'Error obteniendo los campos de la tabla', error: error.message });
+    // Capturar cualquier error durante la operación y devolver un mensaje de error.
+    console.error('Error obteniendo los datos relacionados:', error);
+    res.status(500).json({ message: 'Error obteniendo los datos relacionados', error: error.message });
   }
 };
 
+
 // ----------------------------------------------------------------------------------------
 // ----------------------------- CONTROLADOR validateField -------------------------------
 // ----------------------------------------------------------------------------------------
@@ -2899,6 +4542,14 @@ exports.updateFileCompliance = async (req, res) => {
       return res.status(400).json({ error: 'El campo "cumple" es requerido' });
     }
 
+    // Valores anteriores del cumplimiento, para el historial.
+    const [previous] = await sequelize.query(
+      `SELECT name, cumple, "descripcion cumplimiento" AS descripcion_cumplimiento
+       FROM files
+       WHERE id = :file_id AND record_id = :record_id AND table_name = :table_name`,
+      { replacements: { file_id, record_id, table_name }, type: QueryTypes.SELECT }
+    );
+
     // Actualizar el archivo en la base de datos
     const [results] = await sequelize.query(
       `UPDATE files
@@ -2921,6 +4572,17 @@ exports.updateFileCompliance = async (req, res) => {
       return res.status(404).json({ error: 'Archivo no encontrado o no pertenece al registro' });
     }
 
+    await insertHistory(
+      table_name,
+      record_id,
+      req.user.id,
+      'update_file_compliance',
+      `Archivo (id:${file_id})`,
+      { cumple: previous.cumple, descripcion_cumplimiento: previous.descripcion_cumplimiento },
+      { cumple, descripcion_cumplimiento: descripcion_cumplimiento === undefined ? null : descripcion_cumplimiento },
+      `Se actualizó el cumplimiento del archivo: ${previous.name}`
+    );
+
     res.json({ message: 'Estado de cumplimiento actualizado correctamente' });
   } catch (error) {
     console.error('Error actualizando el cumplimiento:', error);
@@ -2934,32 +4596,405 @@ exports.updateFileCompliance = async (req, res) => {
 
 exports.deleteTableRecord = async (req, res) => {
   const { table_name, record_id } = req.params;
+  const userId = req.user.id;
 
   try {
-    // Validar que el nombre de la tabla comience con 'pi_'
-    if (!table_name.startsWith('pi_')) {
+    // Validar que la tabla pertenezca a un módulo registrado
+    if (!(await getTableModule(table_name))) {
       return res.status(400).json({ message: 'Nombre de tabla inválido' });
     }
 
-    // Ejecutar la consulta para eliminar el registro específico
-    const deleteQuery = `DELETE FROM "${table_name}" WHERE id = :record_id RETURNING *`;
-    const result = await sequelize.query(deleteQuery, {
+    const [record] = await sequelize.query(`SELECT * FROM "${table_name}" WHERE id = :record_id`, {
       replacements: { record_id },
-      type: sequelize.QueryTypes.DELETE,
+      type: QueryTypes.SELECT,
     });
-
-    // Verificar si no se encontró el registro a eliminar
-    if (result[1] === 0) {
+    if (!record) {
       return res.status(404).json({ message: 'Registro no encontrado' });
     }
+    if (await isRecordDeleted(table_name, record_id)) {
+      return res.status(409).json({ message: 'El registro ya está en la papelera' });
+    }
+
+    // Eliminación lógica: el registro se marca y deja de aparecer en los listados.
+    await DeletedRecord.create({ table_name, record_id: record.id, deleted_by: userId });
+
+    // Registrar la eliminación en el historial con el contenido del registro.
+    await insertHistory(
+      table_name,
+      record.id,
+      userId,
+      'delete',
+      null,
+      JSON.stringify(record),
+      null,
+      'Registro enviado a la papelera'
+    );
 
-    return res.status(200).json({ message: 'Registro eliminado con éxito' });
+    return res.status(200).json({ message: 'Registro enviado a la papelera con éxito' });
   } catch (error) {
     console.error('Error eliminando el registro:', error);
     res.status(500).json({ message: 'Error eliminando el registro', error: error.message });
   }
 };
 
+// ----------------------------------------------------------------------------------------
+// ------------------------- CONTROLADOR bulkDeleteRecords --------------------------------
+// ----------------------------------------------------------------------------------------
+
+// Enviar varios registros a la papelera en una sola operación masiva, que se puede revertir completa.
+exports.bulkDeleteRecords = async (req, res) => {
+  const { table_name } = req.params;
+  const { recordIds } = req.body;
+  const userId = req.user.id;
+
+  try {
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+    if (!Array.isArray(recordIds) || recordIds.length === 0 || recordIds.some((id) => !Number.isInteger(Number(id)))) {
+      return res.status(400).json({ message: 'recordIds debe ser una lista de IDs de registros' });
+    }
+    if (recordIds.length > MAX_BULK_RECORDS) {
+      return res.status(400).json({ message: `No se pueden eliminar más de ${MAX_BULK_RECORDS} registros a la vez` });
+    }
+    const ids = [...new Set(recordIds.map(Number))];
+
+    const results = [];
+    const operation = await sequelize.transaction(async (transaction) => {
+      const records = await sequelize.query(
+        `SELECT * FROM "${table_name}" WHERE id IN (:ids) ORDER BY id FOR UPDATE`,
+        { replacements: { ids }, type: QueryTypes.SELECT, transaction }
+      );
+      const deletedIds = (await DeletedRecord.findAll({ where: { table_name, record_id: ids }, transaction }))
+        .map((marker) => marker.record_id);
+
+      const newOperation = await BulkOperation.create({
+        table_name,
+        operation_type: 'bulk_delete',
+        description: 'Eliminación masiva de registros',
+        user_id: userId,
+      }, { transaction });
+
+      for (const recordId of ids) {
+        const record = records.find((row) => row.id === recordId);
+        if (!record) {
+          results.push({ record_id: recordId, status: 'failed', message: 'Registro no encontrado' });
+          continue;
+        }
+        if (deletedIds.includes(recordId)) {
+          results.push({ record_id: recordId, status: 'skipped', message: 'El registro ya está en la papelera' });
+          continue;
+        }
+
+        await DeletedRecord.create({ table_name, record_id: recordId, deleted_by: userId }, { transaction });
+        await insertHistory(
+          table_name,
+          recordId,
+          userId,
+          'delete',
+          null,
+          JSON.stringify(record),
+          null,
+          'Registro enviado a la papelera (eliminación masiva)',
+          { transaction, operationId: newOperation.id }
+        );
+        results.push({ record_id: recordId, status: 'deleted' });
+      }
+
+      newOperation.record_count = results.filter((result) => result.status === 'deleted').length;
+      await newOperation.save({ transaction });
+      return newOperation;
+    });
+
+    const idsWithStatus = (status) => results.filter((result) => result.status === status).map((result) => result.record_id);
+    res.status(200).json({
+      message: 'Registros enviados a la papelera con éxito',
+      operation_id: operation.id,
+      deleted: idsWithStatus('deleted'),
+      skipped: idsWithStatus('skipped'),
+      failed: results.filter((result) => result.status === 'failed'),
+    });
+  } catch (error) {
+    console.error('Error eliminando registros:', error);
+    res.status(500).json({ message: 'Error eliminando registros', error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------------------------------
+// ------------------------- CONTROLADORES DE LA PAPELERA ---------------------------------
+// ----------------------------------------------------------------------------------------
+
+// Listar los registros en la papelera de una tabla
+exports.getDeletedRecords = async (req, res) => {
+  const { table_name } = req.params;
+
+  try {
+    if (!(await getTableModule(table_name)) || !(await describeTable(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+
+    const records = await listDeletedRecords(table_name);
+    res.status(200).json(records);
+  } catch (error) {
+    console.error('Error obteniendo la papelera:', error);
+    res.status(500).json({ message: 'Error obteniendo la papelera', error: error.message });
+  }
+};
+
+// Restaurar un registro de la papelera
+exports.restoreTableRecord = async (req, res) => {
+  const { table_name, record_id } = req.params;
+  const userId = req.user.id;
+
+  try {
+    // Validar que la tabla pertenezca a un módulo registrado
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+
+    const marker = await DeletedRecord.findOne({ where: { table_name, record_id } });
+    if (!marker) {
+      return res.status(404).json({ message: 'El registro no está en la papelera' });
+    }
+
+    await marker.destroy();
+
+    await insertHistory(table_name, record_id, userId, 'restore', null, null, null, 'Registro restaurado de la papelera');
+
+    res.status(200).json({ message: 'Registro restaurado con éxito' });
+  } catch (error) {
+    console.error('Error restaurando el registro:', error);
+    res.status(500).json({ message: 'Error restaurando el registro', error: error.message });
+  }
+};
+
+// Eliminar definitivamente un registro de la papelera, con sus comentarios y archivos.
+// Solo se pueden eliminar definitivamente los registros que están en la papelera.
+exports.purgeTableRecord = async (req, res) => {
+  const { table_name, record_id } = req.params;
+  const userId = req.user.id;
+
+  try {
+    // Validar que la tabla pertenezca a un módulo registrado
+    const tableModule = await getTableModule(table_name);
+    if (!tableModule) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+
+    if (!(await isRecordDeleted(table_name, record_id))) {
+      return res.status(404).json({ message: 'El registro no está en la papelera' });
+    }
+
+    const [record] = await sequelize.query(`SELECT * FROM "${table_name}" WHERE id = :record_id`, {
+      replacements: { record_id },
+      type: QueryTypes.SELECT,
+    });
+
+    let files;
+    try {
+      files = await sequelize.transaction((transaction) => purgeRecord(table_name, record_id, { transaction }));
+    } catch (error) {
+      // Otros registros apuntan a este registro con una clave foránea.
+      if (error.original && error.original.code === '23503') {
+        return res.status(409).json({
+          message: 'No se puede eliminar definitivamente el registro porque otros registros lo referencian',
+          error: error.original.detail,
+        });
+      }
+      throw error;
+    }
+
+    // Borrar del disco los archivos del registro. Los de las tablas del plan de inversión se guardan en la
+    // carpeta de la caracterización (ver uploadFile).
+    const uploadFolder = tableModule.key === PI_MODULE_KEY ? 'inscription_caracterizacion' : table_name;
+    for (const file of files) {
+      const filePath = path.join(UPLOADS_ROOT, uploadFolder, String(file.record_id), path.basename(file.file_path));
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+
+    await insertHistory(
+      table_name,
+      record_id,
+      userId,
+      'purge',
+      null,
+      record ? JSON.stringify(record) : null,
+      null,
+      'Registro eliminado definitivamente'
+    );
+
+    res.status(200).json({ message: 'Registro eliminado definitivamente', deleted_files: files.length });
+  } catch (error) {
+    console.error('Error eliminando definitivamente el registro:', error);
+    res.status(500).json({ message: 'Error eliminando definitivamente el registro', error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------------------------------
+// -------------------- CONTROLADORES DE LAS OPERACIONES MASIVAS --------------------------
+// ----------------------------------------------------------------------------------------
+
+// Mensaje de las respuestas 409 cuando algún registro cambió después de la operación que se quiere revertir.
+const REVERT_CONFLICT_MESSAGE = 'Algunos registros cambiaron después de la operación; no se revirtió ningún cambio';
+
+// Listar las operaciones masivas de una tabla, las más recientes primero
+exports.getBulkOperations = async (req, res) => {
+  const { table_name } = req.params;
+
+  try {
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+
+    const operations = await BulkOperation.findAll({
+      where: { table_name },
+      include: [{ model: User, attributes: ['id', 'username'] }],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+    });
+    res.status(200).json(operations);
+  } catch (error) {
+    console.error('Error obteniendo las operaciones masivas:', error);
+    res.status(500).json({ message: 'Error obteniendo las operaciones masivas', error: error.message });
+  }
+};
+
+// Vista previa de la reversión de una operación masiva: los valores que se restaurarían y los conflictos
+// (registros que cambiaron después de la operación) que impedirían revertirla.
+exports.previewBulkOperationRevert = async (req, res) => {
+  const { table_name, operation_id } = req.params;
+
+  try {
+    const operation = await BulkOperation.findOne({ where: { id: operation_id, table_name } });
+    if (!operation) {
+      return res.status(404).json({ message: 'Operación no encontrada' });
+    }
+
+    const { changes, conflicts } = await planOperationRevert(operation);
+    res.status(200).json({
+      operation,
+      can_revert: !operation.reverted && conflicts.length === 0,
+      changes: changes.map(({ value, ...change }) => change),
+      conflicts,
+    });
+  } catch (error) {
+    console.error('Error calculando la reversión de la operación:', error);
+    res.status(500).json({ message: 'Error calculando la reversión de la operación', error: error.message });
+  }
+};
+
+// Revertir una operación masiva: restaura los valores anteriores de los campos actualizados, envía a la
+// papelera los registros creados y restaura los eliminados. Si algún registro cambió después de la
+// operación no se revierte nada y se informan los conflictos. La reversión es a su vez una operación
+// masiva, por lo que también se puede revertir.
+exports.revertBulkOperation = async (req, res) => {
+  const { table_name, operation_id } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const operation = await BulkOperation.findOne({ where: { id: operation_id, table_name } });
+    if (!operation) {
+      return res.status(404).json({ message: 'Operación no encontrada' });
+    }
+    if (operation.reverted) {
+      return res.status(409).json({ message: 'La operación ya fue revertida' });
+    }
+
+    const transaction = await sequelize.transaction();
+    let revertOperation;
+    let changes;
+    try {
+      const plan = await planOperationRevert(operation, { transaction });
+      if (plan.conflicts.length > 0) {
+        await transaction.rollback();
+        return res.status(409).json({ message: REVERT_CONFLICT_MESSAGE, conflicts: plan.conflicts });
+      }
+      changes = plan.changes;
+
+      revertOperation = await BulkOperation.create({
+        table_name,
+        operation_type: 'revert',
+        record_count: new Set(changes.map((change) => change.record_id)).size,
+        description: `Reversión de la operación ${operation.id}`,
+        user_id: userId,
+        reverted_operation_id: operation.id,
+      }, { transaction });
+      const historyOptions = { transaction, operationId: revertOperation.id };
+
+      for (const change of changes) {
+        if (change.action === 'update') {
+          await sequelize.query(`UPDATE "${table_name}" SET "${change.field_name}" = $1 WHERE id = $2`, {
+            bind: [change.value, change.record_id],
+            transaction,
+          });
+          await insertHistory(
+            table_name,
+            change.record_id,
+            userId,
+            'update',
+            change.field_name,
+            change.current_value,
+            change.restored_value,
+            `Campo ${change.field_name} restaurado (reversión de la operación ${operation.id})`,
+            historyOptions
+          );
+        } else {
+          const [record] = await sequelize.query(`SELECT * FROM "${table_name}" WHERE id = :record_id`, {
+            replacements: { record_id: change.record_id },
+            type: QueryTypes.SELECT,
+            transaction,
+          });
+
+          if (change.action === 'delete') {
+            await DeletedRecord.create({ table_name, record_id: change.record_id, deleted_by: userId }, { transaction });
+            await insertHistory(
+              table_name,
+              change.record_id,
+              userId,
+              'delete',
+              null,
+              JSON.stringify(record),
+              null,
+              `Registro enviado a la papelera (reversión de la operación ${operation.id})`,
+              historyOptions
+            );
+          } else {
+            await DeletedRecord.destroy({ where: { table_name, record_id: change.record_id }, transaction });
+            await insertHistory(
+              table_name,
+              change.record_id,
+              userId,
+              'restore',
+              null,
+              null,
+              JSON.stringify(record),
+              `Registro restaurado de la papelera (reversión de la operación ${operation.id})`,
+              historyOptions
+            );
+          }
+        }
+      }
+
+      Object.assign(operation, { reverted: true, reverted_at: new Date(), reverted_by: userId });
+      await operation.save({ transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    res.status(200).json({
+      message: `Operación ${operation.id} revertida con éxito`,
+      operation_id: revertOperation.id,
+      changes: changes.map(({ value, ...change }) => change),
+    });
+  } catch (error) {
+    console.error('Error revirtiendo la operación:', error);
+    res.status(500).json({ message: 'Error revirtiendo la operación', error: error.message });
+  }
+};
+
 // ----------------------------------------------------------------------------------------
 // ------------------------------ CONTROLADOR createComment -------------------------------
 // ----------------------------------------------------------------------------------------
@@ -2989,19 +5024,16 @@ exports.createComment = async (req, res) => {
 
   try {
     // Validar el nombre de la tabla
-    if (
-      !table_name.startsWith('inscription_') &&
-      !table_name.startsWith('provider_') &&
-      !table_name.startsWith('pi_')
-    ) {
+    const tableModule = await getTableModule(table_name);
+    if (!tableModule) {
       return res.status(400).json({ message: 'Nombre de tabla inválido' });
     }
 
     // Definir el record_id final para buscar el registro
     let finalRecordId = record_id;
 
-    // Si la tabla es 'pi_', utilizar el 'caracterizacion_id' como 'record_id'
-    if (table_name.startsWith('pi_')) {
+    // En las tablas del módulo del plan de inversión, utilizar el 'caracterizacion_id' como 'record_id'
+    if (tableModule.key === PI_MODULE_KEY) {
       if (!caracterizacion_id) {
         return res.status(400).json({ message: 'El ID de caracterización es requerido para tablas pi_' });
       }
@@ -3084,17 +5116,14 @@ exports.getComments = async (req, res) => {
 
   try {
     // Validar el nombre de la tabla
-    if (
-      !table_name.startsWith('inscription_') &&
-      !table_name.startsWith('provider_') &&
-      !table_name.startsWith('pi_')
-    ) {
+    const tableModule = await getTableModule(table_name);
+    if (!tableModule) {
       return res.status(400).json({ message: 'Nombre de tabla inválido' });
     }
 
     let finalRecordId = record_id;
 
-    if (table_name.startsWith('pi_')) {
+    if (tableModule.key === PI_MODULE_KEY) {
       finalRecordId = caracterizacion_id || record_id;
     }
 
@@ -3130,11 +5159,16 @@ exports.getRecordHistory = async (req, res) => {
   const { table_name, record_id } = req.params;
 
   try {
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+
+    // Solo los cambios del registro; los eventos de esquema y de seguridad se consultan en la auditoría.
     const history = await sequelize.query(
       `SELECT rh.*, u.username
        FROM record_history rh
-       JOIN users u ON rh.user_id = u.id
-       WHERE rh.table_name = :table_name AND rh.record_id = :record_id
+       LEFT JOIN users u ON rh.user_id = u.id
+       WHERE rh.table_name = :table_name AND rh.record_id = :record_id AND rh.event_scope = 'record'
        ORDER BY rh.created_at DESC`,
       {
         replacements: { table_name, record_id },
@@ -3151,13 +5185,180 @@ exports.getRecordHistory = async (req, res) => {
   }
 };
 
+// Interpreta la fecha 'at' de las consultas del historial. Devuelve null si no es una fecha válida.
+function parseHistoryDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+// Controlador getRecordSnapshot: el registro tal como estaba en una fecha ('at'), comparado con su versión actual
+exports.getRecordSnapshot = async (req, res) => {
+  const { table_name, record_id } = req.params;
+
+  try {
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+    const at = parseHistoryDate(req.query.at);
+    if (!at) {
+      return res.status(400).json({ message: 'El parámetro at debe ser una fecha válida' });
+    }
 
+    const result = await buildRecordSnapshot(table_name, record_id, at);
+    if (!result) {
+      return res.status(404).json({ message: 'Registro no encontrado' });
+    }
 
+    return res.status(200).json({
+      record_id: Number(record_id),
+      at,
+      existed: result.existed,
+      snapshot: result.snapshot,
+      current: result.current,
+      differences: result.differences,
+    });
+  } catch (error) {
+    console.error('Error reconstruyendo el registro:', error);
+    return res.status(500).json({
+      message: 'Error interno del servidor al reconstruir el registro.',
+      error: error.message,
+    });
+  }
+};
 
+// Controlador restoreRecordSnapshot: restaura los campos de un registro a sus valores en una fecha ('at').
+// Si se indican 'fields' solo se restauran esos campos; si no, todos los que cambiaron desde esa fecha.
+// Cada campo restaurado queda en el historial con el tipo de cambio 'restore'.
+exports.restoreRecordSnapshot = async (req, res) => {
+  const { table_name, record_id } = req.params;
+  const { fields } = req.body;
+  const userId = req.user.id;
 
+  try {
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+    const at = parseHistoryDate(req.body.at);
+    if (!at) {
+      return res.status(400).json({ message: 'El campo at debe ser una fecha válida' });
+    }
+    if (fields !== undefined && (!Array.isArray(fields) || fields.length === 0)) {
+      return res.status(400).json({ message: 'fields debe ser una lista de campos' });
+    }
+    const expectedVersion = parseIfMatch(req.headers['if-match']);
+    if (expectedVersion === null) {
+      return res.status(400).json({ message: 'La cabecera If-Match no contiene una versión válida del registro' });
+    }
 
+    const columnTypes = (await getTableColumns(table_name)).reduce((acc, column) => {
+      acc[column.column_name] = column.data_type;
+      return acc;
+    }, {});
+    const unknownFields = (fields || []).filter((field) => field === 'id' || !(field in columnTypes));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({ message: `No se pueden restaurar los campos: ${unknownFields.join(', ')}` });
+    }
 
+    const transaction = await sequelize.transaction();
+    let restored;
+    try {
+      const result = await buildRecordSnapshot(table_name, record_id, at, { transaction });
+      if (!result) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Registro no encontrado' });
+      }
+      if (!result.existed) {
+        await transaction.rollback();
+        return res.status(409).json({ message: 'El registro no existía en esa fecha' });
+      }
 
+      restored = result.differences.filter((difference) =>
+        difference.field_name !== 'id' && (!fields || fields.includes(difference.field_name))
+      );
+      if (restored.length > 0) {
+        // Los valores de la fecha elegida pasan por las mismas validaciones que una actualización: las
+        // opciones y reglas de los campos pueden haber cambiado desde entonces.
+        const snapshotData = restored.reduce((acc, difference) => {
+          acc[difference.field_name] = fromHistoryValue(difference.snapshot_value, columnTypes[difference.field_name]);
+          return acc;
+        }, {});
+        const { data: values, errors: validationErrors } = await validateRecord(table_name, snapshotData, {
+          partial: true,
+          recordIds: [record_id],
+          transaction,
+        });
+        if (validationErrors.length > 0) {
+          await transaction.rollback();
+          return res.status(422).json({ message: 'Los valores a restaurar no son válidos', errors: validationErrors });
+        }
+        const fieldNames = Object.keys(values);
+        restored = restored.filter((difference) => fieldNames.includes(difference.field_name));
+
+        // Control de concurrencia optimista, igual que en updateTableRecord.
+        if (expectedVersion) {
+          const conflict = await findVersionConflict(table_name, record_id, expectedVersion, fieldNames, { transaction });
+          if (conflict) {
+            await transaction.rollback();
+            return res.status(409).json({ message: VERSION_CONFLICT_MESSAGE, ...conflict });
+          }
+        }
 
+        const checkVersion = expectedVersion && expectedVersion !== '*';
+        const setClause = fieldNames.map((field, index) => `"${field}" = $${index + 1}`).join(', ');
+        const [updated] = await sequelize.query(
+          `UPDATE "${table_name}" SET ${setClause}
+           WHERE id = $${fieldNames.length + 1}
+           ${checkVersion ? `AND ${recordHashSql(table_name)} = $${fieldNames.length + 2}` : ''}
+           RETURNING id`,
+          {
+            bind: checkVersion
+              ? [...Object.values(values), record_id, expectedVersion.hash]
+              : [...Object.values(values), record_id],
+            transaction,
+          }
+        );
+        if (updated.length === 0) {
+          const conflict = checkVersion
+            && (await findVersionConflict(table_name, record_id, expectedVersion, fieldNames, { transaction }));
+          await transaction.rollback();
+          if (conflict) {
+            return res.status(409).json({ message: VERSION_CONFLICT_MESSAGE, ...conflict });
+          }
+          return res.status(404).json({ message: 'Registro no encontrado' });
+        }
 
+        for (const difference of restored) {
+          await insertHistory(
+            table_name,
+            record_id,
+            userId,
+            'restore',
+            difference.field_name,
+            difference.current_value,
+            difference.snapshot_value,
+            `Campo ${difference.field_name} restaurado al valor del ${at.toISOString()}`,
+            { transaction }
+          );
+        }
+      }
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
 
+    const version = await getRecordVersion(table_name, record_id);
+    res.set('ETag', version.etag);
+    return res.status(200).json({
+      message: restored.length > 0 ? 'Registro restaurado con éxito' : 'El registro no cambió desde esa fecha',
+      restored_fields: restored,
+      version: version.etag,
+    });
+  } catch (error) {
+    console.error('Error restaurando el registro:', error);
+    return res.status(500).json({
+      message: 'Error interno del servidor al restaurar el registro.',
+      error: error.message,
+    });
+  }
+};
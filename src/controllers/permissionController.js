@@ -1,10 +1,19 @@
 const Permission = require('../models/Permission');
+const { recordAudit, recordAuditChanges } = require('../utils/audit');
 
 // Crear un nuevo permiso
 exports.createPermission = async (req, res) => {
   const { permission_name } = req.body;
   try {
     const newPermission = await Permission.create({ permission_name });
+    await recordAudit({
+      scope: 'security',
+      tableName: 'permissions',
+      recordId: newPermission.id,
+      changeType: 'create',
+      newValue: { permission_name },
+      description: `Permiso ${permission_name} creado`,
+    });
     res.status(201).json({ message: 'Permiso creado con éxito', permission: newPermission });
   } catch (error) {
     res.status(500).json({ message: 'Error creando permiso', error: error.message });
@@ -30,10 +39,17 @@ exports.updatePermission = async (req, res) => {
     if (!permission) {
       return res.status(404).json({ message: 'Permiso no encontrado' });
     }
+    const previous = permission.get({ plain: true });
 
     permission.permission_name = permission_name || permission.permission_name;
 
     await permission.save();
+    await recordAuditChanges(
+      { scope: 'security', tableName: 'permissions', recordId: permission.id, changeType: 'update' },
+      previous,
+      permission.get({ plain: true }),
+      ['permission_name']
+    );
     res.status(200).json({ message: 'Permiso actualizado', permission });
   } catch (error) {
     res.status(500).json({ message: 'Error actualizando permiso', error: error.message });
@@ -50,17 +66,26 @@ exports.deletePermission = async (req, res) => {
     }
 
     await permission.destroy();
+    await recordAudit({
+      scope: 'security',
+      tableName: 'permissions',
+      recordId: permission.id,
+      changeType: 'delete',
+      oldValue: { permission_name: permission.permission_name },
+      description: `Permiso ${permission.permission_name} eliminado`,
+    });
     res.status(200).json({ message: 'Permiso eliminado con éxito' });
   } catch (error) {
     res.status(500).json({ message: 'Error eliminando permiso', error: error.message });
   }
 };
 
-// Crear permisos para las tablas
+// Crear permisos para las tablas y para el explorador de auditoría (si no existen)
 const createTablePermissions = async () => {
   try {
-    await Permission.create({ permission_name: 'view_tables' });
-    await Permission.create({ permission_name: 'manage_tables' });
+    for (const permission_name of ['view_tables', 'manage_tables', 'view_audit']) {
+      await Permission.findOrCreate({ where: { permission_name } });
+    }
     console.log('Permisos para tablas creados con éxito');
   } catch (error) {
     console.error('Error creando permisos:', error.message);
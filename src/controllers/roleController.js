@@ -1,10 +1,19 @@
 const Role = require('../models/Role');
+const { recordAudit, recordAuditChanges } = require('../utils/audit');
 
 // Crear un nuevo rol
 exports.createRole = async (req, res) => {
   const { role_name, description } = req.body;
   try {
     const newRole = await Role.create({ role_name, description });
+    await recordAudit({
+      scope: 'security',
+      tableName: 'roles',
+      recordId: newRole.id,
+      changeType: 'create',
+      newValue: { role_name, description },
+      description: `Rol ${role_name} creado`,
+    });
     res.status(201).json({ message: 'Rol creado con éxito', role: newRole });
   } catch (error) {
     res.status(500).json({ message: 'Error creando rol', error: error.message });
@@ -30,11 +39,18 @@ exports.updateRole = async (req, res) => {
     if (!role) {
       return res.status(404).json({ message: 'Rol no encontrado' });
     }
+    const previous = role.get({ plain: true });
 
     role.role_name = role_name || role.role_name;
     role.description = description || role.description;
 
     await role.save();
+    await recordAuditChanges(
+      { scope: 'security', tableName: 'roles', recordId: role.id, changeType: 'update' },
+      previous,
+      role.get({ plain: true }),
+      ['role_name', 'description']
+    );
     res.status(200).json({ message: 'Rol actualizado', role });
   } catch (error) {
     res.status(500).json({ message: 'Error actualizando rol', error: error.message });
@@ -51,6 +67,14 @@ exports.deleteRole = async (req, res) => {
     }
 
     await role.destroy();
+    await recordAudit({
+      scope: 'security',
+      tableName: 'roles',
+      recordId: role.id,
+      changeType: 'delete',
+      oldValue: { role_name: role.role_name, description: role.description },
+      description: `Rol ${role.role_name} eliminado`,
+    });
     res.status(200).json({ message: 'Rol eliminado con éxito' });
   } catch (error) {
     res.status(500).json({ message: 'Error eliminando rol', error: error.message });
@@ -1,5 +1,6 @@
 const Role = require('../models/Role');
 const Permission = require('../models/Permission');
+const { recordAudit } = require('../utils/audit');
 
 // Asignar permisos a un rol
 exports.assignPermissionsToRole = async (req, res) => {
@@ -25,8 +26,19 @@ exports.assignPermissionsToRole = async (req, res) => {
       return res.status(404).json({ message: 'Permisos no encontrados' });
     }
 
-    // Asignar permisos al rol
+    // Asignar permisos al rol y registrar en la auditoría los permisos anteriores y los nuevos
+    const previousPermissions = (await role.getPermissions()).map((permission) => permission.permission_name).sort();
     await role.setPermissions(permissions);
+    await recordAudit({
+      scope: 'security',
+      tableName: 'roles',
+      recordId: role.id,
+      changeType: 'update_permissions',
+      fieldName: 'permissions',
+      oldValue: previousPermissions,
+      newValue: permissions.map((permission) => permission.permission_name).sort(),
+      description: `Permisos del rol ${role.role_name} actualizados`,
+    });
 
     res.status(200).json({ message: 'Permisos asignados con éxito', role });
   } catch (error) {
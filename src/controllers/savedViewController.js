@@ -0,0 +1,139 @@
+const sequelize = require('../utils/sequelize');
+const SavedView = require('../models/SavedView');
+const { getTableModule } = require('../utils/tableRegistry');
+const {
+  pickViewAttributes,
+  validateSavedView,
+  findVisibleViews,
+  findVisibleView,
+  clearOtherDefaults,
+} = require('../utils/savedViews');
+
+// Respuesta de una vista, indicando si el usuario que la consulta es su propietario.
+function formatView(view, user) {
+  return { ...view.get({ plain: true }), is_owner: view.user_id === user.id };
+}
+
+// Obtener las vistas de una tabla que puede usar el usuario (propias y compartidas con su rol)
+exports.getSavedViews = async (req, res) => {
+  const { table_name } = req.params;
+  try {
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+
+    const views = await findVisibleViews(table_name, req.user);
+    res.status(200).json(views.map((view) => formatView(view, req.user)));
+  } catch (error) {
+    res.status(500).json({ message: 'Error obteniendo las vistas', error: error.message });
+  }
+};
+
+// Obtener una vista
+exports.getSavedView = async (req, res) => {
+  const { table_name, view_id } = req.params;
+  try {
+    const view = await findVisibleView(view_id, table_name, req.user);
+    if (!view) {
+      return res.status(404).json({ message: 'Vista no encontrada' });
+    }
+
+    res.status(200).json(formatView(view, req.user));
+  } catch (error) {
+    res.status(500).json({ message: 'Error obteniendo la vista', error: error.message });
+  }
+};
+
+// Crear una vista. El propietario es el usuario que la crea.
+exports.createSavedView = async (req, res) => {
+  const { table_name } = req.params;
+  try {
+    if (!(await getTableModule(table_name))) {
+      return res.status(400).json({ message: 'Nombre de tabla inválido' });
+    }
+
+    const attributes = pickViewAttributes(req.body);
+    if (attributes.name === undefined) {
+      return res.status(400).json({ message: 'El nombre de la vista es requerido' });
+    }
+    const validationError = await validateSavedView(table_name, attributes);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const existing = await SavedView.findOne({ where: { table_name, user_id: req.user.id, name: attributes.name } });
+    if (existing) {
+      return res.status(400).json({ message: `Ya tiene una vista llamada ${attributes.name} en esta tabla` });
+    }
+
+    const view = await sequelize.transaction(async (transaction) => {
+      const newView = await SavedView.create({ ...attributes, table_name, user_id: req.user.id }, { transaction });
+      if (newView.is_default) {
+        await clearOtherDefaults(newView, { transaction });
+      }
+      return newView;
+    });
+
+    res.status(201).json({ message: 'Vista creada con éxito', view: formatView(view, req.user) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error creando la vista', error: error.message });
+  }
+};
+
+// Actualizar una vista. Solo el propietario puede modificarla.
+exports.updateSavedView = async (req, res) => {
+  const { table_name, view_id } = req.params;
+  try {
+    const view = await findVisibleView(view_id, table_name, req.user);
+    if (!view) {
+      return res.status(404).json({ message: 'Vista no encontrada' });
+    }
+    if (view.user_id !== req.user.id) {
+      return res.status(403).json({ message: 'Solo el propietario puede modificar la vista' });
+    }
+
+    const attributes = pickViewAttributes(req.body);
+    const validationError = await validateSavedView(table_name, attributes);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (attributes.name !== undefined && attributes.name !== view.name) {
+      const existing = await SavedView.findOne({ where: { table_name, user_id: req.user.id, name: attributes.name } });
+      if (existing) {
+        return res.status(400).json({ message: `Ya tiene una vista llamada ${attributes.name} en esta tabla` });
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      Object.assign(view, attributes, { updated_at: new Date() });
+      await view.save({ transaction });
+      if (view.is_default) {
+        await clearOtherDefaults(view, { transaction });
+      }
+    });
+
+    res.status(200).json({ message: 'Vista actualizada con éxito', view: formatView(view, req.user) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error actualizando la vista', error: error.message });
+  }
+};
+
+// Eliminar una vista. Solo el propietario puede eliminarla.
+exports.deleteSavedView = async (req, res) => {
+  const { table_name, view_id } = req.params;
+  try {
+    const view = await findVisibleView(view_id, table_name, req.user);
+    if (!view) {
+      return res.status(404).json({ message: 'Vista no encontrada' });
+    }
+    if (view.user_id !== req.user.id) {
+      return res.status(403).json({ message: 'Solo el propietario puede eliminar la vista' });
+    }
+
+    await view.destroy();
+    res.status(200).json({ message: 'Vista eliminada con éxito' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error eliminando la vista', error: error.message });
+  }
+};
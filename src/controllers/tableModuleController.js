@@ -0,0 +1,122 @@
+const TableModule = require('../models/TableModule');
+const { getModules, findPrefixConflicts } = require('../utils/tableRegistry');
+const { recordAuditChanges } = require('../utils/audit');
+
+// Formato de los prefijos de módulo: minúsculas, números y guiones bajos, terminado en '_'.
+const PREFIX_PATTERN = /^[a-z][a-z0-9_]*_$/;
+
+// Atributos de un módulo que se registran en la auditoría.
+const AUDITED_ATTRIBUTES = ['key', 'prefix', 'name', 'description', 'related_modules', 'sort_order'];
+
+// Valida la lista de módulos relacionados. Devuelve un mensaje de error o null.
+async function validateRelatedModules(relatedModules, ownKey) {
+  if (!Array.isArray(relatedModules)) {
+    return 'Los módulos relacionados deben ser una lista de claves de módulo';
+  }
+
+  const keys = (await getModules()).map((item) => item.key);
+  const unknown = relatedModules.filter((key) => key !== ownKey && !keys.includes(key));
+  return unknown.length > 0 ? `Los siguientes módulos no están registrados: ${unknown.join(', ')}` : null;
+}
+
+// Obtener todos los módulos registrados
+exports.getTableModules = async (req, res) => {
+  try {
+    const modules = await getModules();
+    res.status(200).json(modules);
+  } catch (error) {
+    res.status(500).json({ message: 'Error obteniendo los módulos', error: error.message });
+  }
+};
+
+// Registrar un nuevo módulo
+exports.createTableModule = async (req, res) => {
+  const { key, prefix, name, description, related_modules = [key], sort_order = 0 } = req.body;
+  try {
+    if (!key || !prefix || !name) {
+      return res.status(400).json({ message: 'La clave, el prefijo y el nombre del módulo son requeridos' });
+    }
+    if (!PREFIX_PATTERN.test(prefix)) {
+      return res.status(400).json({
+        message: 'El prefijo solo puede tener minúsculas, números y guiones bajos, y debe terminar en "_"',
+      });
+    }
+
+    const modules = await getModules();
+    if (modules.some((item) => item.key === key)) {
+      return res.status(400).json({ message: `Ya existe un módulo con la clave ${key}` });
+    }
+    if (modules.some((item) => item.prefix === prefix)) {
+      return res.status(400).json({ message: `Ya existe un módulo con el prefijo ${prefix}` });
+    }
+
+    // El prefijo no puede abarcar tablas del sistema (usuarios, historial, vistas guardadas...).
+    const conflicts = await findPrefixConflicts(prefix);
+    if (conflicts.length > 0) {
+      return res.status(400).json({
+        message: `El prefijo ${prefix} coincide con tablas del sistema: ${conflicts.join(', ')}`,
+      });
+    }
+
+    const relatedError = await validateRelatedModules(related_modules, key);
+    if (relatedError) {
+      return res.status(400).json({ message: relatedError });
+    }
+
+    const newModule = await TableModule.create({ key, prefix, name, description, related_modules, sort_order });
+    await recordAuditChanges(
+      {
+        scope: 'schema',
+        tableName: 'table_modules',
+        recordId: newModule.id,
+        changeType: 'create',
+        description: `Módulo ${key} registrado`,
+      },
+      {},
+      newModule.get({ plain: true }),
+      AUDITED_ATTRIBUTES
+    );
+    res.status(201).json({ message: 'Módulo registrado con éxito', module: newModule });
+  } catch (error) {
+    res.status(500).json({ message: 'Error registrando el módulo', error: error.message });
+  }
+};
+
+// Actualizar un módulo. El prefijo no se puede cambiar porque identifica a las tablas existentes.
+exports.updateTableModule = async (req, res) => {
+  const { key } = req.params;
+  const { name, description, related_modules, sort_order } = req.body;
+  try {
+    const tableModule = await TableModule.findOne({ where: { key } });
+    if (!tableModule) {
+      return res.status(404).json({ message: 'Módulo no encontrado' });
+    }
+    if (req.body.prefix !== undefined && req.body.prefix !== tableModule.prefix) {
+      return res.status(400).json({ message: 'El prefijo de un módulo no se puede cambiar' });
+    }
+    const previous = tableModule.get({ plain: true });
+
+    if (related_modules !== undefined) {
+      const relatedError = await validateRelatedModules(related_modules, key);
+      if (relatedError) {
+        return res.status(400).json({ message: relatedError });
+      }
+      tableModule.related_modules = related_modules;
+    }
+
+    tableModule.name = name || tableModule.name;
+    if (description !== undefined) tableModule.description = description;
+    if (sort_order !== undefined) tableModule.sort_order = sort_order;
+
+    await tableModule.save();
+    await recordAuditChanges(
+      { scope: 'schema', tableName: 'table_modules', recordId: tableModule.id, changeType: 'update' },
+      previous,
+      tableModule.get({ plain: true }),
+      AUDITED_ATTRIBUTES
+    );
+    res.status(200).json({ message: 'Módulo actualizado', module: tableModule });
+  } catch (error) {
+    res.status(500).json({ message: 'Error actualizando el módulo', error: error.message });
+  }
+};
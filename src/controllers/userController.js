@@ -2,8 +2,12 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Role = require('../models/Role');
+const { recordAudit, recordAuditChanges } = require('../utils/audit');
 require('dotenv').config();
 
+// Campos de los usuarios que se registran en la auditoría. La contraseña se registra sin sus valores.
+const AUDITED_USER_FIELDS = ['username', 'email', 'password', 'role_id', 'status'];
+
 // Crear un nuevo usuario
 exports.createUser = async (req, res) => {
   const { username, email, password, role_id } = req.body;
@@ -19,6 +23,15 @@ exports.createUser = async (req, res) => {
       role_id,
     });
 
+    await recordAudit({
+      scope: 'security',
+      tableName: 'users',
+      recordId: newUser.id,
+      changeType: 'create',
+      newValue: { username, email, role_id },
+      description: `Usuario ${username} creado`,
+    });
+
     res.status(201).json({
       message: 'Usuario creado con éxito',
       user: newUser,
@@ -73,6 +86,7 @@ exports.updateUser = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'Usuario no encontrado' });
     }
+    const previous = user.get({ plain: true });
 
     // Actualizar los campos del usuario
     user.username = username || user.username;
@@ -86,6 +100,14 @@ exports.updateUser = async (req, res) => {
     }
 
     await user.save();
+    await recordAuditChanges(
+      { scope: 'security', tableName: 'users', recordId: user.id, changeType: 'update' },
+      previous,
+      user.get({ plain: true }),
+      AUDITED_USER_FIELDS,
+      { maskedFields: ['password'] }
+    );
+
     res.status(200).json({ message: 'Usuario actualizado', user });
   } catch (error) {
     res.status(500).json({
@@ -106,6 +128,15 @@ exports.deleteUser = async (req, res) => {
     }
 
     await user.destroy();
+    await recordAudit({
+      scope: 'security',
+      tableName: 'users',
+      recordId: user.id,
+      changeType: 'delete',
+      oldValue: { username: user.username, email: user.email, role_id: user.role_id },
+      description: `Usuario ${user.username} eliminado`,
+    });
+
     res.status(200).json({ message: 'Usuario eliminado con éxito' });
   } catch (error) {
     res.status(500).json({
@@ -123,12 +154,28 @@ exports.login = async (req, res) => {
     // Verificar si el usuario existe
     const user = await User.findOne({ where: { email }, include: [Role] });
     if (!user) {
+      await recordAudit({
+        scope: 'security',
+        tableName: 'users',
+        changeType: 'login_failed',
+        // El correo ingresado no se guarda: puede contener la contraseña escrita por error.
+        description: 'Intento de inicio de sesión con un correo no registrado',
+        userId: null,
+      });
       return res.status(404).json({ message: 'Usuario no encontrado' });
     }
 
     // Comparar la contraseña ingresada con la encriptada en la base de datos
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await recordAudit({
+        scope: 'security',
+        tableName: 'users',
+        recordId: user.id,
+        changeType: 'login_failed',
+        description: 'Intento de inicio de sesión con contraseña incorrecta',
+        userId: null,
+      });
       return res.status(401).json({ message: 'Contraseña incorrecta' });
     }
 
@@ -136,6 +183,15 @@ exports.login = async (req, res) => {
     user.last_login = new Date();
     await user.save(); // Guardar la actualización en la base de datos
 
+    await recordAudit({
+      scope: 'security',
+      tableName: 'users',
+      recordId: user.id,
+      changeType: 'login',
+      description: 'Inicio de sesión',
+      userId: user.id,
+    });
+
     // Crear el token JWT con el ID del rol
     const token = jwt.sign(
       { id: user.id, email: user.email, role: user.role_id },
@@ -227,6 +283,16 @@ exports.resetPassword = async (req, res) => {
     user.password = await bcrypt.hash(newPassword, 10);
     await user.save();
 
+    await recordAudit({
+      scope: 'security',
+      tableName: 'users',
+      recordId: user.id,
+      changeType: 'password_reset',
+      fieldName: 'password',
+      description: 'Contraseña restablecida con el enlace de recuperación',
+      userId: user.id,
+    });
+
     res.status(200).json({ message: 'Contraseña restablecida con éxito' });
   } catch (error) {
     res.status(500).json({ message: 'Error restableciendo la contraseña', error: error.message });
@@ -243,9 +309,20 @@ exports.toggleUserStatus = async (req, res) => {
     }
 
     // Cambiar el estado (si está activo, lo cambia a inactivo y viceversa)
+    const previousStatus = user.status;
     user.status = user.status === 1 ? 0 : 1;
 
     await user.save();
+    await recordAudit({
+      scope: 'security',
+      tableName: 'users',
+      recordId: user.id,
+      changeType: 'update',
+      fieldName: 'status',
+      oldValue: previousStatus,
+      newValue: user.status,
+      description: 'Estado del usuario actualizado',
+    });
     res.status(200).json({ message: 'Estado de usuario actualizado', status: user.status });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,22 @@
+const TablesMetadata = require('../models/TablesMetadata');
+
+// Middleware que impide escribir registros en una tabla archivada.
+// Las tablas archivadas siguen disponibles para consulta y exportación.
+const rejectArchivedTable = async (req, res, next) => {
+  try {
+    const { table_name } = req.params;
+    const metadata = await TablesMetadata.findOne({ where: { table_name, is_archived: true } });
+
+    if (metadata) {
+      return res.status(409).json({
+        message: `La tabla ${table_name} está archivada y es de solo lectura`,
+      });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Error verificando el estado de la tabla', error: error.message });
+  }
+};
+
+module.exports = { rejectArchivedTable };
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const Role = require('../models/Role');
 const Permission = require('../models/Permission');
+const { setRequestUser } = require('../utils/requestContext');
 require('dotenv').config();
 
 // Middleware para autenticar el token JWT
@@ -21,6 +22,7 @@ const authenticateJWT = (req, res, next) => {
     }
 
     req.user = decoded; // Guardar la información del usuario decodificada en la solicitud
+    setRequestUser(decoded); // y en el contexto de la solicitud, para el registro de auditoría
     next();
   });
 };
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+const { runWithRequestContext } = require('../utils/requestContext');
+
+// Formato aceptado para el ID de solicitud recibido del cliente o de un proxy (cabecera X-Request-Id).
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Middleware que abre el contexto de la solicitud con su ID y la IP del cliente. El ID se toma de la cabecera
+// X-Request-Id si es válido (o se genera uno nuevo) y se devuelve en la respuesta para poder relacionar una
+// solicitud con sus entradas en el registro de auditoría.
+const requestContext = (req, res, next) => {
+  const header = req.headers['x-request-id'];
+  const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+
+  res.set('X-Request-Id', requestId);
+  runWithRequestContext({ requestId, ipAddress: req.ip || null, user: null }, next);
+};
+
+module.exports = { requestContext };
@@ -0,0 +1,21 @@
+const { isRecordDeleted } = require('../utils/recordTrash');
+
+// Middleware que impide modificar un registro que está en la papelera (editarlo, cargarle archivos,
+// comentarlo...). Para volver a usarlo hay que restaurarlo.
+const rejectDeletedRecord = async (req, res, next) => {
+  try {
+    const { table_name, record_id } = req.params;
+
+    if (await isRecordDeleted(table_name, record_id)) {
+      return res.status(409).json({
+        message: `El registro ${record_id} de la tabla ${table_name} está en la papelera. Restáurelo para modificarlo`,
+      });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Error verificando el estado del registro', error: error.message });
+  }
+};
+
+module.exports = { rejectDeletedRecord };
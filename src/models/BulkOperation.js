@@ -0,0 +1,72 @@
+// models/BulkOperation.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/sequelize');
+const User = require('./User');
+
+// Operaciones masivas sobre los registros de las tablas dinámicas (actualización masiva, carga de CSV,
+// eliminación masiva). Las entradas del historial de cada registro afectado guardan el ID de la
+// operación en 'operation_id', lo que permite revertir la operación completa.
+const BulkOperation = sequelize.define('BulkOperation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  table_name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  operation_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Tipo de operación: bulk_update, csv_import, bulk_delete, revert',
+  },
+  record_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Número de registros afectados',
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'ID del usuario que realizó la operación',
+  },
+  reverted_operation_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Operación revertida (solo en las operaciones de tipo revert)',
+  },
+  reverted: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  reverted_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  reverted_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false,
+  },
+}, {
+  timestamps: false,
+  tableName: 'bulk_operations',
+  indexes: [
+    { fields: ['table_name'] },
+  ],
+});
+
+BulkOperation.belongsTo(User, { foreignKey: 'user_id', constraints: false });
+
+module.exports = BulkOperation;
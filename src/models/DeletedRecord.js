@@ -0,0 +1,38 @@
+// models/DeletedRecord.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/sequelize');
+
+// Marca de eliminación lógica de los registros de las tablas dinámicas. Un registro con marca está en la
+// papelera: se oculta de los listados y se puede restaurar o eliminar definitivamente.
+const DeletedRecord = sequelize.define('DeletedRecord', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  table_name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  record_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+  deleted_by: {
+    type: DataTypes.INTEGER, // ID del usuario que eliminó el registro.
+    allowNull: true,
+  },
+}, {
+  tableName: 'deleted_records',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['table_name', 'record_id'] },
+  ],
+});
+
+module.exports = DeletedRecord;
@@ -2,7 +2,9 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../utils/sequelize');
 
-// Modelo para almacenar la estructura de inscripción
+// Modelo para almacenar la estructura de inscripción: metadatos de presentación de cada campo
+// de las tablas dinámicas (etiqueta, ayuda, orden, sección, visibilidad, opciones, expresión, reglas de validación
+// y forma de mostrar las claves foráneas).
 const InscriptionStructure = sequelize.define('InscriptionStructure', {
   table_name: {
     type: DataTypes.STRING,
@@ -16,10 +18,57 @@ const InscriptionStructure = sequelize.define('InscriptionStructure', {
     type: DataTypes.STRING, // Tipo de dato: VARCHAR, INTEGER, DATE, etc.
     allowNull: false,
   },
+  label: {
+    type: DataTypes.STRING, // Etiqueta que se muestra en los formularios.
+    allowNull: true,
+  },
+  description: {
+    type: DataTypes.TEXT, // Texto de ayuda del campo.
+    allowNull: true,
+  },
+  placeholder: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  display_order: {
+    type: DataTypes.INTEGER, // Orden en el que se muestra el campo.
+    allowNull: true,
+  },
+  section: {
+    type: DataTypes.STRING, // Sección o grupo del formulario al que pertenece el campo.
+    allowNull: true,
+  },
+  hidden: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  options: {
+    type: DataTypes.JSONB, // Lista de opciones de los campos SELECT/MULTISELECT: [{ value, label, order, active }].
+    allowNull: true,
+  },
+  expression: {
+    type: DataTypes.TEXT, // Expresión de los campos calculados (COMPUTED), p. ej. "{cantidad} * {valor unitario}".
+    allowNull: true,
+  },
+  display_template: {
+    type: DataTypes.TEXT, // Texto de las claves foráneas: una columna o una plantilla, p. ej. "{Nombre} {Apellidos} - {Numero de identificacion}".
+    allowNull: true,
+  },
+  display_sort: {
+    type: DataTypes.JSONB, // Orden de las opciones de las claves foráneas: [{ field, direction }].
+    allowNull: true,
+  },
+  validation_rules: {
+    type: DataTypes.JSONB, // Reglas de validación del campo: { required, min_length, max_length, min, max, pattern, email, phone_co, min_date, max_date, unique }.
+    allowNull: true,
+  },
 }, {
   tableName: 'inscription_structure',
   freezeTableName: true, // Desactivar la pluralización automática de Sequelize
+  indexes: [
+    { unique: true, fields: ['table_name', 'field_name'] },
+  ],
 });
 
 module.exports = InscriptionStructure;
-
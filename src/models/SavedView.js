@@ -0,0 +1,73 @@
+// models/SavedView.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/sequelize');
+const User = require('./User');
+
+// Vistas guardadas de una tabla dinámica: un conjunto con nombre de filtros, orden y columnas visibles.
+// Cada vista pertenece a un usuario y se puede compartir con roles.
+const SavedView = sequelize.define('SavedView', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  table_name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  user_id: {
+    type: DataTypes.INTEGER, // Usuario propietario: solo él puede modificar o eliminar la vista.
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+  shared_role_ids: {
+    type: DataTypes.JSONB, // IDs de los roles que pueden usar la vista además del propietario.
+    allowNull: false,
+    defaultValue: [],
+  },
+  filters: {
+    type: DataTypes.JSONB, // Filtro en el formato del parámetro 'filter' (ver recordFilters).
+    allowNull: true,
+  },
+  sort: {
+    type: DataTypes.JSONB, // Orden: [{ column, direction }].
+    allowNull: false,
+    defaultValue: [],
+  },
+  columns: {
+    type: DataTypes.JSONB, // Columnas visibles en orden, con su ancho: [{ name, width }].
+    allowNull: false,
+    defaultValue: [],
+  },
+  is_default: {
+    type: DataTypes.BOOLEAN, // Vista por defecto del propietario para la tabla (una por usuario y tabla).
+    allowNull: false,
+    defaultValue: false,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'saved_views',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['table_name', 'user_id', 'name'] },
+  ],
+});
+
+SavedView.belongsTo(User, { foreignKey: 'user_id' });
+
+module.exports = SavedView;
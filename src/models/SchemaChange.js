@@ -0,0 +1,76 @@
+// models/SchemaChange.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/sequelize');
+const User = require('./User');
+
+// Registro versionado de los cambios de esquema aplicados a las tablas dinámicas
+const SchemaChange = sequelize.define('SchemaChange', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  table_name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Tabla dinámica afectada por el cambio',
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Número de versión del esquema de la tabla (consecutivo por tabla)',
+  },
+  operation: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Tipo de cambio: create_table, add_column, add_foreign_key, remove_column, rename_column, change_type, change_nullability, add_computed_field, remove_computed_field, change_expression, add_index, drop_index, import_schema',
+  },
+  column_name: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Columna afectada (null para cambios a nivel de tabla)',
+  },
+  definition: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Definición exacta aplicada',
+  },
+  previous_definition: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Definición anterior, necesaria para revertir el cambio',
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'ID del usuario que aplicó el cambio',
+  },
+  rolled_back: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  rolled_back_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  rolled_back_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false,
+  },
+}, {
+  timestamps: false,
+  tableName: 'schema_changes',
+  indexes: [
+    { unique: true, fields: ['table_name', 'version'] },
+  ],
+});
+
+SchemaChange.belongsTo(User, { foreignKey: 'user_id', constraints: false });
+
+module.exports = SchemaChange;
@@ -0,0 +1,42 @@
+// models/TableModule.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/sequelize');
+
+// Módulos del sistema (inscripción, proveedores, plan de inversión...). Cada módulo agrupa las tablas
+// dinámicas cuyo nombre empieza con su prefijo. Registrar un módulo nuevo basta para poder crear
+// y usar tablas con su prefijo.
+const TableModule = sequelize.define('TableModule', {
+  key: {
+    type: DataTypes.STRING, // Identificador del módulo, p. ej. 'inscription' (se usa en 'tableType').
+    allowNull: false,
+    unique: true,
+  },
+  prefix: {
+    type: DataTypes.STRING, // Prefijo de las tablas del módulo, p. ej. 'inscription_'.
+    allowNull: false,
+    unique: true,
+  },
+  name: {
+    type: DataTypes.STRING, // Nombre que se muestra en el frontend.
+    allowNull: false,
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  related_modules: {
+    type: DataTypes.JSONB, // Módulos a cuyas tablas pueden apuntar las claves foráneas de este módulo.
+    allowNull: false,
+    defaultValue: [],
+  },
+  sort_order: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+}, {
+  tableName: 'table_modules',
+  timestamps: false,
+});
+
+module.exports = TableModule;
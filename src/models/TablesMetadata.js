@@ -12,6 +12,47 @@ const TablesMetadata = sequelize.define('TablesMetadata', {
         type: DataTypes.BOOLEAN,
         defaultValue: false,
     },
+    is_archived: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false, // Las tablas archivadas no se listan por defecto y son de solo lectura.
+    },
+    archived_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    archived_by: {
+        type: DataTypes.INTEGER, // ID del usuario que archivó la tabla.
+        allowNull: true,
+    },
+    module: {
+        type: DataTypes.STRING, // Clave del módulo (TableModule) al que pertenece la tabla.
+        allowNull: true,
+    },
+    display_name: {
+        type: DataTypes.STRING, // Nombre de la tabla que se muestra en el frontend.
+        allowNull: true,
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    icon: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    color: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    sort_order: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    owner_id: {
+        type: DataTypes.INTEGER, // ID del usuario responsable de la tabla.
+        allowNull: true,
+    },
 }, {
     timestamps: false,
 });
@@ -0,0 +1,13 @@
+const express = require('express');
+const auditController = require('../controllers/auditController');
+const { authenticateJWT, authorizePermission } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// Ruta para consultar el historial de cambios de todas las tablas (requiere permiso 'view_audit')
+router.get('/', authenticateJWT, authorizePermission('view_audit'), auditController.getAuditLog);
+
+// Ruta para exportar a CSV el historial de cambios filtrado (requiere permiso 'view_audit')
+router.get('/export', authenticateJWT, authorizePermission('view_audit'), auditController.exportAuditLog);
+
+module.exports = router;
@@ -1,20 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const inscriptionController = require('../controllers/inscriptionController');
+const savedViewController = require('../controllers/savedViewController');
 const multer = require('multer');
 const upload = multer({ dest: 'uploads/' });
 const { authenticateJWT, authorizePermission } = require('../middlewares/authMiddleware');
+const { rejectArchivedTable } = require('../middlewares/archiveMiddleware');
+const { rejectDeletedRecord } = require('../middlewares/trashMiddleware');
 
 
 // Ruta para crear un registro en inscription_caracterizacion sin autenticación
 router.post(
   '/inscriptions/tables/:table_name/record/public',
+  rejectArchivedTable,
   inscriptionController.addRecord
 );
 
 // Ruta para crear un registro en la tabla 'inscription_caracterizacion' sin autenticación.
 router.post(
   '/tables/:table_name/record/create',
+  rejectArchivedTable,
   inscriptionController.createNewRecord
 );
 
@@ -39,21 +44,49 @@ router.get('/tables', authenticateJWT, authorizePermission('view_tables'), inscr
 // Ruta para eliminar una tabla (requiere permiso 'manage_tables')
 router.delete('/tables/:table_name', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.deleteTable);
 
+// Ruta para actualizar el registro de una tabla (nombre visible, descripción, icono, color, orden y responsable)
+router.put('/tables/:table_name/metadata', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.updateTableRegistry);
+
+// Rutas para archivar y desarchivar una tabla (requieren permiso 'manage_tables')
+router.post('/tables/:table_name/archive', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.archiveTable);
+router.post('/tables/:table_name/unarchive', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.unarchiveTable);
+
+// Ruta para clonar la estructura de una tabla, opcionalmente con sus registros (requiere permiso 'manage_tables')
+router.post('/tables/:table_name/clone', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.cloneTable);
+
 // Ruta para editar una tabla (agregar o quitar columnas) (requiere permiso 'manage_tables')
 router.put('/tables/:table_name', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.editTable);
 
+// Ruta para listar las versiones del esquema de una tabla (requiere permiso 'view_tables')
+router.get('/tables/:table_name/schema-versions', authenticateJWT, authorizePermission('view_tables'), inscriptionController.getSchemaVersions);
+
+// Ruta para revertir el último cambio de esquema de una tabla (requiere permiso 'manage_tables')
+router.post('/tables/:table_name/schema-versions/rollback', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.rollbackSchemaChange);
+
+// Rutas para listar, crear y eliminar índices y restricciones únicas de una tabla
+router.get('/tables/:table_name/indexes', authenticateJWT, authorizePermission('view_tables'), inscriptionController.listTableIndexes);
+router.post('/tables/:table_name/indexes', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.createTableIndex);
+router.delete('/tables/:table_name/indexes/:index_name', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.dropTableIndex);
+
+// Rutas para exportar la definición de tablas en JSON e importarla (vista previa por defecto)
+router.get('/schema/export', authenticateJWT, authorizePermission('view_tables'), inscriptionController.exportTableSchemas);
+router.post('/schema/import', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.importTableSchemas);
+
 // Ruta para agregar un registro a una tabla específica (requiere permiso 'manage_tables')
-router.post('/tables/:table_name/record', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.addRecord);
+router.post('/tables/:table_name/record', authenticateJWT, authorizePermission('manage_tables'), rejectArchivedTable, inscriptionController.addRecord);
 
 // Ruta para descargar el CSV (requiere permiso 'view_tables')
 router.get('/tables/:table_name/csv-template', authenticateJWT, authorizePermission('view_tables'), inscriptionController.downloadCsvTemplate);
 
 // Ruta para cargar un archivo CSV (requiere permiso 'manage_tables')
-router.post('/tables/:table_name/upload-csv', authenticateJWT, authorizePermission('manage_tables'), upload.single('file'), inscriptionController.uploadCsv);
+router.post('/tables/:table_name/upload-csv', authenticateJWT, authorizePermission('manage_tables'), rejectArchivedTable, upload.single('file'), inscriptionController.uploadCsv);
 
 // Ruta para descargar los datos de la tabla en formato CSV (requiere permiso 'view_tables')
 router.get('/tables/:table_name/download-csv', authenticateJWT, authorizePermission('view_tables'), inscriptionController.downloadCsvData);
 
+// Ruta para buscar un texto en todas las tablas, comentarios y archivos (requiere permiso 'view_tables')
+router.get('/search', authenticateJWT, authorizePermission('view_tables'), inscriptionController.globalSearch);
+
 // Ruta para obtener los registros de una tabla (requiere permiso 'view_tables')
 router.get('/tables/:table_name/records', authenticateJWT, authorizePermission('view_tables'), inscriptionController.getTableRecords);
 
@@ -61,13 +94,29 @@ router.get('/tables/:table_name/records', authenticateJWT, authorizePermission('
 router.get('/tables/:table_name/record/:record_id', authenticateJWT, authorizePermission('view_tables'), inscriptionController.getTableRecordById);
 
 // Ruta para actualizar un registro específico (requiere permiso 'manage_tables')
-router.put('/tables/:table_name/record/:record_id', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.updateTableRecord);
+router.put('/tables/:table_name/record/:record_id', authenticateJWT, authorizePermission('manage_tables'), rejectArchivedTable, rejectDeletedRecord, inscriptionController.updateTableRecord);
+
+// Ruta para enviar un registro a la papelera (requiere permiso 'manage_tables')
+router.delete('/tables/:table_name/record/:record_id', authenticateJWT, authorizePermission('manage_tables'), rejectArchivedTable, inscriptionController.deleteTableRecord);
+
+// Rutas de la papelera de una tabla: listar, restaurar y eliminar definitivamente
+router.get('/tables/:table_name/trash', authenticateJWT, authorizePermission('view_tables'), inscriptionController.getDeletedRecords);
+router.post('/tables/:table_name/trash/:record_id/restore', authenticateJWT, authorizePermission('manage_tables'), rejectArchivedTable, inscriptionController.restoreTableRecord);
+router.delete('/tables/:table_name/trash/:record_id', authenticateJWT, authorizePermission('manage_tables'), rejectArchivedTable, inscriptionController.purgeTableRecord);
 
 // Ruta para actualizar el estado de principal de una tabla (requiere permiso 'manage_tables')
 router.put('/tables/:table_name/principal', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.updatePrincipalStatus);
 
 // Ruta para actualización masiva de registros (requiere permiso 'manage_tables')
-router.put('/tables/:table_name/bulk-update', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.bulkUpdateRecords);
+router.put('/tables/:table_name/bulk-update', authenticateJWT, authorizePermission('manage_tables'), rejectArchivedTable, inscriptionController.bulkUpdateRecords);
+
+// Ruta para enviar varios registros a la papelera (requiere permiso 'manage_tables')
+router.post('/tables/:table_name/bulk-delete', authenticateJWT, authorizePermission('manage_tables'), rejectArchivedTable, inscriptionController.bulkDeleteRecords);
+
+// Rutas de las operaciones masivas de una tabla: listar, vista previa de la reversión y revertir
+router.get('/tables/:table_name/operations', authenticateJWT, authorizePermission('view_tables'), inscriptionController.getBulkOperations);
+router.get('/tables/:table_name/operations/:operation_id/revert', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.previewBulkOperationRevert);
+router.post('/tables/:table_name/operations/:operation_id/revert', authenticateJWT, authorizePermission('manage_tables'), rejectArchivedTable, inscriptionController.revertBulkOperation);
 
 // Ruta para obtener opciones de un campo específico (requiere permiso 'view_tables')
 router.get('/tables/:table_name/field-options/:field_name', authenticateJWT, authorizePermission('view_tables'), inscriptionController.getFieldOptions);
@@ -75,6 +124,8 @@ router.get('/tables/:table_name/field-options/:field_name', authenticateJWT, aut
 // Ruta para subir un archivo sin autenticación ni permisos específicos
 router.post(
   '/tables/:table_name/record/:record_id/upload',
+  rejectArchivedTable,
+  rejectDeletedRecord,
   upload.single('file'), // Configuración de multer para un solo archivo
   inscriptionController.uploadFile
 );
@@ -93,6 +144,8 @@ router.delete(
   '/tables/:table_name/record/:record_id/file/:file_id',
   authenticateJWT,
   authorizePermission('manage_tables'),
+  rejectArchivedTable,
+  rejectDeletedRecord,
   inscriptionController.deleteFile
 );
 
@@ -143,16 +196,23 @@ router.get(
 );
 
 // Ruta para crear un nuevo registro en una tabla dinámica de PI
-router.post('/pi/tables/:table_name/record', inscriptionController.createTableRecord);
+router.post('/pi/tables/:table_name/record', rejectArchivedTable, inscriptionController.createTableRecord);
 
 // Ruta para actualizar un registro existente en una tabla dinámica de PI (nuevo controlador)
-router.put('/pi/tables/:table_name/record/:record_id', authenticateJWT, authorizePermission('manage_tables'), inscriptionController.updatePiRecord);
+router.put('/pi/tables/:table_name/record/:record_id', authenticateJWT, authorizePermission('manage_tables'), rejectArchivedTable, rejectDeletedRecord, inscriptionController.updatePiRecord);
+
+// Rutas de las vistas guardadas de una tabla (filtros, orden y columnas por usuario, compartibles por rol)
+router.get('/tables/:table_name/views', authenticateJWT, authorizePermission('view_tables'), savedViewController.getSavedViews);
+router.post('/tables/:table_name/views', authenticateJWT, authorizePermission('view_tables'), savedViewController.createSavedView);
+router.get('/tables/:table_name/views/:view_id', authenticateJWT, authorizePermission('view_tables'), savedViewController.getSavedView);
+router.put('/tables/:table_name/views/:view_id', authenticateJWT, authorizePermission('view_tables'), savedViewController.updateSavedView);
+router.delete('/tables/:table_name/views/:view_id', authenticateJWT, authorizePermission('view_tables'), savedViewController.deleteSavedView);
 
-// Ruta para guardar la configuración de columnas visibles para una tabla específica
+// Ruta para guardar la configuración de columnas visibles del usuario para una tabla específica
 router.post(
   '/tables/:table_name/visible-columns',
   authenticateJWT,
-  authorizePermission('manage_tables'),
+  authorizePermission('view_tables'),
   inscriptionController.saveVisibleColumns
 );
 
@@ -169,6 +229,8 @@ router.put(
   '/tables/:table_name/record/:record_id/file/:file_id/compliance',
   authenticateJWT,
   authorizePermission('manage_tables'),
+  rejectArchivedTable,
+  rejectDeletedRecord,
   inscriptionController.updateFileCompliance
 );
 
@@ -186,11 +248,12 @@ router.get(
   inscriptionController.getRelatedData
 );
 
-// Ruta para eliminar un registro específico en una tabla dinámica de PI
+// Ruta para enviar a la papelera un registro de una tabla dinámica de PI
 router.delete(
   '/pi/tables/:table_name/record/:record_id',
   authenticateJWT,
   authorizePermission('manage_tables'),
+  rejectArchivedTable,
   inscriptionController.deleteTableRecord
 );
 
@@ -203,6 +266,8 @@ router.post(
   '/tables/:table_name/record/:record_id/comments',
   authenticateJWT,
   authorizePermission('manage_tables'),
+  rejectArchivedTable,
+  rejectDeletedRecord,
   inscriptionController.createComment
 );
 
@@ -224,5 +289,23 @@ router.get(
   inscriptionController.getRecordHistory
 );
 
+// Ruta para obtener un registro tal como estaba en una fecha, comparado con su versión actual
+router.get(
+  '/tables/:table_name/record/:record_id/history/snapshot',
+  authenticateJWT,
+  authorizePermission('view_tables'),
+  inscriptionController.getRecordSnapshot
+);
+
+// Ruta para restaurar los campos de un registro a sus valores en una fecha (requiere permiso 'manage_tables')
+router.post(
+  '/tables/:table_name/record/:record_id/history/restore',
+  authenticateJWT,
+  authorizePermission('manage_tables'),
+  rejectArchivedTable,
+  rejectDeletedRecord,
+  inscriptionController.restoreRecordSnapshot
+);
+
 
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const tableModuleController = require('../controllers/tableModuleController');
+const { authenticateJWT, authorizePermission } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// Ruta para obtener todos los módulos registrados (requiere permiso 'view_tables')
+router.get('/', authenticateJWT, authorizePermission('view_tables'), tableModuleController.getTableModules);
+
+// Ruta para registrar un nuevo módulo (requiere permiso 'manage_tables')
+router.post('/', authenticateJWT, authorizePermission('manage_tables'), tableModuleController.createTableModule);
+
+// Ruta para actualizar un módulo (requiere permiso 'manage_tables')
+router.put('/:key', authenticateJWT, authorizePermission('manage_tables'), tableModuleController.updateTableModule);
+
+module.exports = router;
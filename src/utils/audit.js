@@ -0,0 +1,83 @@
+// src/utils/audit.js
+const sequelize = require('./sequelize');
+const { getRequestContext } = require('./requestContext');
+const { toHistoryValue } = require('./recordHistory');
+
+// Alcance de los eventos de auditoría guardados en 'record_history' (columna 'event_scope'):
+//   record    cambios en los registros de las tablas dinámicas, sus archivos y comentarios.
+//   schema    cambios en la estructura y el registro de las tablas (crear, editar, archivar, eliminar...).
+//   security  cambios en usuarios, roles y permisos, e inicios de sesión.
+const AUDIT_SCOPES = ['record', 'schema', 'security'];
+
+// Registra un evento de auditoría en 'record_history'. Es el único punto por el que se escribe el historial:
+// completa el evento con el ID de la solicitud y la IP del contexto de la solicitud en curso y, si no se
+// indica 'userId', con el usuario autenticado. Los valores se guardan como texto (ver toHistoryValue).
+// 'recordId' es null en los eventos que afectan a una tabla completa.
+async function recordAudit({
+  scope = 'record',
+  tableName,
+  recordId = null,
+  changeType,
+  fieldName = null,
+  oldValue = null,
+  newValue = null,
+  description = null,
+  userId,
+  operationId = null,
+  transaction,
+}) {
+  if (!AUDIT_SCOPES.includes(scope)) {
+    throw new Error(`Alcance de auditoría desconocido: ${scope}`);
+  }
+
+  const context = getRequestContext();
+  const actorId = userId !== undefined ? userId : context.user && context.user.id;
+
+  await sequelize.query(
+    `INSERT INTO record_history
+       (table_name, record_id, user_id, change_type, field_name, old_value, new_value, description,
+        operation_id, event_scope, ip_address, request_id)
+     VALUES
+       (:tableName, :recordId, :userId, :changeType, :fieldName, :oldValue, :newValue, :description,
+        :operationId, :scope, :ipAddress, :requestId)`,
+    {
+      replacements: {
+        tableName,
+        recordId,
+        userId: actorId === undefined ? null : actorId,
+        changeType,
+        fieldName,
+        oldValue: toHistoryValue(oldValue),
+        newValue: toHistoryValue(newValue),
+        description,
+        operationId,
+        scope,
+        ipAddress: context.ipAddress || null,
+        requestId: context.requestId || null,
+      },
+      type: sequelize.QueryTypes.INSERT,
+      transaction,
+    }
+  );
+}
+
+// Registra un evento por cada campo que cambió entre 'before' y 'after'. 'fields' son los campos a comparar;
+// los de 'maskedFields' (contraseñas) se registran sin sus valores. Devuelve los campos que cambiaron.
+async function recordAuditChanges(event, before, after, fields, { maskedFields = [] } = {}) {
+  const changedFields = fields.filter((field) => toHistoryValue(before[field]) !== toHistoryValue(after[field]));
+
+  for (const field of changedFields) {
+    const masked = maskedFields.includes(field);
+    await recordAudit({
+      ...event,
+      fieldName: field,
+      oldValue: masked ? null : before[field],
+      newValue: masked ? null : after[field],
+      description: event.description || `Campo ${field} actualizado`,
+    });
+  }
+
+  return changedFields;
+}
+
+module.exports = { AUDIT_SCOPES, recordAudit, recordAuditChanges };
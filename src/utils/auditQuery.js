@@ -0,0 +1,206 @@
+// src/utils/auditQuery.js
+const { QueryTypes } = require('sequelize');
+const sequelize = require('./sequelize');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./recordQuery');
+const { AUDIT_SCOPES } = require('./audit');
+
+// Valor del filtro 'user_id' que selecciona las acciones del sistema o anónimas (sin usuario o con user_id 0,
+// como las cargas de archivos sin usuario).
+const SYSTEM_USER = 'system';
+
+// Número máximo de entradas de una exportación a CSV.
+const MAX_EXPORT_ROWS = 50000;
+
+// Columnas de las entradas del historial en el explorador de auditoría y en la exportación a CSV.
+const AUDIT_COLUMNS = [
+  'id',
+  'created_at',
+  'table_name',
+  'record_id',
+  'user_id',
+  'username',
+  'user_label',
+  'change_type',
+  'field_name',
+  'old_value',
+  'new_value',
+  'description',
+  'operation_id',
+  'event_scope',
+  'ip_address',
+  'request_id',
+];
+
+// Separa un parámetro con varios valores separados por comas ("pi_datos,pi_formulacion").
+function toList(value) {
+  return String(value).split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+// Interpreta una fecha de los filtros. Las fechas sin hora ('2024-05-20') del filtro 'to' incluyen todo el día.
+function parseAuditDate(value, { endOfDay = false } = {}) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+// Construye la condición WHERE del explorador de auditoría a partir de los filtros de la consulta:
+//   table_name    tablas separadas por comas.
+//   record_id     ID del registro.
+//   user_id       IDs de usuario separados por comas; 'system' selecciona las acciones sin usuario.
+//   change_type   tipos de cambio separados por comas (update, create, delete, restore, upload_file...).
+//   field_name    campos separados por comas.
+//   operation_id  operación masiva.
+//   event_scope   alcances separados por comas (record, schema, security).
+//   request_id    ID de la solicitud (cabecera X-Request-Id de la respuesta).
+//   from / to     rango de fechas (ISO 8601); 'to' sin hora incluye todo el día.
+// Devuelve { error } o { where, replacements }.
+function buildAuditFilter(query) {
+  const conditions = [];
+  const replacements = {};
+
+  if (query.table_name) {
+    conditions.push('rh.table_name IN (:tableNames)');
+    replacements.tableNames = toList(query.table_name);
+  }
+
+  if (query.record_id !== undefined && query.record_id !== '') {
+    if (!Number.isInteger(Number(query.record_id))) {
+      return { error: 'El parámetro record_id debe ser el ID de un registro' };
+    }
+    conditions.push('rh.record_id = :recordId');
+    replacements.recordId = Number(query.record_id);
+  }
+
+  if (query.user_id) {
+    const values = toList(query.user_id);
+    const userIds = values.filter((value) => value !== SYSTEM_USER).map(Number);
+    if (userIds.some((id) => !Number.isInteger(id))) {
+      return { error: `El parámetro user_id debe tener IDs de usuario o '${SYSTEM_USER}'` };
+    }
+    const userConditions = [];
+    if (userIds.length > 0) {
+      userConditions.push('rh.user_id IN (:userIds)');
+      replacements.userIds = userIds;
+    }
+    if (values.includes(SYSTEM_USER)) {
+      userConditions.push('rh.user_id IS NULL OR rh.user_id = 0');
+    }
+    conditions.push(`(${userConditions.join(' OR ')})`);
+  }
+
+  if (query.change_type) {
+    conditions.push('rh.change_type IN (:changeTypes)');
+    replacements.changeTypes = toList(query.change_type);
+  }
+
+  if (query.field_name) {
+    conditions.push('rh.field_name IN (:fieldNames)');
+    replacements.fieldNames = toList(query.field_name);
+  }
+
+  if (query.operation_id !== undefined && query.operation_id !== '') {
+    if (!Number.isInteger(Number(query.operation_id))) {
+      return { error: 'El parámetro operation_id debe ser el ID de una operación' };
+    }
+    conditions.push('rh.operation_id = :operationId');
+    replacements.operationId = Number(query.operation_id);
+  }
+
+  if (query.event_scope) {
+    const scopes = toList(query.event_scope);
+    const unknown = scopes.filter((scope) => !AUDIT_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return { error: `Alcances desconocidos: ${unknown.join(', ')}. Use ${AUDIT_SCOPES.join(', ')}` };
+    }
+    conditions.push('rh.event_scope IN (:scopes)');
+    replacements.scopes = scopes;
+  }
+
+  if (query.request_id) {
+    conditions.push('rh.request_id = :requestId');
+    replacements.requestId = String(query.request_id);
+  }
+
+  if (query.from) {
+    const from = parseAuditDate(query.from);
+    if (!from) {
+      return { error: 'El parámetro from debe ser una fecha válida' };
+    }
+    conditions.push('rh.created_at >= :from');
+    replacements.from = from;
+  }
+
+  if (query.to) {
+    const to = parseAuditDate(query.to, { endOfDay: true });
+    if (!to) {
+      return { error: 'El parámetro to debe ser una fecha válida' };
+    }
+    conditions.push('rh.created_at < :to');
+    replacements.to = to;
+  }
+
+  if (replacements.from && replacements.to && replacements.from >= replacements.to) {
+    return { error: 'El parámetro from debe ser anterior a to' };
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', replacements };
+}
+
+// Interpreta la paginación del explorador ('page' y 'pageSize'). Devuelve { error } o { page, pageSize }.
+function parseAuditPagination(query) {
+  const pageSize = query.pageSize !== undefined ? Number(query.pageSize) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `El parámetro pageSize debe ser un entero entre 1 y ${MAX_PAGE_SIZE}` };
+  }
+  const page = query.page !== undefined ? Number(query.page) : 1;
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'El parámetro page debe ser un entero mayor que cero' };
+  }
+  return { page, pageSize };
+}
+
+// Obtiene las entradas del historial que cumplen el filtro, las más recientes primero. El usuario se une con
+// LEFT JOIN para no perder las acciones del sistema ni las de usuarios eliminados; 'user_label' es el nombre
+// que se muestra en cada caso.
+async function findAuditEntries({ where, replacements }, { limit, offset = 0 }) {
+  return sequelize.query(
+    `SELECT rh.id, rh.created_at, rh.table_name, rh.record_id, rh.user_id, u.username,
+            CASE
+              WHEN u.username IS NOT NULL THEN u.username
+              WHEN rh.user_id IS NULL OR rh.user_id = 0 THEN 'Sistema'
+              ELSE 'Usuario eliminado (' || rh.user_id || ')'
+            END AS user_label,
+            rh.change_type, rh.field_name, rh.old_value, rh.new_value, rh.description, rh.operation_id,
+            rh.event_scope, rh.ip_address, rh.request_id
+     FROM record_history rh
+     LEFT JOIN users u ON u.id = rh.user_id
+     ${where}
+     ORDER BY rh.created_at DESC, rh.id DESC
+     LIMIT :limit OFFSET :offset`,
+    { replacements: { ...replacements, limit, offset }, type: QueryTypes.SELECT }
+  );
+}
+
+// Cuenta las entradas del historial que cumplen el filtro.
+async function countAuditEntries({ where, replacements }) {
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*)::int AS total FROM record_history rh ${where}`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+  return total;
+}
+
+module.exports = {
+  SYSTEM_USER,
+  MAX_EXPORT_ROWS,
+  AUDIT_COLUMNS,
+  buildAuditFilter,
+  parseAuditPagination,
+  findAuditEntries,
+  countAuditEntries,
+};
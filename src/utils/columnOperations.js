@@ -0,0 +1,224 @@
+// src/utils/columnOperations.js
+const { QueryTypes } = require('sequelize');
+const sequelize = require('./sequelize');
+const { parseDecimalType } = require('./fieldTypes');
+const { renameViewColumn } = require('./savedViews');
+const { renameExpressionReference } = require('./computedFields');
+
+// Reglas de conversión por tipo destino. 'using' construye la expresión del ALTER ... USING y
+// 'invalid' la condición que identifica los valores que no se pueden convertir. Ambas reciben
+// el valor de la columna ya convertido a texto.
+const CAST_RULES = {
+  'VARCHAR(255)': {
+    sqlType: 'VARCHAR(255)',
+    using: (value) => `${value}::varchar(255)`,
+    invalid: (value) => `length(${value}) > 255`,
+  },
+  'TEXT': {
+    sqlType: 'TEXT',
+    using: (value) => value,
+    invalid: null,
+  },
+  'INTEGER': {
+    sqlType: 'INTEGER',
+    using: (value) => `NULLIF(trim(${value}), '')::numeric::integer`,
+    invalid: (value) => `
+      CASE WHEN trim(${value}) ~ '^[-+]?[0-9]+(\\.0+)?$'
+        THEN trim(${value})::numeric NOT BETWEEN -2147483648 AND 2147483647
+        ELSE true
+      END`,
+  },
+  'DECIMAL': {
+    sqlType: 'DECIMAL',
+    using: (value) => `NULLIF(trim(${value}), '')::numeric`,
+    invalid: (value) => `trim(${value}) !~ '^[-+]?([0-9]+(\\.[0-9]*)?|\\.[0-9]+)$'`,
+  },
+  'BOOLEAN': {
+    sqlType: 'BOOLEAN',
+    using: (value) => `NULLIF(trim(${value}), '')::boolean`,
+    invalid: (value) =>
+      `lower(trim(${value})) NOT IN ('true', 'false', 't', 'f', '1', '0', 'yes', 'no', 'y', 'n', 'on', 'off')`,
+  },
+  'DATE': {
+    sqlType: 'TIMESTAMP WITH TIME ZONE',
+    using: (value) => `NULLIF(trim(${value}), '')::timestamptz`,
+    invalid: (value) => `trim(${value}) !~ '^[0-9]{4}-[0-9]{1,2}-[0-9]{1,2}([ T][0-9:.+-]+)?$'`,
+  },
+  'TIME': {
+    sqlType: 'TIME',
+    using: (value) => `NULLIF(trim(${value}), '')::time`,
+    invalid: (value) => `trim(${value}) !~ '^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9](\\.[0-9]+)?)?$'`,
+  },
+};
+
+// Los tipos que comparten el tipo de columna con otro usan su misma regla de conversión.
+CAST_RULES['TIMESTAMPTZ'] = CAST_RULES['DATE'];
+CAST_RULES['EMAIL'] = CAST_RULES['VARCHAR(255)'];
+CAST_RULES['PHONE'] = CAST_RULES['VARCHAR(255)'];
+CAST_RULES['URL'] = CAST_RULES['VARCHAR(255)'];
+
+// Devuelve la regla de conversión de un tipo destino, incluidos los 'DECIMAL(p,s)', o undefined si
+// no se puede convertir una columna a ese tipo (p. ej. JSONB, TEXT[] o GEO_POINT).
+function getCastRule(targetType) {
+  const decimal = parseDecimalType(targetType);
+  if (!decimal) {
+    return CAST_RULES[targetType];
+  }
+
+  // Además del formato, el valor no puede tener más dígitos enteros de los que admite la precisión.
+  const limit = `1e${decimal.precision - decimal.scale}`;
+  return {
+    sqlType: `NUMERIC(${decimal.precision},${decimal.scale})`,
+    using: (value) => `NULLIF(trim(${value}), '')::numeric(${decimal.precision},${decimal.scale})`,
+    invalid: (value) => `
+      CASE WHEN trim(${value}) ~ '^[-+]?([0-9]+(\\.[0-9]*)?|\\.[0-9]+)$'
+        THEN abs(round(trim(${value})::numeric, ${decimal.scale})) >= ${limit}
+        ELSE true
+      END`,
+  };
+}
+
+// Busca los registros cuyo valor no se puede convertir al tipo destino.
+// Devuelve el total de registros afectados y una muestra de ellos ({ id, value }).
+async function findCastFailures(tableName, columnName, targetType, { transaction, limit = 50 } = {}) {
+  const rule = getCastRule(targetType);
+  if (!rule || !rule.invalid) {
+    return { total: 0, rows: [] };
+  }
+
+  const value = `"${columnName}"::text`;
+  const where = `"${columnName}" IS NOT NULL AND trim(${value}) <> '' AND (${rule.invalid(value)})`;
+
+  const [{ count }] = await sequelize.query(
+    `SELECT COUNT(*) AS count FROM "${tableName}" WHERE ${where}`,
+    { type: QueryTypes.SELECT, transaction }
+  );
+
+  const rows = await sequelize.query(
+    `SELECT id, ${value} AS value FROM "${tableName}" WHERE ${where} ORDER BY id LIMIT :limit`,
+    { replacements: { limit }, type: QueryTypes.SELECT, transaction }
+  );
+
+  return { total: parseInt(count, 10), rows };
+}
+
+// Cambia el tipo de una columna usando una conversión segura a partir de su valor como texto.
+async function changeColumnType(tableName, columnName, targetType, { transaction } = {}) {
+  const rule = getCastRule(targetType);
+  if (!rule) {
+    throw new Error(`Tipo de dato no válido: ${targetType}`);
+  }
+
+  await sequelize.query(
+    `ALTER TABLE "${tableName}"
+     ALTER COLUMN "${columnName}" TYPE ${rule.sqlType}
+     USING ${rule.using(`"${columnName}"::text`)}`,
+    { transaction }
+  );
+}
+
+// Cuenta los registros con valor nulo en una columna.
+async function countNullValues(tableName, columnName, { transaction } = {}) {
+  const [{ count }] = await sequelize.query(
+    `SELECT COUNT(*) AS count FROM "${tableName}" WHERE "${columnName}" IS NULL`,
+    { type: QueryTypes.SELECT, transaction }
+  );
+  return parseInt(count, 10);
+}
+
+// Permite o impide valores nulos en una columna.
+async function setColumnNullability(tableName, columnName, allowNull, { transaction } = {}) {
+  await sequelize.query(
+    `ALTER TABLE "${tableName}" ALTER COLUMN "${columnName}" ${allowNull ? 'DROP' : 'SET'} NOT NULL`,
+    { transaction }
+  );
+}
+
+// Renombra una columna y actualiza las referencias que apuntan a su nombre anterior:
+// las columnas visibles en field_preferences, los metadatos del campo, las expresiones de los campos
+// calculados, el historial de cambios, los archivos cargados desde ese campo (que guardan el nombre
+// del campo en 'source') y el filtro, el orden y las columnas de las vistas guardadas.
+async function renameColumn(tableName, oldName, newName, { transaction } = {}) {
+  await sequelize.getQueryInterface().renameColumn(tableName, oldName, newName, { transaction });
+
+  await sequelize.query(
+    `UPDATE field_preferences
+     SET visible_columns = (
+       SELECT json_agg(CASE WHEN elem = :oldName THEN :newName ELSE elem END)
+       FROM json_array_elements_text(visible_columns::json) AS elem
+     )
+     WHERE table_name = :tableName
+       AND jsonb_exists(visible_columns::jsonb, :oldName)`,
+    { replacements: { tableName, oldName, newName }, transaction }
+  );
+
+  await sequelize.query(
+    `UPDATE inscription_structure SET field_name = :newName WHERE table_name = :tableName AND field_name = :oldName`,
+    { replacements: { tableName, oldName, newName }, transaction }
+  );
+
+  // Las expresiones de los campos calculados se reescriben con el tokenizador de las expresiones: las
+  // referencias admiten espacios dentro de las llaves.
+  const computedFields = await sequelize.query(
+    `SELECT field_name, expression FROM inscription_structure WHERE table_name = :tableName AND expression IS NOT NULL`,
+    { replacements: { tableName }, type: QueryTypes.SELECT, transaction }
+  );
+  for (const { field_name: fieldName, expression } of computedFields) {
+    const renamed = renameExpressionReference(expression, oldName, newName);
+    if (renamed !== expression) {
+      await sequelize.query(
+        `UPDATE inscription_structure SET expression = :expression WHERE table_name = :tableName AND field_name = :fieldName`,
+        { replacements: { tableName, fieldName, expression: renamed }, transaction }
+      );
+    }
+  }
+
+  // Las claves foráneas que apuntan a esta tabla pueden usar la columna en su plantilla u orden de visualización.
+  await sequelize.query(
+    `UPDATE inscription_structure s
+     SET display_template = CASE
+           WHEN s.display_template = :oldName THEN :newName
+           ELSE replace(s.display_template, :oldReference, :newReference)
+         END,
+         display_sort = (
+           SELECT jsonb_agg(
+             CASE WHEN entry->>'field' = :oldName THEN jsonb_set(entry, '{field}', to_jsonb(CAST(:newName AS text))) ELSE entry END
+           )
+           FROM jsonb_array_elements(s.display_sort) AS entry
+         )
+     FROM pg_constraint con
+     JOIN pg_class c ON c.oid = con.conrelid
+     JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = con.conkey[1]
+     WHERE con.contype = 'f'
+       AND con.confrelid = to_regclass(quote_ident(:tableName))
+       AND s.table_name = c.relname
+       AND s.field_name = a.attname
+       AND (s.display_template IS NOT NULL OR jsonb_typeof(s.display_sort) = 'array')`,
+    {
+      replacements: { tableName, oldName, newName, oldReference: `{${oldName}}`, newReference: `{${newName}}` },
+      transaction,
+    }
+  );
+
+  await sequelize.query(
+    `UPDATE record_history SET field_name = :newName WHERE table_name = :tableName AND field_name = :oldName`,
+    { replacements: { tableName, oldName, newName }, transaction }
+  );
+
+  await sequelize.query(
+    `UPDATE files SET source = :newName WHERE table_name = :tableName AND source = :oldName`,
+    { replacements: { tableName, oldName, newName }, transaction }
+  );
+
+  await renameViewColumn(tableName, oldName, newName, { transaction });
+}
+
+module.exports = {
+  CAST_RULES,
+  getCastRule,
+  findCastFailures,
+  changeColumnType,
+  countNullValues,
+  setColumnNullability,
+  renameColumn,
+};
@@ -0,0 +1,278 @@
+// src/utils/computedFields.js
+
+// Tipo registrado en los metadatos para los campos calculados. Estos campos no existen como columnas:
+// su valor se calcula al leer los registros a partir de una expresión sobre otras columnas del registro.
+const COMPUTED_TYPE = 'COMPUTED';
+
+// Sintaxis de las expresiones:
+//   {columna}            valor de una columna del mismo registro
+//   12, 3.5              números
+//   + - * / ( )          operaciones aritméticas
+//   age({columna})       años cumplidos desde la fecha de la columna
+//   days_since({col})    días transcurridos desde la fecha de la columna
+//   round(expr, n)       redondeo a n decimales (n es opcional)
+//   coalesce(a, b, ...)  primer valor no nulo
+// Ejemplos: "{cantidad} * {valor unitario}", "age({Fecha de nacimiento})", "days_since({createdAt})".
+const TOKEN_PATTERN = /\s*(?:(\{[^{}]+\})|(\d+(?:\.\d+)?)|([a-z_]+)|([-+*/(),]))/y;
+
+// Valor numérico de una columna. Los valores que no son números se tratan como nulos.
+const numericValue = (column) =>
+  `(CASE WHEN trim(${column}::text) ~ '^[-+]?[0-9]+(\\.[0-9]+)?$' THEN trim(${column}::text)::numeric END)`;
+
+// Fecha de una columna (AAAA-MM-DD al inicio del valor). Los valores que no son fechas se tratan como nulos.
+const dateValue = (column) =>
+  `(CASE WHEN ${column}::text ~ '^[0-9]{4}-[0-9]{2}-[0-9]{2}' THEN substring(${column}::text from 1 for 10)::date END)`;
+
+// Convierte una expresión en una lista de tokens. Lanza un error si encuentra caracteres no permitidos.
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    if (expression.slice(TOKEN_PATTERN.lastIndex).trim() === '') {
+      break;
+    }
+
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      throw new Error(`Carácter no permitido en la posición ${position + 1} de la expresión`);
+    }
+
+    if (match[1]) tokens.push({ type: 'column', value: match[1].slice(1, -1).trim() });
+    else if (match[2]) tokens.push({ type: 'number', value: match[2] });
+    else if (match[3]) tokens.push({ type: 'function', value: match[3] });
+    else tokens.push({ type: 'symbol', value: match[4] });
+  }
+
+  return tokens;
+}
+
+// Traduce una expresión a SQL. Solo se permiten columnas reales de la tabla ('columnNames').
+// 'qualifier' antepone el nombre de la tabla a las columnas, para consultas con JOIN.
+// Devuelve { sql, references } o lanza un error con la descripción del problema.
+function compileExpression(expression, columnNames, { qualifier } = {}) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new Error('La expresión es requerida');
+  }
+
+  const tokens = tokenize(expression);
+  const references = new Set();
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isSymbol = (value) => peek() && peek().type === 'symbol' && peek().value === value;
+  const expect = (value) => {
+    if (!isSymbol(value)) {
+      throw new Error(`Se esperaba "${value}" en la expresión`);
+    }
+    index++;
+  };
+
+  const columnSql = (name) => {
+    if (!columnNames.includes(name)) {
+      throw new Error(`La columna "${name}" no existe en la tabla`);
+    }
+    references.add(name);
+    const quoted = `"${name.replace(/"/g, '""')}"`;
+    return qualifier ? `"${qualifier.replace(/"/g, '""')}".${quoted}` : quoted;
+  };
+
+  const columnArgument = (functionName) => {
+    const token = peek();
+    if (!token || token.type !== 'column') {
+      throw new Error(`La función ${functionName} recibe una columna`);
+    }
+    index++;
+    return columnSql(token.value);
+  };
+
+  let parseExpression;
+
+  const parseFunction = (name) => {
+    expect('(');
+    let sql;
+    switch (name) {
+      case 'age':
+        sql = `date_part('year', age(CURRENT_DATE, ${dateValue(columnArgument(name))}))`;
+        break;
+      case 'days_since':
+        sql = `(CURRENT_DATE - ${dateValue(columnArgument(name))})`;
+        break;
+      case 'round': {
+        const value = parseExpression();
+        let digits = '0';
+        if (isSymbol(',')) {
+          index++;
+          const token = peek();
+          if (!token || token.type !== 'number' || token.value.includes('.')) {
+            throw new Error('La función round recibe un número entero de decimales');
+          }
+          digits = token.value;
+          index++;
+        }
+        sql = `round((${value})::numeric, ${digits})`;
+        break;
+      }
+      case 'coalesce': {
+        const values = [parseExpression()];
+        while (isSymbol(',')) {
+          index++;
+          values.push(parseExpression());
+        }
+        sql = `COALESCE(${values.join(', ')})`;
+        break;
+      }
+      default:
+        throw new Error(`Función no permitida: ${name}`);
+    }
+    expect(')');
+    return sql;
+  };
+
+  const parseFactor = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('La expresión está incompleta');
+    }
+    index++;
+
+    if (token.type === 'number') return token.value;
+    if (token.type === 'column') return numericValue(columnSql(token.value));
+    if (token.type === 'function') return parseFunction(token.value);
+    if (token.value === '-') return `(-${parseFactor()})`;
+    if (token.value === '(') {
+      const sql = parseExpression();
+      expect(')');
+      return `(${sql})`;
+    }
+    throw new Error(`Símbolo inesperado en la expresión: ${token.value}`);
+  };
+
+  const parseTerm = () => {
+    let sql = parseFactor();
+    while (isSymbol('*') || isSymbol('/')) {
+      const operator = tokens[index++].value;
+      const right = parseFactor();
+      // La división entre cero devuelve nulo en lugar de un error.
+      sql = operator === '/' ? `(${sql} / NULLIF(${right}, 0))` : `(${sql} * ${right})`;
+    }
+    return sql;
+  };
+
+  parseExpression = () => {
+    let sql = parseTerm();
+    while (isSymbol('+') || isSymbol('-')) {
+      const operator = tokens[index++].value;
+      sql = `(${sql} ${operator} ${parseTerm()})`;
+    }
+    return sql;
+  };
+
+  const sql = parseExpression();
+  if (index < tokens.length) {
+    throw new Error(`Símbolo inesperado en la expresión: ${peek().value}`);
+  }
+
+  return { sql, references: [...references] };
+}
+
+// Valida la expresión de un campo calculado. Devuelve un mensaje de error o null.
+function validateExpression(fieldName, expression, columnNames) {
+  try {
+    compileExpression(expression, columnNames);
+    return null;
+  } catch (error) {
+    return `Expresión no válida en el campo calculado ${fieldName}: ${error.message}`;
+  }
+}
+
+// Valida el nombre de un campo calculado. El nombre se usa como alias en las consultas, por lo que no puede
+// contener comillas dobles ni coincidir con una columna o con otro campo de la tabla.
+// Devuelve un mensaje de error o null si el nombre es válido.
+function validateComputedName(fieldName, existingNames) {
+  if (fieldName.includes('"')) {
+    return `El nombre del campo calculado ${fieldName} no puede contener comillas dobles`;
+  }
+  if (existingNames.includes(fieldName)) {
+    return `Ya existe un campo llamado "${fieldName}" en la tabla`;
+  }
+  return null;
+}
+
+// Devuelve los metadatos de los campos calculados de una tabla.
+function getComputedFields(metadataMap) {
+  return Object.values(metadataMap).filter((metadata) => metadata.field_type === COMPUTED_TYPE);
+}
+
+// Devuelve los nombres de las columnas que usa una expresión.
+function getExpressionReferences(expression) {
+  try {
+    return tokenize(String(expression || ''))
+      .filter((token) => token.type === 'column')
+      .map((token) => token.value);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Cambia el nombre de una columna en una expresión. Las referencias se reconocen con el mismo tokenizador
+// que al compilar la expresión, así que también se renombran las escritas con espacios ("{ cantidad }").
+// Si la expresión no se puede interpretar se devuelve sin cambios.
+function renameExpressionReference(expression, oldName, newName) {
+  const text = String(expression || '');
+  let renamed = '';
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    if (text.slice(TOKEN_PATTERN.lastIndex).trim() === '') {
+      renamed += text.slice(TOKEN_PATTERN.lastIndex);
+      break;
+    }
+
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      return expression;
+    }
+
+    if (match[1] && match[1].slice(1, -1).trim() === oldName) {
+      renamed += `${match[0].slice(0, match[0].length - match[1].length)}{${newName}}`;
+    } else {
+      renamed += match[0];
+    }
+  }
+
+  return renamed;
+}
+
+// Devuelve los nombres de los campos calculados cuya expresión usa la columna indicada.
+function findDependentFields(metadataMap, columnName) {
+  return getComputedFields(metadataMap)
+    .filter((metadata) => getExpressionReferences(metadata.expression).includes(columnName))
+    .map((metadata) => metadata.field_name);
+}
+
+// Construye las expresiones SQL de los campos calculados de una tabla para agregarlas a un SELECT.
+// Devuelve [{ name, sql }]. Los campos cuya expresión ya no es válida se omiten.
+function buildComputedSelect(metadataMap, columnNames, { qualifier } = {}) {
+  return getComputedFields(metadataMap).reduce((acc, metadata) => {
+    try {
+      const { sql } = compileExpression(metadata.expression, columnNames, { qualifier });
+      acc.push({ name: metadata.field_name, sql });
+    } catch (error) {
+      console.error(`Campo calculado ${metadata.field_name} omitido: ${error.message}`);
+    }
+    return acc;
+  }, []);
+}
+
+module.exports = {
+  COMPUTED_TYPE,
+  compileExpression,
+  validateExpression,
+  validateComputedName,
+  getComputedFields,
+  findDependentFields,
+  renameExpressionReference,
+  buildComputedSelect,
+};
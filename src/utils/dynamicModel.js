@@ -0,0 +1,75 @@
+// src/utils/dynamicModel.js
+const { Sequelize, QueryTypes } = require('sequelize');
+const sequelize = require('./sequelize');
+
+// Mapeo de los 'data_type' de information_schema a tipos de Sequelize para los modelos dinámicos.
+const MODEL_TYPES = {
+  varchar: Sequelize.STRING,
+  'character varying': Sequelize.STRING,
+  text: Sequelize.TEXT,
+  integer: Sequelize.INTEGER,
+  smallint: Sequelize.SMALLINT,
+  bigint: Sequelize.BIGINT,
+  numeric: Sequelize.DECIMAL,
+  real: Sequelize.REAL,
+  'double precision': Sequelize.DOUBLE,
+  boolean: Sequelize.BOOLEAN,
+  date: Sequelize.DATE,
+  'timestamp with time zone': Sequelize.DATE, // Columnas DATE y TIMESTAMPTZ.
+  'timestamp without time zone': Sequelize.DATE,
+  'time without time zone': Sequelize.TIME,
+  json: Sequelize.JSON,
+  jsonb: Sequelize.JSONB, // Columnas JSONB y GEO_POINT.
+  uuid: Sequelize.UUID,
+  array: Sequelize.ARRAY(Sequelize.TEXT), // Campos TEXT[] y MULTISELECT (text[]).
+};
+
+// Obtiene las columnas de una tabla desde 'information_schema'.
+async function getTableColumns(tableName, { transaction } = {}) {
+  return sequelize.query(
+    `
+    SELECT column_name, data_type, column_default
+    FROM information_schema.columns
+    WHERE table_name = :tableName
+    AND table_schema = 'public'
+    `,
+    {
+      replacements: { tableName },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  );
+}
+
+// Define (o redefine, para reflejar cambios de esquema) el modelo de Sequelize de una tabla dinámica
+// a partir de sus columnas. Devuelve null si la tabla no tiene columnas.
+async function getDynamicModel(tableName, { transaction } = {}) {
+  const columns = await getTableColumns(tableName, { transaction });
+  if (columns.length === 0) {
+    return null;
+  }
+
+  const attributes = columns.reduce((acc, column) => {
+    const sequelizeType = MODEL_TYPES[column.data_type.toLowerCase()];
+    if (!sequelizeType) {
+      console.warn(`Tipo de dato no soportado (${column.data_type}) en la columna ${tableName}.${column.column_name}; la columna se omite del modelo.`);
+      return acc;
+    }
+
+    acc[column.column_name] = { type: sequelizeType, allowNull: true };
+
+    // Marcar la columna 'id' como clave primaria autoincremental.
+    if (column.column_name === 'id') {
+      acc[column.column_name].primaryKey = true;
+      acc[column.column_name].autoIncrement = true;
+    }
+    return acc;
+  }, {});
+
+  return sequelize.define(tableName, attributes, {
+    timestamps: false,
+    freezeTableName: true, // Evitar pluralizar el nombre de la tabla.
+  });
+}
+
+module.exports = { MODEL_TYPES, getTableColumns, getDynamicModel };
@@ -0,0 +1,165 @@
+// src/utils/fieldMetadata.js
+const InscriptionStructure = require('../models/InscriptionStructure');
+
+// Atributos de presentación que se pueden guardar para cada campo.
+const METADATA_ATTRIBUTES = [
+  'label',
+  'description',
+  'placeholder',
+  'display_order',
+  'section',
+  'hidden',
+  'options',
+  'expression',
+  'validation_rules',
+  'display_template',
+  'display_sort',
+];
+
+// Valida la lista de opciones de un campo SELECT/MULTISELECT. Devuelve un mensaje de error o null.
+function validateOptionList(fieldName, options) {
+  if (!Array.isArray(options) || options.length === 0) {
+    return `El campo ${fieldName} es de selección y requiere una lista de opciones`;
+  }
+
+  const values = new Set();
+  for (const option of options) {
+    const value = option && typeof option === 'object' ? option.value : option;
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return `Todas las opciones del campo ${fieldName} deben tener un valor`;
+    }
+    if (values.has(String(value))) {
+      return `La opción "${value}" está repetida en el campo ${fieldName}`;
+    }
+    values.add(String(value));
+  }
+
+  return null;
+}
+
+// Normaliza una lista de opciones al formato { value, label, order, active }.
+// Acepta también valores simples, que se usan como valor y etiqueta.
+function normalizeOptions(options) {
+  return options.map((option, index) => {
+    const raw = option && typeof option === 'object' ? option : { value: option };
+    return {
+      value: String(raw.value),
+      label: raw.label !== undefined && raw.label !== null ? String(raw.label) : String(raw.value),
+      order: raw.order !== undefined && raw.order !== null ? Number(raw.order) : index,
+      active: raw.active !== false,
+    };
+  });
+}
+
+// Normaliza el orden de las opciones de una clave foránea al formato [{ field, direction }].
+// Acepta también el nombre de una columna o una lista de nombres (orden ascendente).
+function normalizeDisplaySort(displaySort) {
+  if (displaySort === null || displaySort === undefined) {
+    return null;
+  }
+
+  const entries = Array.isArray(displaySort) ? displaySort : [displaySort];
+  return entries.map((entry) => {
+    const raw = entry && typeof entry === 'object' ? entry : { field: entry };
+    return {
+      field: String(raw.field),
+      direction: String(raw.direction || 'ASC').toUpperCase() === 'DESC' ? 'DESC' : 'ASC',
+    };
+  });
+}
+
+// Extrae los metadatos de presentación de la definición de un campo recibida en la solicitud.
+// Solo se devuelven los atributos enviados, para no sobrescribir los demás al editar.
+function pickFieldMetadata(field) {
+  const metadata = {};
+  for (const attribute of METADATA_ATTRIBUTES) {
+    if (field[attribute] !== undefined) {
+      metadata[attribute] = field[attribute];
+    }
+  }
+
+  if (Array.isArray(metadata.options)) {
+    metadata.options = normalizeOptions(metadata.options);
+  }
+  if (metadata.display_sort !== undefined) {
+    metadata.display_sort = normalizeDisplaySort(metadata.display_sort);
+  }
+
+  return metadata;
+}
+
+// Crea o actualiza los metadatos de un campo.
+async function saveFieldMetadata(tableName, fieldName, fieldType, metadata, { transaction } = {}) {
+  const existing = await InscriptionStructure.findOne({
+    where: { table_name: tableName, field_name: fieldName },
+    transaction,
+  });
+
+  if (existing) {
+    Object.assign(existing, metadata);
+    if (fieldType) {
+      existing.field_type = fieldType;
+    }
+    return existing.save({ transaction });
+  }
+
+  return InscriptionStructure.create(
+    {
+      ...metadata,
+      table_name: tableName,
+      field_name: fieldName,
+      field_type: fieldType,
+    },
+    { transaction }
+  );
+}
+
+// Devuelve los metadatos de un campo, o null si no tiene.
+async function getFieldMetadata(tableName, fieldName, { transaction } = {}) {
+  return InscriptionStructure.findOne({
+    where: { table_name: tableName, field_name: fieldName },
+    transaction,
+  });
+}
+
+// Devuelve las opciones activas de un campo de selección ordenadas según 'order'.
+function getActiveOptions(metadata) {
+  return (metadata.options || [])
+    .filter((option) => option.active !== false)
+    .sort((a, b) => a.order - b.order);
+}
+
+// Devuelve los metadatos de los campos de una tabla indexados por nombre de campo.
+async function getFieldMetadataMap(tableName, { transaction } = {}) {
+  const rows = await InscriptionStructure.findAll({
+    where: { table_name: tableName },
+    transaction,
+  });
+
+  return rows.reduce((acc, row) => {
+    acc[row.field_name] = row;
+    return acc;
+  }, {});
+}
+
+// Elimina los metadatos de un campo, o de toda la tabla si no se indica el campo.
+async function deleteFieldMetadata(tableName, fieldName, { transaction } = {}) {
+  const where = { table_name: tableName };
+  if (fieldName) {
+    where.field_name = fieldName;
+  }
+  await InscriptionStructure.destroy({ where, transaction });
+}
+
+module.exports = {
+  METADATA_ATTRIBUTES,
+  validateOptionList,
+  normalizeOptions,
+  normalizeDisplaySort,
+  pickFieldMetadata,
+  saveFieldMetadata,
+  getFieldMetadata,
+  getActiveOptions,
+  getFieldMetadataMap,
+  deleteFieldMetadata,
+};
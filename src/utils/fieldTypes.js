@@ -0,0 +1,167 @@
+// src/utils/fieldTypes.js
+const { Sequelize } = require('sequelize');
+
+// Mapeo de los tipos de dato que se pueden usar al crear o editar columnas de las tablas dinámicas.
+// DECIMAL también admite precisión y escala, p. ej. 'DECIMAL(12,2)' (ver getSequelizeType).
+const FIELD_TYPES = {
+  'VARCHAR(255)': Sequelize.STRING,       // Texto con longitud máxima de 255 caracteres.
+  'CHARACTER VARYING': Sequelize.STRING,  // Alias de VARCHAR devuelto por information_schema.
+  'TEXT': Sequelize.TEXT,                 // Texto sin límite de longitud.
+  'INTEGER': Sequelize.INTEGER,           // Número entero.
+  'DECIMAL': Sequelize.DECIMAL,           // Número decimal.
+  'BOOLEAN': Sequelize.BOOLEAN,           // Valores booleanos (true/false).
+  'DATE': Sequelize.DATE,                 // Fechas.
+  'TIMESTAMPTZ': Sequelize.DATE,          // Fecha y hora con zona horaria.
+  'TIME': Sequelize.TIME,                 // Hora del día, sin fecha.
+  'JSONB': Sequelize.JSONB,               // Documento JSON.
+  'TEXT[]': Sequelize.ARRAY(Sequelize.TEXT), // Lista de textos.
+  'FOREIGN_KEY': Sequelize.INTEGER,       // Las claves foráneas se almacenan como enteros.
+  'SELECT': Sequelize.STRING,             // Valor único de una lista de opciones.
+  'MULTISELECT': Sequelize.ARRAY(Sequelize.TEXT), // Varios valores de una lista de opciones.
+  'EMAIL': Sequelize.STRING,              // Correo electrónico.
+  'PHONE': Sequelize.STRING,              // Número de teléfono.
+  'URL': Sequelize.STRING,                // Dirección web (http/https).
+  'GEO_POINT': Sequelize.JSONB,           // Coordenadas geográficas: { lat, lng }.
+};
+
+// Tipos cuyo valor debe pertenecer a la lista de opciones guardada en los metadatos del campo.
+const SELECT_TYPES = ['SELECT', 'MULTISELECT'];
+
+// Tipos que no se pueden deducir de information_schema porque comparten el tipo de columna con otro
+// (p. ej. EMAIL se guarda como VARCHAR). Se identifican por el tipo registrado en los metadatos del campo.
+const SEMANTIC_TYPES = [...SELECT_TYPES, 'TIMESTAMPTZ', 'EMAIL', 'PHONE', 'URL', 'GEO_POINT'];
+
+const DECIMAL_PATTERN = /^DECIMAL\s*\(\s*(\d+)\s*,\s*(\d+)\s*\)$/;
+
+// Obtiene la precisión y la escala de un tipo 'DECIMAL(p,s)'. Devuelve null si el tipo no tiene ese formato
+// o si los valores no son válidos para PostgreSQL.
+function parseDecimalType(type) {
+  const match = DECIMAL_PATTERN.exec(String(type || '').toUpperCase().trim());
+  if (!match) {
+    return null;
+  }
+
+  const precision = parseInt(match[1], 10);
+  const scale = parseInt(match[2], 10);
+  if (precision < 1 || precision > 1000 || scale > precision) {
+    return null;
+  }
+  return { precision, scale };
+}
+
+// Normaliza el nombre de un tipo recibido en la solicitud: mayúsculas y 'DECIMAL(p,s)' sin espacios.
+function normalizeFieldType(type) {
+  const normalized = String(type || '').toUpperCase().trim();
+  const decimal = parseDecimalType(normalized);
+  return decimal ? `DECIMAL(${decimal.precision},${decimal.scale})` : normalized;
+}
+
+// Devuelve el tipo de Sequelize de un tipo de campo, o undefined si el tipo no es válido.
+function getSequelizeType(type) {
+  const decimal = parseDecimalType(type);
+  if (decimal) {
+    return Sequelize.DECIMAL(decimal.precision, decimal.scale);
+  }
+  return FIELD_TYPES[normalizeFieldType(type)];
+}
+
+// Traduce el 'data_type' de information_schema al tipo que usa el frontend. Para las columnas numéricas
+// se puede indicar la precisión y la escala ('numeric_precision' / 'numeric_scale').
+function mapDataType(dataType, { precision, scale } = {}) {
+  switch (dataType) {
+    case 'character varying':
+    case 'varchar':
+      return 'VARCHAR(255)';
+    case 'text':
+      return 'TEXT';
+    case 'integer':
+      return 'INTEGER';
+    case 'numeric':
+    case 'decimal':
+      return precision !== null && precision !== undefined ? `DECIMAL(${precision},${scale || 0})` : 'DECIMAL';
+    case 'boolean':
+      return 'BOOLEAN';
+    case 'date':
+    case 'timestamp without time zone':
+    case 'timestamp with time zone': // Sequelize.DATE crea las columnas DATE como timestamptz.
+      return 'DATE';
+    case 'time without time zone':
+      return 'TIME';
+    case 'jsonb':
+      return 'JSONB';
+    case 'ARRAY':
+      return 'TEXT[]';
+    default:
+      return dataType.toUpperCase();
+  }
+}
+
+// Determina el tipo de un campo para el frontend. Los tipos semánticos no se pueden deducir
+// de information_schema, por lo que se toman del tipo registrado en los metadatos del campo.
+function resolveFieldType(dataType, metadataFieldType, numericInfo) {
+  if (SEMANTIC_TYPES.includes(metadataFieldType)) {
+    return metadataFieldType;
+  }
+  return mapDataType(dataType, numericInfo);
+}
+
+// Construye los atributos de columna que espera queryInterface a partir de la definición de un campo
+// ({ name, type, allow_null, relatedTable, relatedColumn }). Devuelve null si el tipo no es válido.
+function buildColumnAttributes(field) {
+  const allowNull = field.allow_null !== false;
+  const type = normalizeFieldType(field.type);
+
+  if (type === 'FOREIGN_KEY') {
+    return {
+      type: Sequelize.INTEGER,
+      allowNull,
+      references: {
+        model: field.relatedTable,
+        key: field.relatedColumn || 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    };
+  }
+
+  const sequelizeType = getSequelizeType(type);
+  if (!sequelizeType) {
+    return null;
+  }
+
+  return { type: sequelizeType, allowNull };
+}
+
+// Convierte un valor leído de la base de datos al texto que se escribe en un CSV, con el mismo formato
+// que acepta la carga de CSV: listas separadas por ';', coordenadas como 'lat,lng' y JSON como texto.
+function toCsvValue(value, fieldType) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (fieldType === 'GEO_POINT' && typeof value === 'object' && !Array.isArray(value)) {
+    return `${value.lat},${value.lng}`;
+  }
+  if (Array.isArray(value) && fieldType !== 'JSONB') {
+    return value.join(';');
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  SELECT_TYPES,
+  SEMANTIC_TYPES,
+  parseDecimalType,
+  normalizeFieldType,
+  getSequelizeType,
+  mapDataType,
+  resolveFieldType,
+  buildColumnAttributes,
+  toCsvValue,
+};
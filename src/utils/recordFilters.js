@@ -0,0 +1,333 @@
+// src/utils/recordFilters.js
+const { getTableColumns } = require('./dynamicModel');
+const { PI_MODULE_KEY, isModuleTable } = require('./tableRegistry');
+
+// Error de un filtro mal formado (operador desconocido, columna inexistente, valor no válido...).
+// Los controladores lo devuelven como 400 con su mensaje.
+class FilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FilterError';
+  }
+}
+
+// Parámetro de la query string con los filtros en JSON, para combinar condiciones con grupos AND / OR / NOT:
+//   filter={"or":[{"Estado":{"in":[4,7]}},{"and":[{"Ciudad":"Bogotá"},{"Fecha de registro":{"gte":"2024-01-01"}}]}]}
+const FILTER_PARAM = 'filter';
+
+// Profundidad máxima de los grupos anidados en 'filter'.
+const MAX_FILTER_DEPTH = 10;
+
+// Familia de cada tipo de dato de information_schema. Los operadores permitidos dependen de la familia.
+const TYPE_FAMILIES = {
+  'character varying': 'text',
+  varchar: 'text',
+  text: 'text',
+  character: 'text',
+  uuid: 'uuid',
+  integer: 'number',
+  smallint: 'number',
+  bigint: 'number',
+  numeric: 'number',
+  real: 'number',
+  'double precision': 'number',
+  date: 'date',
+  'timestamp without time zone': 'date',
+  'timestamp with time zone': 'date',
+  'time without time zone': 'date',
+  boolean: 'boolean',
+  ARRAY: 'array',
+  json: 'json',
+  jsonb: 'json',
+};
+
+// Operadores admitidos y las familias de tipos a las que se pueden aplicar.
+const OPERATORS = {
+  eq: ['text', 'uuid', 'number', 'date', 'boolean'],
+  ne: ['text', 'uuid', 'number', 'date', 'boolean'],
+  contains: ['text', 'array'],
+  not_contains: ['text', 'array'],
+  starts_with: ['text'],
+  ends_with: ['text'],
+  gt: ['number', 'date'],
+  gte: ['number', 'date'],
+  lt: ['number', 'date'],
+  lte: ['number', 'date'],
+  between: ['number', 'date'],
+  in: ['text', 'uuid', 'number'],
+  not_in: ['text', 'uuid', 'number'],
+  is_null: ['text', 'uuid', 'number', 'date', 'boolean', 'array', 'json'],
+  not_null: ['text', 'uuid', 'number', 'date', 'boolean', 'array', 'json'],
+};
+
+// Devuelve la familia de un tipo de dato de information_schema.
+function getTypeFamily(dataType) {
+  return TYPE_FAMILIES[dataType] || 'text';
+}
+
+// Tipo SQL al que se convierte el valor de un filtro sobre una columna de fecha u hora.
+function dateCastType(dataType) {
+  if (dataType === 'date') return 'date';
+  if (dataType === 'time without time zone') return 'time';
+  return 'timestamptz';
+}
+
+// Escapa los comodines de LIKE para buscar el texto literal.
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+// Convierte una lista recibida como arreglo o como texto separado por comas.
+function toList(value) {
+  return Array.isArray(value) ? value : String(value).split(',').map((item) => item.trim());
+}
+
+// Construye la condición WHERE de los filtros de la query string para la consulta de registros.
+//   col=valor               igualdad (las columnas desconocidas se ignoran, como antes)
+//   col[op]=valor           operador: eq, ne, contains, not_contains, starts_with, ends_with, gt, gte, lt, lte,
+//                           between (dos valores separados por coma), in / not_in (lista separada por comas),
+//                           is_null / not_null
+//   filter={...}            grupos { and: [...] }, { or: [...] } y { not: {...} } en JSON
+// 'columns' relaciona el nombre de cada columna filtrable con su expresión SQL y su tipo: { nombre: { sql, dataType } }.
+// 'ignoredParams' son los parámetros que no son filtros (paginación, búsqueda...) y 'baseFilter' un filtro
+// en el formato de 'filter' que se combina con AND con los de la query string (p. ej. el de una vista guardada).
+// Devuelve { sql, replacements }, con sql null si no hay filtros. Lanza FilterError si un filtro no es válido.
+function buildFilterClause(query, columns, { ignoredParams = [], baseFilter = null } = {}) {
+  const replacements = {};
+  let paramIndex = 0;
+
+  const findColumn = (name) => {
+    const key = Object.keys(columns).find((column) => column.toLowerCase() === String(name).toLowerCase());
+    return key ? { name: key, ...columns[key] } : null;
+  };
+
+  const addParam = (value) => {
+    paramIndex++;
+    const name = `filter${paramIndex}`;
+    replacements[name] = value;
+    return `:${name}`;
+  };
+
+  // Valida y convierte un valor según la familia del tipo de la columna.
+  const typedValue = (column, family, value) => {
+    if (value === null || value === undefined || typeof value === 'object') {
+      throw new FilterError(`Valor no válido para el filtro de la columna ${column.name}`);
+    }
+    if (family === 'number') {
+      const number = Number(value);
+      if (String(value).trim() === '' || !Number.isFinite(number)) {
+        throw new FilterError(`La columna ${column.name} es numérica y el valor "${value}" no es un número`);
+      }
+      return number;
+    }
+    if (family === 'date') {
+      const text = String(value).trim();
+      const isTime = column.dataType === 'time without time zone';
+      if (isTime ? !/^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text) : Number.isNaN(Date.parse(text))) {
+        throw new FilterError(`La columna ${column.name} es de fecha y el valor "${value}" no es una fecha válida`);
+      }
+      return text;
+    }
+    if (family === 'boolean') {
+      const text = String(value).toLowerCase();
+      if (!['true', 'false', '1', '0'].includes(text)) {
+        throw new FilterError(`La columna ${column.name} es booleana y el valor "${value}" no es true ni false`);
+      }
+      return text === 'true' || text === '1';
+    }
+    return String(value);
+  };
+
+  // Expresión del valor en SQL, con conversión explícita para fechas y números.
+  const valueSql = (column, family, value) => {
+    const param = addParam(typedValue(column, family, value));
+    if (family === 'date') return `CAST(${param} AS ${dateCastType(column.dataType)})`;
+    if (family === 'number') return `CAST(${param} AS numeric)`;
+    return param;
+  };
+
+  // Condición de un operador sobre una columna.
+  const buildCondition = (column, operator, value) => {
+    const family = getTypeFamily(column.dataType);
+    if (!OPERATORS[operator]) {
+      throw new FilterError(`Operador de filtro no válido: ${operator}. Operadores admitidos: ${Object.keys(OPERATORS).join(', ')}`);
+    }
+    if (!OPERATORS[operator].includes(family)) {
+      throw new FilterError(`El operador ${operator} no se puede usar con la columna ${column.name} (tipo ${column.dataType})`);
+    }
+
+    const { sql } = column;
+    switch (operator) {
+      case 'eq':
+        return `${sql} = ${valueSql(column, family, value)}`;
+      case 'ne':
+        return `${sql} IS DISTINCT FROM ${valueSql(column, family, value)}`;
+      case 'contains':
+      case 'not_contains': {
+        const condition = family === 'array'
+          ? `${addParam(typedValue(column, 'text', value))} = ANY(${sql})`
+          : `${sql} ILIKE ${addParam(`%${escapeLike(typedValue(column, family, value))}%`)}`;
+        return operator === 'contains' ? condition : `(${sql} IS NULL OR NOT (${condition}))`;
+      }
+      case 'starts_with':
+        return `${sql} ILIKE ${addParam(`${escapeLike(typedValue(column, family, value))}%`)}`;
+      case 'ends_with':
+        return `${sql} ILIKE ${addParam(`%${escapeLike(typedValue(column, family, value))}`)}`;
+      case 'gt':
+        return `${sql} > ${valueSql(column, family, value)}`;
+      case 'gte':
+        return `${sql} >= ${valueSql(column, family, value)}`;
+      case 'lt':
+        return `${sql} < ${valueSql(column, family, value)}`;
+      case 'lte':
+        return `${sql} <= ${valueSql(column, family, value)}`;
+      case 'between': {
+        const range = toList(value);
+        if (range.length !== 2) {
+          throw new FilterError(`El filtro between de la columna ${column.name} requiere dos valores separados por coma`);
+        }
+        return `${sql} BETWEEN ${valueSql(column, family, range[0])} AND ${valueSql(column, family, range[1])}`;
+      }
+      case 'in':
+      case 'not_in': {
+        const list = toList(value);
+        if (list.length === 0 || list.some((item) => item === '')) {
+          throw new FilterError(`El filtro ${operator} de la columna ${column.name} requiere una lista de valores`);
+        }
+        const param = addParam(list.map((item) => typedValue(column, family, item)));
+        return operator === 'in' ? `${sql} IN (${param})` : `(${sql} IS NULL OR ${sql} NOT IN (${param}))`;
+      }
+      case 'is_null': {
+        // is_null=false equivale a not_null.
+        const isNull = !['false', '0'].includes(String(value).toLowerCase());
+        return `${sql} IS ${isNull ? '' : 'NOT '}NULL`;
+      }
+      case 'not_null':
+        return `${sql} IS NOT NULL`;
+      default:
+        throw new FilterError(`Operador de filtro no válido: ${operator}`);
+    }
+  };
+
+  // Condiciones de una columna: un valor (igualdad), una lista (in) o un objeto { operador: valor }.
+  const buildColumnConditions = (column, spec) => {
+    if (Array.isArray(spec)) {
+      return [buildCondition(column, 'in', spec)];
+    }
+    if (spec && typeof spec === 'object') {
+      const operators = Object.keys(spec);
+      if (operators.length === 0) {
+        throw new FilterError(`El filtro de la columna ${column.name} no tiene operador`);
+      }
+      return operators.map((operator) => buildCondition(column, operator, spec[operator]));
+    }
+    if (spec === null) {
+      return [buildCondition(column, 'is_null', true)];
+    }
+    return [buildCondition(column, 'eq', spec)];
+  };
+
+  // Nodo del filtro en JSON: grupo and / or / not, o condiciones por columna.
+  const buildNode = (node, depth) => {
+    if (depth > MAX_FILTER_DEPTH) {
+      throw new FilterError(`Los grupos del filtro no pueden tener más de ${MAX_FILTER_DEPTH} niveles`);
+    }
+    if (!node || typeof node !== 'object' || Array.isArray(node) || Object.keys(node).length === 0) {
+      throw new FilterError('Cada condición del filtro debe ser un objeto, p. ej. {"Estado": {"eq": 7}}');
+    }
+
+    const keys = Object.keys(node);
+    if (keys.length === 1 && (keys[0] === 'and' || keys[0] === 'or')) {
+      const group = node[keys[0]];
+      if (!Array.isArray(group) || group.length === 0) {
+        throw new FilterError(`El grupo ${keys[0]} del filtro debe ser una lista de condiciones`);
+      }
+      const separator = keys[0] === 'and' ? ' AND ' : ' OR ';
+      return `(${group.map((child) => buildNode(child, depth + 1)).join(separator)})`;
+    }
+    if (keys.length === 1 && keys[0] === 'not') {
+      return `NOT (${buildNode(node.not, depth + 1)})`;
+    }
+
+    const conditions = [];
+    for (const key of keys) {
+      const column = findColumn(key);
+      if (!column) {
+        throw new FilterError(`No se puede filtrar por la columna ${key}: no existe en la tabla`);
+      }
+      conditions.push(...buildColumnConditions(column, node[key]));
+    }
+    return conditions.length === 1 ? conditions[0] : `(${conditions.join(' AND ')})`;
+  };
+
+  const conditions = [];
+  if (baseFilter) {
+    conditions.push(buildNode(baseFilter, 1));
+  }
+  for (const [key, value] of Object.entries(query)) {
+    if (ignoredParams.includes(key)) {
+      continue;
+    }
+
+    if (key === FILTER_PARAM) {
+      let parsed;
+      try {
+        parsed = typeof value === 'string' ? JSON.parse(value) : value;
+      } catch (error) {
+        throw new FilterError('El parámetro filter debe ser un JSON válido');
+      }
+      conditions.push(buildNode(parsed, 1));
+      continue;
+    }
+
+    const column = findColumn(key);
+    if (!column) {
+      // Los parámetros de igualdad sobre columnas desconocidas se ignoran; los que usan operadores se rechazan.
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        throw new FilterError(`No se puede filtrar por la columna ${key}: no existe en la tabla`);
+      }
+      continue;
+    }
+    conditions.push(...buildColumnConditions(column, value));
+  }
+
+  return {
+    sql: conditions.length > 0 ? conditions.join(' AND ') : null,
+    replacements,
+  };
+}
+
+// Columnas filtrables de una tabla con su expresión SQL y su tipo, a partir de las columnas de
+// information_schema ({ column_name, data_type }). En las tablas del módulo del plan de inversión el filtro por "Estado" se aplica
+// al estado de la caracterización, que la consulta de registros une a la tabla.
+async function getFilterColumns(tableName, fields) {
+  const columns = {};
+  for (const field of fields) {
+    columns[field.column_name] = {
+      sql: `"${tableName}"."${field.column_name}"`,
+      dataType: field.data_type,
+    };
+  }
+
+  if (await isModuleTable(tableName, PI_MODULE_KEY)) {
+    const estado = (await getTableColumns('inscription_caracterizacion'))
+      .find((column) => column.column_name === 'Estado');
+    if (estado) {
+      for (const name of Object.keys(columns).filter((column) => column.toLowerCase() === 'estado')) {
+        delete columns[name];
+      }
+      columns.Estado = { sql: 'inscription_caracterizacion."Estado"', dataType: estado.data_type };
+    }
+  }
+
+  return columns;
+}
+
+module.exports = {
+  FilterError,
+  FILTER_PARAM,
+  OPERATORS,
+  getTypeFamily,
+  buildFilterClause,
+  getFilterColumns,
+};
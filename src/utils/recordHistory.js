@@ -0,0 +1,202 @@
+// src/utils/recordHistory.js
+const { QueryTypes } = require('sequelize');
+const sequelize = require('./sequelize');
+const DeletedRecord = require('../models/DeletedRecord');
+const { quoteIdentifier } = require('./tableStructure');
+const { getTableColumns } = require('./dynamicModel');
+
+// Valor de un campo como texto para el historial y para comparar valores antes y después de un cambio.
+function toHistoryValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Convierte un valor del historial al valor que se escribe en la columna. Los arreglos (MULTISELECT)
+// se guardan como JSON; los demás tipos los convierte PostgreSQL a partir del texto.
+function fromHistoryValue(value, dataType) {
+  if (value === null || value === undefined || dataType !== 'ARRAY') {
+    return value === undefined ? null : value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Agrega al historial de registros las columnas de auditoría: 'operation_id' (la operación masiva, ver el
+// modelo BulkOperation, a la que pertenece cada entrada), 'event_scope' (ver AUDIT_SCOPES en utils/audit.js),
+// 'ip_address' y 'request_id'. Los eventos de esquema y de seguridad pueden no tener registro ('record_id').
+async function ensureHistorySupport() {
+  await sequelize.query('ALTER TABLE record_history ADD COLUMN IF NOT EXISTS operation_id INTEGER');
+  await sequelize.query(
+    "ALTER TABLE record_history ADD COLUMN IF NOT EXISTS event_scope VARCHAR(20) NOT NULL DEFAULT 'record'"
+  );
+  await sequelize.query('ALTER TABLE record_history ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64)');
+  await sequelize.query('ALTER TABLE record_history ADD COLUMN IF NOT EXISTS request_id VARCHAR(64)');
+  await sequelize.query('ALTER TABLE record_history ALTER COLUMN record_id DROP NOT NULL');
+  await sequelize.query('CREATE INDEX IF NOT EXISTS record_history_operation_id_idx ON record_history (operation_id)');
+  await sequelize.query('CREATE INDEX IF NOT EXISTS record_history_request_id_idx ON record_history (request_id)');
+  await sequelize.query(
+    'CREATE INDEX IF NOT EXISTS record_history_scope_created_at_idx ON record_history (event_scope, created_at)'
+  );
+}
+
+// Entradas del historial de una operación masiva, en el orden en que se registraron.
+async function getOperationEntries(operationId, { transaction } = {}) {
+  return sequelize.query(
+    'SELECT * FROM record_history WHERE operation_id = :operationId ORDER BY id ASC',
+    { replacements: { operationId }, type: QueryTypes.SELECT, transaction }
+  );
+}
+
+// Reconstruye un registro tal como estaba en una fecha deshaciendo, del más reciente al más antiguo, los
+// cambios de campos registrados en el historial después de esa fecha. Los valores se devuelven como texto,
+// igual que en el historial. Dentro de una transacción, el registro queda bloqueado hasta que termine.
+// Devuelve null si el registro no existe, o { existed, snapshot, current, differences }; 'existed' es falso
+// si el registro se creó después de la fecha (y entonces no hay 'snapshot').
+async function buildRecordSnapshot(tableName, recordId, at, { transaction } = {}) {
+  const [current] = await sequelize.query(
+    `SELECT * FROM ${quoteIdentifier(tableName)} WHERE id = :recordId${transaction ? ' FOR UPDATE' : ''}`,
+    { replacements: { recordId }, type: QueryTypes.SELECT, transaction }
+  );
+  if (!current) {
+    return null;
+  }
+
+  const laterChanges = await sequelize.query(
+    `SELECT id, change_type, field_name, old_value
+     FROM record_history
+     WHERE table_name = :tableName
+       AND record_id = :recordId
+       AND created_at > :at
+       AND change_type IN ('create', 'update', 'restore')
+     ORDER BY id DESC`,
+    { replacements: { tableName, recordId, at }, type: QueryTypes.SELECT, transaction }
+  );
+  if (laterChanges.some((change) => change.change_type === 'create')) {
+    return { existed: false, snapshot: null, current, differences: [] };
+  }
+
+  const snapshot = Object.keys(current).reduce((acc, field) => {
+    acc[field] = toHistoryValue(current[field]);
+    return acc;
+  }, {});
+  for (const change of laterChanges) {
+    // Las restauraciones desde la papelera no tienen campo; los campos eliminados de la tabla se ignoran.
+    if (change.field_name && change.field_name in snapshot) {
+      snapshot[change.field_name] = change.old_value;
+    }
+  }
+
+  const differences = Object.keys(snapshot)
+    .filter((field) => snapshot[field] !== toHistoryValue(current[field]))
+    .map((field) => ({
+      field_name: field,
+      snapshot_value: snapshot[field],
+      current_value: toHistoryValue(current[field]),
+    }));
+
+  return { existed: true, snapshot, current, differences };
+}
+
+// Calcula los cambios necesarios para revertir una operación masiva y los conflictos que lo impiden.
+// Hay conflicto cuando un registro cambió de nuevo después de la operación: un campo actualizado ya no
+// tiene el valor que dejó la operación, un registro creado fue modificado, un registro eliminado fue
+// restaurado, etc. Dentro de una transacción, los registros afectados quedan bloqueados hasta que termine.
+// Devuelve { changes, conflicts }, donde cada cambio es una de las acciones:
+// - update: restaurar el valor anterior de un campo.
+// - delete: enviar a la papelera un registro creado por la operación (o restaurado, si era una reversión).
+// - restore: restaurar de la papelera un registro eliminado por la operación.
+async function planOperationRevert(operation, { transaction } = {}) {
+  const tableName = operation.table_name;
+  const entries = await getOperationEntries(operation.id, { transaction });
+  const recordIds = [...new Set(entries.map((entry) => entry.record_id))];
+  if (recordIds.length === 0) {
+    return { changes: [], conflicts: [] };
+  }
+
+  const columnTypes = (await getTableColumns(tableName, { transaction })).reduce((acc, column) => {
+    acc[column.column_name] = column.data_type;
+    return acc;
+  }, {});
+  const rows = await sequelize.query(
+    `SELECT * FROM ${quoteIdentifier(tableName)} WHERE id IN (:recordIds)${transaction ? ' FOR UPDATE' : ''}`,
+    { replacements: { recordIds }, type: QueryTypes.SELECT, transaction }
+  );
+  const currentRecords = new Map(rows.map((row) => [row.id, row]));
+  const deletedIds = new Set(
+    (await DeletedRecord.findAll({ where: { table_name: tableName, record_id: recordIds }, transaction }))
+      .map((marker) => marker.record_id)
+  );
+
+  const changes = [];
+  const conflicts = [];
+  const addConflict = (entry, message, extra = {}) => {
+    conflicts.push({ record_id: entry.record_id, field_name: entry.field_name || null, message, ...extra });
+  };
+
+  for (const entry of entries) {
+    const current = currentRecords.get(entry.record_id);
+    if (!current) {
+      addConflict(entry, 'El registro fue eliminado definitivamente');
+      continue;
+    }
+
+    if (entry.change_type === 'update') {
+      if (deletedIds.has(entry.record_id)) {
+        addConflict(entry, 'El registro está en la papelera');
+      } else if (!(entry.field_name in columnTypes)) {
+        addConflict(entry, `El campo ${entry.field_name} ya no existe en la tabla`);
+      } else if (toHistoryValue(current[entry.field_name]) !== entry.new_value) {
+        addConflict(entry, 'El campo cambió después de la operación', {
+          expected_value: entry.new_value,
+          current_value: toHistoryValue(current[entry.field_name]),
+        });
+      } else {
+        changes.push({
+          action: 'update',
+          record_id: entry.record_id,
+          field_name: entry.field_name,
+          current_value: entry.new_value,
+          restored_value: entry.old_value,
+          value: fromHistoryValue(entry.old_value, columnTypes[entry.field_name]),
+        });
+      }
+    } else if (entry.change_type === 'create' || entry.change_type === 'restore') {
+      // Registros creados (o restaurados) por la operación: se envían a la papelera si no cambiaron después.
+      const snapshot = entry.new_value ? JSON.parse(entry.new_value) : {};
+      const changedFields = Object.keys(snapshot)
+        .filter((field) => toHistoryValue(current[field]) !== toHistoryValue(snapshot[field]));
+      if (deletedIds.has(entry.record_id)) {
+        addConflict(entry, 'El registro ya está en la papelera');
+      } else if (changedFields.length > 0) {
+        addConflict(entry, 'El registro fue modificado después de la operación', { changed_fields: changedFields });
+      } else {
+        changes.push({ action: 'delete', record_id: entry.record_id });
+      }
+    } else if (entry.change_type === 'delete') {
+      if (!deletedIds.has(entry.record_id)) {
+        addConflict(entry, 'El registro ya no está en la papelera');
+      } else {
+        changes.push({ action: 'restore', record_id: entry.record_id });
+      }
+    }
+  }
+
+  return { changes, conflicts };
+}
+
+module.exports = {
+  toHistoryValue,
+  fromHistoryValue,
+  ensureHistorySupport,
+  getOperationEntries,
+  buildRecordSnapshot,
+  planOperationRevert,
+};
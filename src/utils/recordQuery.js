@@ -0,0 +1,110 @@
+// src/utils/recordQuery.js
+
+// Parámetros de la consulta de registros que controlan la paginación, el orden y las columnas
+// ('view_id' aplica el orden y las columnas de una vista guardada). Los demás parámetros de la query string
+// se tratan como filtros.
+const RESERVED_PARAMS = ['page', 'pageSize', 'cursor', 'sort', 'fields', 'view_id'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Valor de 'fields' que selecciona las columnas visibles guardadas en 'field_preferences'.
+const PREFERENCES_FIELDS = 'preferences';
+
+// Indica si la consulta usa alguno de los parámetros de paginación, orden o proyección.
+function isPaginatedQuery(query) {
+  return RESERVED_PARAMS.some((param) => query[param] !== undefined);
+}
+
+// Convierte un parámetro en un entero positivo. Devuelve null si el valor no es válido.
+function toPositiveInteger(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// Interpreta los parámetros 'page', 'pageSize', 'cursor', 'sort' y 'fields' de la consulta de registros.
+//   page / pageSize   paginación por número de página (pageSize entre 1 y MAX_PAGE_SIZE).
+//   cursor            paginación por cursor: ID del último registro recibido. Solo con el orden por ID.
+//   sort              columnas separadas por comas; '-' al inicio indica orden descendente ("Apellidos,-id").
+//   fields            columnas separadas por comas, o 'preferences' para usar las columnas visibles guardadas.
+// 'columnNames' son las columnas (y campos calculados) de la tabla; 'visibleColumns' las de 'field_preferences'.
+// Devuelve { error } o { page, pageSize, cursor, sort: [{ column, direction }], fields }.
+function parseRecordQuery(query, { columnNames, visibleColumns = null }) {
+  const pageSize = query.pageSize !== undefined ? toPositiveInteger(query.pageSize) : DEFAULT_PAGE_SIZE;
+  if (!pageSize || pageSize > MAX_PAGE_SIZE) {
+    return { error: `El parámetro pageSize debe ser un entero entre 1 y ${MAX_PAGE_SIZE}` };
+  }
+
+  const page = query.page !== undefined ? toPositiveInteger(query.page) : 1;
+  if (!page) {
+    return { error: 'El parámetro page debe ser un entero mayor que cero' };
+  }
+
+  const cursor = query.cursor !== undefined && query.cursor !== '' ? toPositiveInteger(query.cursor) : null;
+  if (query.cursor !== undefined && query.cursor !== '' && !cursor) {
+    return { error: 'El parámetro cursor debe ser el ID de un registro' };
+  }
+  if (cursor && query.page !== undefined) {
+    return { error: 'No se pueden usar page y cursor al mismo tiempo' };
+  }
+
+  // Orden: varias columnas separadas por comas.
+  const sort = [];
+  for (const item of String(query.sort || '').split(',').map((value) => value.trim()).filter(Boolean)) {
+    const direction = item.startsWith('-') ? 'DESC' : 'ASC';
+    const column = item.replace(/^[-+]/, '');
+    if (!columnNames.includes(column)) {
+      return { error: `No se puede ordenar por la columna ${column}: no existe en la tabla` };
+    }
+    if (sort.some((entry) => entry.column === column)) {
+      return { error: `La columna ${column} está repetida en el orden` };
+    }
+    sort.push({ column, direction });
+  }
+  if (cursor && sort.some((entry) => entry.column !== 'id')) {
+    return { error: 'La paginación por cursor solo admite el orden por id' };
+  }
+
+  // Proyección: columnas indicadas o las columnas visibles guardadas. 'id' siempre se incluye.
+  let fields = null;
+  if (query.fields !== undefined && query.fields !== '') {
+    const requested = query.fields === PREFERENCES_FIELDS
+      ? visibleColumns
+      : String(query.fields).split(',').map((value) => value.trim()).filter(Boolean);
+
+    if (!Array.isArray(requested) || requested.length === 0) {
+      return { error: 'La tabla no tiene columnas visibles guardadas' };
+    }
+
+    // Las preferencias pueden conservar columnas que ya no existen: se ignoran en lugar de fallar.
+    const unknown = requested.filter((column) => !columnNames.includes(column));
+    if (unknown.length > 0 && query.fields !== PREFERENCES_FIELDS) {
+      return { error: `Las siguientes columnas no existen en la tabla: ${unknown.join(', ')}` };
+    }
+    fields = ['id', ...requested.filter((column) => column !== 'id' && columnNames.includes(column))];
+  }
+
+  return { page, pageSize, cursor, sort, fields };
+}
+
+// Calcula los metadatos de paginación de la respuesta. En la paginación por cursor 'page' es null y
+// 'nextCursor' es el ID del último registro cuando hay más registros.
+function buildPagination({ page, pageSize, cursor }, total, records, hasMore) {
+  return {
+    total,
+    page: cursor ? null : page,
+    pageSize,
+    totalPages: Math.ceil(total / pageSize),
+    hasMore,
+    nextCursor: hasMore && records.length > 0 ? records[records.length - 1].id : null,
+  };
+}
+
+module.exports = {
+  RESERVED_PARAMS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  isPaginatedQuery,
+  parseRecordQuery,
+  buildPagination,
+};
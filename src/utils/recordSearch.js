@@ -0,0 +1,251 @@
+// src/utils/recordSearch.js
+const { QueryTypes } = require('sequelize');
+const sequelize = require('./sequelize');
+const TablesMetadata = require('../models/TablesMetadata');
+const { quoteIdentifier } = require('./tableStructure');
+const { notDeletedCondition, notDeletedReferenceCondition } = require('./recordTrash');
+
+// Parámetro de la query string con el texto de búsqueda de la consulta de registros.
+const SEARCH_PARAM = 'q';
+
+// Tipos de columna que se incluyen en la búsqueda.
+const SEARCHABLE_DATA_TYPES = ['character varying', 'text', 'character'];
+
+// Configuración de búsqueda de texto: 'simple' no aplica raíces del idioma, lo que conviene para nombres,
+// razones sociales y números de identificación.
+const SEARCH_CONFIG = 'simple';
+
+// Crea la extensión 'unaccent' y la función f_unaccent. unaccent() no es IMMUTABLE y no se puede usar
+// en la expresión de un índice; f_unaccent la envuelve indicando el diccionario de forma explícita.
+async function ensureSearchSupport() {
+  await sequelize.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+  await sequelize.query(`
+    CREATE OR REPLACE FUNCTION f_unaccent(text) RETURNS text AS
+    $func$ SELECT public.unaccent('public.unaccent'::regdictionary, $1) $func$
+    LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+  `);
+}
+
+// Nombre del índice de búsqueda de una tabla (máximo 63 caracteres).
+function getSearchIndexName(tableName) {
+  const suffix = '_search_idx';
+  const base = tableName.toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+  return `${base.slice(0, 63 - suffix.length)}${suffix}`;
+}
+
+// Devuelve las columnas de texto de una tabla. El orden debe ser estable porque forma parte de la
+// expresión del índice.
+async function getSearchColumns(tableName, { transaction } = {}) {
+  const columns = await sequelize.query(
+    `
+    SELECT column_name
+    FROM information_schema.columns
+    WHERE table_name = :tableName
+    AND table_schema = 'public'
+    AND data_type IN (:dataTypes)
+    ORDER BY ordinal_position
+    `,
+    {
+      replacements: { tableName, dataTypes: SEARCHABLE_DATA_TYPES },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  );
+  return columns.map((column) => column.column_name);
+}
+
+// Documento de búsqueda de un texto: sus palabras sin tildes ni mayúsculas.
+function buildTextDocument(textExpression) {
+  return `to_tsvector('${SEARCH_CONFIG}', f_unaccent(${textExpression}))`;
+}
+
+// Texto de un registro: sus columnas de texto concatenadas. 'qualifier' califica las columnas con el
+// nombre de la tabla sin cambiar la expresión.
+function buildRecordText(columns, { qualifier = null } = {}) {
+  const references = columns.map((column) =>
+    qualifier ? `${quoteIdentifier(qualifier)}.${quoteIdentifier(column)}` : quoteIdentifier(column)
+  );
+  return `concat_ws(' ', ${references.join(', ')})`;
+}
+
+// Documento de búsqueda de un registro. El índice y las consultas deben usar exactamente la misma
+// expresión para que PostgreSQL use el índice.
+function buildSearchDocument(columns, options) {
+  return buildTextDocument(buildRecordText(columns, options));
+}
+
+// Convierte el texto buscado en una consulta de prefijos: cada palabra debe aparecer al inicio de alguna
+// palabra del registro ("mar gom" encuentra "María Gómez"). Devuelve null si no queda ninguna palabra.
+function buildSearchQuery(text) {
+  const terms = String(text)
+    .split(/\s+/)
+    .map((term) => term.replace(/['\\]/g, ''))
+    .filter((term) => /[\p{L}\p{N}]/u.test(term));
+  if (terms.length === 0) {
+    return null;
+  }
+  return terms.map((term) => `'${term}':*`).join(' & ');
+}
+
+// Condición, relevancia y fragmento resaltado de la búsqueda sobre una expresión de texto.
+// 'paramName' es el nombre del reemplazo que recibe el resultado de buildSearchQuery.
+function buildTextSearch(textExpression, paramName) {
+  const document = buildTextDocument(textExpression);
+  const query = `to_tsquery('${SEARCH_CONFIG}', f_unaccent(:${paramName}))`;
+  return {
+    where: `${document} @@ ${query}`,
+    rank: `ts_rank(${document}, ${query})`,
+    // El fragmento se genera sobre el texto sin tildes para que se resalten las mismas palabras que coinciden.
+    snippet: `ts_headline('${SEARCH_CONFIG}', f_unaccent(${textExpression}), ${query}, 'MaxWords=20, MinWords=5, MaxFragments=2')`,
+  };
+}
+
+// Búsqueda sobre las columnas de texto de una tabla.
+function buildSearchClause(columns, paramName, { qualifier = null } = {}) {
+  return buildTextSearch(buildRecordText(columns, { qualifier }), paramName);
+}
+
+// Crea de nuevo el índice GIN de búsqueda de una tabla con sus columnas de texto actuales.
+// Se llama al crear la tabla y cada vez que cambian sus columnas: eliminar una columna elimina también el índice.
+async function syncSearchIndex(tableName, { transaction } = {}) {
+  const indexName = getSearchIndexName(tableName);
+  await sequelize.query(`DROP INDEX IF EXISTS ${quoteIdentifier(indexName)}`, { transaction });
+
+  const columns = await getSearchColumns(tableName, { transaction });
+  if (columns.length === 0) {
+    return false;
+  }
+
+  await sequelize.query(
+    `CREATE INDEX ${quoteIdentifier(indexName)} ON ${quoteIdentifier(tableName)} USING GIN (${buildSearchDocument(columns)})`,
+    { transaction }
+  );
+  return true;
+}
+
+// Crea de nuevo el índice de búsqueda solo si cambiaron las columnas de texto de la tabla respecto a
+// 'previousColumns' (obtenidas con getSearchColumns antes del cambio): columnas de texto agregadas,
+// eliminadas, renombradas o convertidas desde o hacia un tipo de texto. Devuelve true si se reconstruyó.
+async function syncSearchIndexIfChanged(tableName, previousColumns, { transaction } = {}) {
+  const columns = await getSearchColumns(tableName, { transaction });
+  if (columns.length === previousColumns.length && columns.every((column, index) => column === previousColumns[index])) {
+    return false;
+  }
+  await syncSearchIndex(tableName, { transaction });
+  return true;
+}
+
+// Crea el índice de búsqueda de las tablas registradas que aún no lo tienen. Devuelve cuántos se crearon.
+async function ensureSearchIndexes() {
+  const tables = await TablesMetadata.findAll({ attributes: ['table_name'] });
+
+  let created = 0;
+  for (const { table_name } of tables) {
+    // Se omiten los registros de tablas que ya no existen y las tablas que ya tienen el índice.
+    const [{ table_exists, index_exists }] = await sequelize.query(
+      `SELECT to_regclass(quote_ident(:tableName)) IS NOT NULL AS table_exists,
+              to_regclass(quote_ident(:indexName)) IS NOT NULL AS index_exists`,
+      { replacements: { tableName: table_name, indexName: getSearchIndexName(table_name) }, type: QueryTypes.SELECT }
+    );
+
+    if (table_exists && !index_exists && (await syncSearchIndex(table_name))) {
+      created++;
+    }
+  }
+
+  return created;
+}
+
+// Busca en una tabla dinámica. Devuelve el total de coincidencias y las más relevantes
+// ({ record_id, snippet, rank }), o null si la tabla no tiene columnas de texto.
+async function searchTable(tableName, searchQuery, { limit = 5 } = {}) {
+  const columns = await getSearchColumns(tableName);
+  if (columns.length === 0) {
+    return null;
+  }
+
+  // Los registros en la papelera no aparecen en la búsqueda.
+  const search = buildSearchClause(columns, 'searchQuery');
+  const where = `${search.where} AND ${notDeletedCondition(tableName)}`;
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*)::int AS total FROM ${quoteIdentifier(tableName)} WHERE ${where}`,
+    { replacements: { searchQuery }, type: QueryTypes.SELECT }
+  );
+  if (total === 0) {
+    return { total, records: [] };
+  }
+
+  const records = await sequelize.query(
+    `SELECT id AS record_id, ${search.snippet} AS snippet, ${search.rank} AS rank
+     FROM ${quoteIdentifier(tableName)}
+     WHERE ${where}
+     ORDER BY rank DESC, id ASC
+     LIMIT :limit`,
+    { replacements: { searchQuery, limit }, type: QueryTypes.SELECT }
+  );
+  return { total, records };
+}
+
+// Busca en el texto de los comentarios. Cada resultado indica el registro comentado (table_name, record_id).
+// Se omiten los comentarios de los registros en la papelera. 'tableNames' limita la búsqueda a esas tablas.
+async function searchComments(searchQuery, { tableNames, limit = 5 } = {}) {
+  if (tableNames && tableNames.length === 0) {
+    return { total: 0, records: [] };
+  }
+  const tableFilter = tableNames ? ' AND table_name IN (:tableNames)' : '';
+  const search = buildTextSearch('comment', 'searchQuery');
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*)::int AS total FROM comments WHERE ${search.where} AND ${notDeletedReferenceCondition('comments')}${tableFilter}`,
+    { replacements: { searchQuery, tableNames }, type: QueryTypes.SELECT }
+  );
+
+  const records = total === 0 ? [] : await sequelize.query(
+    `SELECT id AS comment_id, table_name, record_id, ${search.snippet} AS snippet, ${search.rank} AS rank
+     FROM comments
+     WHERE ${search.where} AND ${notDeletedReferenceCondition('comments')}${tableFilter}
+     ORDER BY rank DESC, created_at DESC
+     LIMIT :limit`,
+    { replacements: { searchQuery, tableNames, limit }, type: QueryTypes.SELECT }
+  );
+  return { total, records };
+}
+
+// Busca en los nombres de los archivos cargados. Los separadores habituales de los nombres de archivo
+// ('_', '-', '.') se tratan como espacios para encontrar cada palabra ("cedula_1234.pdf"). Se omiten los
+// archivos de los registros en la papelera. 'tableNames' limita la búsqueda a esas tablas.
+async function searchFiles(searchQuery, { tableNames, limit = 5 } = {}) {
+  if (tableNames && tableNames.length === 0) {
+    return { total: 0, records: [] };
+  }
+  const tableFilter = tableNames ? ' AND table_name IN (:tableNames)' : '';
+  const search = buildTextSearch(`translate(name, '_-.', '   ')`, 'searchQuery');
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*)::int AS total FROM files WHERE ${search.where} AND ${notDeletedReferenceCondition('files')}${tableFilter}`,
+    { replacements: { searchQuery, tableNames }, type: QueryTypes.SELECT }
+  );
+
+  const records = total === 0 ? [] : await sequelize.query(
+    `SELECT id AS file_id, table_name, record_id, name, ${search.rank} AS rank
+     FROM files
+     WHERE ${search.where} AND ${notDeletedReferenceCondition('files')}${tableFilter}
+     ORDER BY rank DESC, id DESC
+     LIMIT :limit`,
+    { replacements: { searchQuery, tableNames, limit }, type: QueryTypes.SELECT }
+  );
+  return { total, records };
+}
+
+module.exports = {
+  SEARCH_PARAM,
+  ensureSearchSupport,
+  getSearchIndexName,
+  getSearchColumns,
+  buildSearchQuery,
+  buildSearchClause,
+  syncSearchIndex,
+  syncSearchIndexIfChanged,
+  ensureSearchIndexes,
+  searchTable,
+  searchComments,
+  searchFiles,
+};
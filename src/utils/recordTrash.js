@@ -0,0 +1,76 @@
+// src/utils/recordTrash.js
+const { QueryTypes } = require('sequelize');
+const sequelize = require('./sequelize');
+const DeletedRecord = require('../models/DeletedRecord');
+const { quoteIdentifier } = require('./tableStructure');
+
+// Condición SQL que excluye los registros en la papelera. 'qualifier' es la tabla (o alias) cuyo 'id'
+// se compara; por defecto la propia tabla.
+function notDeletedCondition(tableName, { qualifier = tableName } = {}) {
+  return `NOT EXISTS (
+    SELECT 1 FROM deleted_records dr
+    WHERE dr.table_name = ${sequelize.escape(tableName)} AND dr.record_id = ${quoteIdentifier(qualifier)}.id
+  )`;
+}
+
+// Condición SQL que excluye las filas que pertenecen a un registro en la papelera (comentarios, archivos...),
+// a partir de sus columnas 'table_name' y 'record_id'. 'qualifier' es la tabla (o alias) de esas columnas.
+function notDeletedReferenceCondition(qualifier) {
+  return `NOT EXISTS (
+    SELECT 1 FROM deleted_records dr
+    WHERE dr.table_name = ${quoteIdentifier(qualifier)}.table_name AND dr.record_id = ${quoteIdentifier(qualifier)}.record_id
+  )`;
+}
+
+// Indica si un registro está en la papelera.
+async function isRecordDeleted(tableName, recordId, { transaction } = {}) {
+  const marker = await DeletedRecord.findOne({ where: { table_name: tableName, record_id: recordId }, transaction });
+  return Boolean(marker);
+}
+
+// Lista los registros en la papelera de una tabla con la fecha de eliminación y el usuario que los eliminó,
+// los más recientes primero.
+async function listDeletedRecords(tableName) {
+  return sequelize.query(
+    `SELECT t.*, dr.deleted_at, dr.deleted_by, u.username AS deleted_by_username
+     FROM deleted_records dr
+     JOIN ${quoteIdentifier(tableName)} t ON t.id = dr.record_id
+     LEFT JOIN users u ON u.id = dr.deleted_by
+     WHERE dr.table_name = :tableName
+     ORDER BY dr.deleted_at DESC, dr.record_id DESC`,
+    { replacements: { tableName }, type: QueryTypes.SELECT }
+  );
+}
+
+// Elimina definitivamente un registro de la papelera junto con sus comentarios y la referencia a sus
+// archivos. Devuelve los archivos que tenía para que se borren del disco una vez confirmada la transacción.
+async function purgeRecord(tableName, recordId, { transaction } = {}) {
+  const files = await sequelize.query(
+    'SELECT id, file_path FROM files WHERE table_name = :tableName AND record_id = :recordId',
+    { replacements: { tableName, recordId }, type: QueryTypes.SELECT, transaction }
+  );
+
+  await sequelize.query(
+    `DELETE FROM ${quoteIdentifier(tableName)} WHERE id = :recordId`,
+    { replacements: { recordId }, transaction }
+  );
+  await sequelize.query(
+    'DELETE FROM files WHERE table_name = :tableName AND record_id = :recordId',
+    { replacements: { tableName, recordId }, transaction }
+  );
+  await sequelize.query(
+    'DELETE FROM comments WHERE table_name = :tableName AND record_id = :recordId',
+    { replacements: { tableName, recordId }, transaction }
+  );
+  await DeletedRecord.destroy({ where: { table_name: tableName, record_id: recordId }, transaction });
+
+  return files;
+}
+
+module.exports = {
+  notDeletedCondition,
+  notDeletedReferenceCondition,
+  isRecordDeleted,
+  listDeletedRecords,
+  purgeRecord,
+};
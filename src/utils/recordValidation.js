@@ -0,0 +1,416 @@
+// src/utils/recordValidation.js
+const { QueryTypes } = require('sequelize');
+const sequelize = require('./sequelize');
+const { SELECT_TYPES } = require('./fieldTypes');
+const { COMPUTED_TYPE } = require('./computedFields');
+const { getFieldMetadataMap, getActiveOptions } = require('./fieldMetadata');
+
+// Expresiones usadas por las reglas 'email' y 'phone_co'. Los teléfonos colombianos son celulares
+// (10 dígitos que empiezan por 3) o fijos (60 + indicativo + número), con el prefijo +57 opcional.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_CO_PATTERN = /^(\+?57)?(3\d{9}|60\d{8})$/;
+
+// Formato general de los campos de tipo PHONE: de 7 a 15 dígitos con el prefijo '+' opcional.
+const PHONE_PATTERN = /^\+?\d{7,15}$/;
+
+// Reglas de validación admitidas y el tipo de valor que espera cada una.
+const RULE_TYPES = {
+  required: 'boolean',
+  min_length: 'integer',
+  max_length: 'integer',
+  min: 'number',
+  max: 'number',
+  pattern: 'regex',
+  email: 'boolean',
+  phone_co: 'boolean',
+  min_date: 'date',
+  max_date: 'date',
+  unique: 'boolean',
+};
+
+// Valida la definición de las reglas de un campo. Devuelve un mensaje de error o null.
+function validateRuleSet(fieldName, rules) {
+  if (rules === null) {
+    return null;
+  }
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    return `Las reglas de validación del campo ${fieldName} deben ser un objeto`;
+  }
+
+  for (const [rule, value] of Object.entries(rules)) {
+    const expected = RULE_TYPES[rule];
+    if (!expected) {
+      return `Regla de validación desconocida en el campo ${fieldName}: ${rule}`;
+    }
+
+    let valid;
+    switch (expected) {
+      case 'boolean':
+        valid = typeof value === 'boolean';
+        break;
+      case 'integer':
+        valid = Number.isInteger(value) && value >= 0;
+        break;
+      case 'number':
+        valid = typeof value === 'number' && Number.isFinite(value);
+        break;
+      case 'date':
+        valid = typeof value === 'string' && !Number.isNaN(Date.parse(value));
+        break;
+      case 'regex':
+        try {
+          valid = typeof value === 'string' && Boolean(new RegExp(value));
+        } catch (error) {
+          valid = false;
+        }
+        break;
+      default:
+        valid = false;
+    }
+
+    if (!valid) {
+      return `Valor no válido para la regla ${rule} del campo ${fieldName}`;
+    }
+  }
+
+  return null;
+}
+
+// Indica si un valor se considera vacío para la regla 'required'.
+function isEmptyValue(value) {
+  if (value === null || value === undefined) {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  return String(value).trim() === '';
+}
+
+// Convierte el valor de un campo MULTISELECT o TEXT[] en un arreglo. Acepta arreglos, texto separado
+// por ';' o un arreglo JSON en texto.
+function toMultiselectValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) {
+        return parsed.map(String);
+      }
+    } catch (error) {
+      // No es un arreglo JSON: se trata como texto separado por ';'.
+    }
+  }
+  return String(value)
+    .split(';')
+    .map((item) => item.trim())
+    .filter((item) => item !== '');
+}
+
+// Verifica que los valores de los campos SELECT/MULTISELECT pertenezcan a su lista de opciones activas.
+// Devuelve los datos normalizados (los MULTISELECT como arreglo) y la lista de errores por campo.
+async function checkOptionValues(tableName, data, { metadataMap } = {}) {
+  const metadata = metadataMap || (await getFieldMetadataMap(tableName));
+  const normalized = { ...data };
+  const errors = [];
+
+  for (const [field, value] of Object.entries(data)) {
+    const fieldMetadata = metadata[field];
+    if (!fieldMetadata || !SELECT_TYPES.includes(fieldMetadata.field_type)) {
+      continue;
+    }
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+
+    const values = fieldMetadata.field_type === 'MULTISELECT' ? toMultiselectValue(value) : [String(value)];
+    if (fieldMetadata.field_type === 'MULTISELECT') {
+      normalized[field] = values;
+    }
+
+    const allowed = getActiveOptions(fieldMetadata).map((option) => option.value);
+    const invalid = values.filter((item) => !allowed.includes(item));
+    if (invalid.length > 0) {
+      errors.push({
+        field,
+        rule: 'options',
+        value: invalid,
+        message: `Valor no permitido para el campo ${field}: ${invalid.join(', ')}`,
+      });
+    }
+  }
+
+  return { data: normalized, errors };
+}
+
+// Convierte un valor de coordenadas en { lat, lng }. Acepta 'lat,lng', [lat, lng], { lat, lng },
+// { latitude, longitude } o el mismo objeto en JSON. Devuelve null si el valor no es válido.
+function toGeoPoint(value) {
+  let point = value;
+  if (typeof point === 'string') {
+    const text = point.trim();
+    if (text.startsWith('{') || text.startsWith('[')) {
+      try {
+        point = JSON.parse(text);
+      } catch (error) {
+        return null;
+      }
+    } else {
+      point = text.split(',');
+    }
+  }
+
+  let lat;
+  let lng;
+  if (Array.isArray(point) && point.length === 2) {
+    [lat, lng] = point;
+  } else if (point && typeof point === 'object') {
+    lat = point.lat !== undefined ? point.lat : point.latitude;
+    lng = point.lng !== undefined ? point.lng : point.lon !== undefined ? point.lon : point.longitude;
+  }
+
+  lat = Number(typeof lat === 'string' ? lat.trim() : lat);
+  lng = Number(typeof lng === 'string' ? lng.trim() : lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return { lat, lng };
+}
+
+// Normaliza y valida el valor (no vacío) de un campo según su tipo registrado en los metadatos.
+// Devuelve { value } con el valor normalizado o { error: { rule, message } }.
+function normalizeTypedValue(field, fieldType, value) {
+  switch (fieldType) {
+    case 'EMAIL': {
+      const text = String(value).trim();
+      return EMAIL_PATTERN.test(text)
+        ? { value: text }
+        : { error: { rule: 'email', message: `El campo ${field} debe ser un correo electrónico válido` } };
+    }
+    case 'PHONE': {
+      const text = String(value).trim();
+      return PHONE_PATTERN.test(text.replace(/[\s().-]/g, ''))
+        ? { value: text }
+        : { error: { rule: 'phone', message: `El campo ${field} debe ser un número de teléfono válido` } };
+    }
+    case 'URL': {
+      const text = String(value).trim();
+      try {
+        const url = new URL(text);
+        if (url.protocol === 'http:' || url.protocol === 'https:') {
+          return { value: text };
+        }
+      } catch (error) {
+        // Se reporta como URL no válida.
+      }
+      return { error: { rule: 'url', message: `El campo ${field} debe ser una URL válida (http o https)` } };
+    }
+    case 'GEO_POINT': {
+      const point = toGeoPoint(value);
+      return point
+        ? { value: point }
+        : { error: { rule: 'geo_point', message: `El campo ${field} debe tener coordenadas válidas (latitud, longitud)` } };
+    }
+    case 'JSONB': {
+      if (typeof value !== 'string') {
+        return { value };
+      }
+      try {
+        return { value: JSON.parse(value) };
+      } catch (error) {
+        return { error: { rule: 'json', message: `El campo ${field} debe contener un JSON válido` } };
+      }
+    }
+    case 'TEXT[]':
+      return { value: toMultiselectValue(value) };
+    default:
+      return { value };
+  }
+}
+
+// Aplica las reglas de formato de un campo (todas excepto 'required' y 'unique') a un valor no vacío.
+// Devuelve el primer error encontrado o null.
+function checkValueRules(field, value, rules) {
+  const text = String(value).trim();
+
+  if (rules.min_length !== undefined && text.length < rules.min_length) {
+    return { rule: 'min_length', message: `El campo ${field} debe tener al menos ${rules.min_length} caracteres` };
+  }
+  if (rules.max_length !== undefined && text.length > rules.max_length) {
+    return { rule: 'max_length', message: `El campo ${field} debe tener como máximo ${rules.max_length} caracteres` };
+  }
+
+  if (rules.min !== undefined || rules.max !== undefined) {
+    const number = Number(text);
+    if (Number.isNaN(number)) {
+      return { rule: rules.min !== undefined ? 'min' : 'max', message: `El campo ${field} debe ser un número` };
+    }
+    if (rules.min !== undefined && number < rules.min) {
+      return { rule: 'min', message: `El campo ${field} debe ser mayor o igual a ${rules.min}` };
+    }
+    if (rules.max !== undefined && number > rules.max) {
+      return { rule: 'max', message: `El campo ${field} debe ser menor o igual a ${rules.max}` };
+    }
+  }
+
+  if (rules.pattern && !new RegExp(rules.pattern).test(text)) {
+    return { rule: 'pattern', message: `El campo ${field} no tiene el formato esperado` };
+  }
+  if (rules.email && !EMAIL_PATTERN.test(text)) {
+    return { rule: 'email', message: `El campo ${field} debe ser un correo electrónico válido` };
+  }
+  if (rules.phone_co && !PHONE_CO_PATTERN.test(text.replace(/[\s()-]/g, ''))) {
+    return { rule: 'phone_co', message: `El campo ${field} debe ser un teléfono colombiano válido` };
+  }
+
+  if (rules.min_date || rules.max_date) {
+    const date = value instanceof Date ? value : new Date(text);
+    if (Number.isNaN(date.getTime())) {
+      return { rule: rules.min_date ? 'min_date' : 'max_date', message: `El campo ${field} debe ser una fecha válida` };
+    }
+    if (rules.min_date && date < new Date(rules.min_date)) {
+      return { rule: 'min_date', message: `El campo ${field} debe ser posterior o igual a ${rules.min_date}` };
+    }
+    if (rules.max_date && date > new Date(rules.max_date)) {
+      return { rule: 'max_date', message: `El campo ${field} debe ser anterior o igual a ${rules.max_date}` };
+    }
+  }
+
+  return null;
+}
+
+// Verifica que ningún otro registro de la tabla tenga el mismo valor en el campo.
+async function isValueTaken(tableName, field, value, excludeIds, { transaction } = {}) {
+  const rows = await sequelize.query(
+    `SELECT id FROM "${tableName}"
+     WHERE "${field}"::text = :value
+     ${excludeIds.length > 0 ? 'AND id NOT IN (:excludeIds)' : ''}
+     LIMIT 1`,
+    {
+      replacements: { value: String(value), excludeIds },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  );
+  return rows.length > 0;
+}
+
+// Valida los datos de un registro según las opciones y las reglas de validación de sus campos.
+// - partial: solo se validan los campos enviados (actualizaciones); si es false, también se exigen
+//   los campos 'required' que no vienen en los datos (creaciones).
+// - recordIds: registros que se están actualizando, que no cuentan para la regla 'unique'.
+// Devuelve los datos normalizados y la lista de errores ({ field, rule, message }).
+async function validateRecord(
+  tableName,
+  data,
+  { metadataMap, partial = false, recordIds = [], transaction } = {}
+) {
+  const metadata = metadataMap || (await getFieldMetadataMap(tableName, { transaction }));
+  const { data: normalized, errors } = await checkOptionValues(tableName, data, { metadataMap: metadata });
+  const invalidFields = new Set(errors.map((error) => error.field));
+  const excludeIds = recordIds.filter((id) => id !== null && id !== undefined);
+
+  // Normalizar y validar los valores según el tipo de cada campo (EMAIL, PHONE, URL, GEO_POINT, JSONB, TEXT[]).
+  for (const [field, value] of Object.entries(normalized)) {
+    const fieldMetadata = metadata[field];
+    if (!fieldMetadata || invalidFields.has(field) || isEmptyValue(value)) {
+      continue;
+    }
+
+    const result = normalizeTypedValue(field, fieldMetadata.field_type, value);
+    if (result.error) {
+      errors.push({ field, ...result.error });
+      invalidFields.add(field);
+    } else {
+      normalized[field] = result.value;
+    }
+  }
+
+  for (const [field, fieldMetadata] of Object.entries(metadata)) {
+    // Los campos calculados son de solo lectura: se descartan de los datos y no tienen reglas que verificar.
+    if (fieldMetadata.field_type === COMPUTED_TYPE) {
+      delete normalized[field];
+      continue;
+    }
+
+    const rules = fieldMetadata.validation_rules;
+    if (!rules || invalidFields.has(field)) {
+      continue;
+    }
+
+    const provided = Object.prototype.hasOwnProperty.call(normalized, field);
+    if (!provided && partial) {
+      continue;
+    }
+
+    const value = normalized[field];
+    if (isEmptyValue(value)) {
+      if (rules.required) {
+        errors.push({ field, rule: 'required', message: `El campo ${field} es obligatorio` });
+      }
+      continue;
+    }
+
+    // Las reglas de formato no aplican a los valores compuestos (MULTISELECT, TEXT[], JSONB, GEO_POINT).
+    const isCompositeValue = typeof value === 'object' && !(value instanceof Date);
+    const ruleError = isCompositeValue ? null : checkValueRules(field, value, rules);
+    if (ruleError) {
+      errors.push({ field, ...ruleError });
+      continue;
+    }
+
+    if (rules.unique) {
+      // Un mismo valor no puede asignarse a varios registros a la vez (actualización masiva).
+      if (excludeIds.length > 1 || (await isValueTaken(tableName, field, value, excludeIds, { transaction }))) {
+        errors.push({ field, rule: 'unique', message: `Ya existe un registro con el mismo valor en el campo ${field}` });
+      }
+    }
+  }
+
+  return { data: normalized, errors };
+}
+
+// Busca valores repetidos dentro de un mismo lote de registros en los campos con la regla 'unique'.
+// Devuelve la lista de errores con el número de fila (comenzando en 1).
+function findDuplicateValues(rows, metadataMap) {
+  const errors = [];
+
+  for (const [field, fieldMetadata] of Object.entries(metadataMap)) {
+    const rules = fieldMetadata.validation_rules;
+    if (!rules || !rules.unique) {
+      continue;
+    }
+
+    const seen = new Map();
+    rows.forEach((row, index) => {
+      const value = row[field];
+      if (isEmptyValue(value)) {
+        return;
+      }
+      const key = String(value).trim();
+      if (seen.has(key)) {
+        errors.push({
+          row: index + 1,
+          field,
+          rule: 'unique',
+          message: `El valor del campo ${field} está repetido en la fila ${seen.get(key)}`,
+        });
+      } else {
+        seen.set(key, index + 1);
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  RULE_TYPES,
+  validateRuleSet,
+  toMultiselectValue,
+  checkOptionValues,
+  validateRecord,
+  findDuplicateValues,
+};
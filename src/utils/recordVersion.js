@@ -0,0 +1,109 @@
+// src/utils/recordVersion.js
+const { QueryTypes } = require('sequelize');
+const sequelize = require('./sequelize');
+const { quoteIdentifier } = require('./tableStructure');
+
+// Versión (ETag) de un registro: el ID de la última entrada de su historial y un hash de su contenido,
+// p. ej. "1532-9e107d9d372bb6826bd81d3542a419d6". El hash detecta también los cambios que no pasan por
+// el historial (cargas de CSV, actualizaciones masivas...); el ID del historial permite saber qué campos
+// cambiaron desde la versión que tenía el cliente.
+function formatEtag(historyId, hash) {
+  return `"${historyId || 0}-${hash}"`;
+}
+
+// Interpreta una versión recibida del cliente. Devuelve { historyId, hash } o null si no es válida.
+function parseEtag(value) {
+  const match = String(value).trim().replace(/^W\//, '').match(/^"?(\d+)-([0-9a-f]{32})"?$/);
+  return match ? { historyId: parseInt(match[1], 10), hash: match[2] } : null;
+}
+
+// Interpreta la cabecera If-Match. Devuelve undefined si no se envió, '*' si acepta cualquier versión,
+// { historyId, hash } con la versión esperada o null si no es válida.
+function parseIfMatch(header) {
+  if (header === undefined || String(header).trim() === '') {
+    return undefined;
+  }
+  if (String(header).trim() === '*') {
+    return '*';
+  }
+  return parseEtag(header);
+}
+
+// Expresión SQL del hash del contenido de un registro. 'alias' es el nombre (o alias) de la tabla en la consulta.
+function recordHashSql(alias) {
+  return `md5(${quoteIdentifier(alias)}::text)`;
+}
+
+// Obtiene la versión actual de varios registros. Devuelve un objeto { [id]: { etag, historyId, hash } }.
+async function getRecordVersions(tableName, recordIds, { transaction } = {}) {
+  if (recordIds.length === 0) {
+    return {};
+  }
+
+  const rows = await sequelize.query(
+    `SELECT t.id, ${recordHashSql('t')} AS hash,
+            (SELECT MAX(rh.id) FROM record_history rh
+             WHERE rh.table_name = :tableName AND rh.record_id = t.id) AS history_id
+     FROM ${quoteIdentifier(tableName)} t
+     WHERE t.id IN (:recordIds)`,
+    { replacements: { tableName, recordIds }, type: QueryTypes.SELECT, transaction }
+  );
+
+  return rows.reduce((acc, row) => {
+    const historyId = row.history_id ? parseInt(row.history_id, 10) : 0;
+    acc[row.id] = { etag: formatEtag(historyId, row.hash), historyId, hash: row.hash };
+    return acc;
+  }, {});
+}
+
+// Obtiene la versión actual de un registro, o null si no existe.
+async function getRecordVersion(tableName, recordId, { transaction } = {}) {
+  const versions = await getRecordVersions(tableName, [recordId], { transaction });
+  return versions[recordId] || null;
+}
+
+// Compara la versión esperada por el cliente con la actual. Devuelve null si coinciden o la descripción
+// del conflicto: la versión actual, los campos que cambiaron desde la versión del cliente (según el
+// historial) y, de ellos, los que el cliente intenta modificar.
+async function findVersionConflict(tableName, recordId, expected, fieldNames, { transaction } = {}) {
+  const current = await getRecordVersion(tableName, recordId, { transaction });
+  if (!current || expected === '*' || expected.hash === current.hash) {
+    return null;
+  }
+
+  const changes = await sequelize.query(
+    `SELECT rh.field_name, rh.old_value, rh.new_value, rh.created_at, rh.user_id, u.username
+     FROM record_history rh
+     LEFT JOIN users u ON u.id = rh.user_id
+     WHERE rh.table_name = :tableName
+       AND rh.record_id = :recordId
+       AND rh.id > :historyId
+       AND rh.change_type IN ('update', 'restore')
+       AND rh.field_name IS NOT NULL
+     ORDER BY rh.id ASC`,
+    {
+      replacements: { tableName, recordId, historyId: expected.historyId },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  );
+
+  const changedFields = [...new Set(changes.map((change) => change.field_name).filter(Boolean))];
+  return {
+    record_id: Number(recordId),
+    current_version: current.etag,
+    changed_fields: changedFields,
+    conflicting_fields: changedFields.filter((field) => fieldNames.includes(field)),
+    changes,
+  };
+}
+
+module.exports = {
+  formatEtag,
+  parseEtag,
+  parseIfMatch,
+  recordHashSql,
+  getRecordVersions,
+  getRecordVersion,
+  findVersionConflict,
+};
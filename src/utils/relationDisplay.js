@@ -0,0 +1,118 @@
+// src/utils/relationDisplay.js
+const { QueryTypes } = require('sequelize');
+const sequelize = require('./sequelize');
+const { getTableColumns } = require('./dynamicModel');
+const { quoteIdentifier } = require('./tableStructure');
+const { notDeletedCondition } = require('./recordTrash');
+
+// Referencias a columnas dentro de una plantilla: "{Nombre} {Apellidos} - {Numero de identificacion}".
+const TEMPLATE_REFERENCE_PATTERN = /\{([^{}]+)\}/g;
+
+// Columnas que se usan para mostrar el registro relacionado cuando la relación no tiene plantilla,
+// en orden de preferencia. Si la tabla no tiene ninguna, se usa la primera columna distinta de 'id'.
+const DEFAULT_DISPLAY_COLUMNS = ['nombre', 'name', 'title', 'descripcion', 'Estado'];
+
+// Devuelve las columnas que usa una plantilla. Una plantilla sin llaves es el nombre de una sola columna.
+function getTemplateColumns(template) {
+  const text = String(template);
+  if (!text.includes('{')) {
+    return [text.trim()];
+  }
+  return [...text.matchAll(TEMPLATE_REFERENCE_PATTERN)].map((match) => match[1].trim());
+}
+
+// Valida la plantilla ('display_template') y el orden ('display_sort', ya normalizado) de una clave foránea
+// contra las columnas de la tabla relacionada. Devuelve un mensaje de error o null.
+async function validateDisplaySettings(fieldName, { display_template, display_sort }, relatedTable) {
+  const hasTemplate = display_template !== undefined && display_template !== null;
+  const hasSort = display_sort !== undefined && display_sort !== null;
+  if (!hasTemplate && !hasSort) {
+    return null;
+  }
+  if (!relatedTable) {
+    return `El campo ${fieldName} no es una clave foránea y no admite plantilla ni orden de visualización`;
+  }
+
+  const columnNames = (await getTableColumns(relatedTable)).map((column) => column.column_name);
+
+  if (hasTemplate) {
+    if (typeof display_template !== 'string' || display_template.trim() === '') {
+      return `La plantilla de visualización del campo ${fieldName} debe ser un texto`;
+    }
+    const templateColumns = getTemplateColumns(display_template);
+    if (templateColumns.length === 0) {
+      return `La plantilla de visualización del campo ${fieldName} debe usar al menos una columna, p. ej. "{Nombre}"`;
+    }
+    const missing = templateColumns.filter((column) => !columnNames.includes(column));
+    if (missing.length > 0) {
+      return `La tabla ${relatedTable} no tiene las columnas usadas en la plantilla del campo ${fieldName}: ${missing.join(', ')}`;
+    }
+  }
+
+  if (hasSort) {
+    const missing = display_sort.map((entry) => entry.field).filter((column) => !columnNames.includes(column));
+    if (missing.length > 0) {
+      return `La tabla ${relatedTable} no tiene las columnas usadas en el orden del campo ${fieldName}: ${missing.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+// Texto que se muestra para un registro relacionado. Sin plantilla se usa la columna por defecto.
+// Si el resultado queda vacío se usa el ID del registro.
+function formatDisplayValue(record, template, columnNames) {
+  let text;
+  if (template && String(template).includes('{')) {
+    text = String(template)
+      .replace(TEMPLATE_REFERENCE_PATTERN, (match, column) => {
+        const value = record[column.trim()];
+        return value === null || value === undefined ? '' : String(value);
+      })
+      .replace(/\s+/g, ' ')
+      .trim();
+  } else {
+    const column = template
+      || DEFAULT_DISPLAY_COLUMNS.find((name) => columnNames.includes(name))
+      || columnNames.find((name) => name !== 'id')
+      || 'id';
+    const value = record[column];
+    text = value === null || value === undefined ? '' : String(value);
+  }
+
+  return text !== '' ? text : String(record.id);
+}
+
+// Obtiene las opciones de una clave foránea: los registros de la tabla relacionada como { id, displayValue },
+// con la plantilla y el orden configurados en los metadatos del campo (por defecto, ordenados por ID).
+// Los registros en la papelera no se ofrecen como opciones. Devuelve null si la tabla relacionada no existe.
+async function fetchRelatedOptions(relatedTable, fieldMetadata) {
+  const columnNames = (await getTableColumns(relatedTable)).map((column) => column.column_name);
+  if (columnNames.length === 0) {
+    return null;
+  }
+
+  const template = fieldMetadata ? fieldMetadata.display_template : null;
+  // Las columnas que ya no existen (p. ej. eliminadas después de configurar el orden) se ignoran.
+  const sort = ((fieldMetadata && fieldMetadata.display_sort) || []).filter((entry) => columnNames.includes(entry.field));
+  const orderBy = sort.length > 0
+    ? sort.map((entry) => `${quoteIdentifier(entry.field)} ${entry.direction === 'DESC' ? 'DESC' : 'ASC'}`).join(', ')
+    : quoteIdentifier('id');
+
+  const records = await sequelize.query(
+    `SELECT * FROM ${quoteIdentifier(relatedTable)} WHERE ${notDeletedCondition(relatedTable)} ORDER BY ${orderBy}`,
+    { type: QueryTypes.SELECT }
+  );
+
+  return records.map((record) => ({
+    id: record.id,
+    displayValue: formatDisplayValue(record, template, columnNames),
+  }));
+}
+
+module.exports = {
+  getTemplateColumns,
+  validateDisplaySettings,
+  formatDisplayValue,
+  fetchRelatedOptions,
+};
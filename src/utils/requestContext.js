@@ -0,0 +1,28 @@
+// src/utils/requestContext.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Contexto de la solicitud en curso (ID de la solicitud, IP y usuario autenticado), disponible en todas las
+// funciones que se ejecutan durante la solicitud sin tener que pasarlo como parámetro. Lo usa el registro
+// de auditoría para guardar quién hizo cada cambio y desde dónde.
+const storage = new AsyncLocalStorage();
+
+// Ejecuta 'callback' dentro de un nuevo contexto de solicitud.
+function runWithRequestContext(context, callback) {
+  return storage.run(context, callback);
+}
+
+// Devuelve el contexto de la solicitud en curso, o un objeto vacío fuera de una solicitud (tareas al iniciar
+// el servidor, scripts...).
+function getRequestContext() {
+  return storage.getStore() || {};
+}
+
+// Guarda en el contexto el usuario autenticado (el contenido del token JWT).
+function setRequestUser(user) {
+  const context = storage.getStore();
+  if (context) {
+    context.user = user;
+  }
+}
+
+module.exports = { runWithRequestContext, getRequestContext, setRequestUser };
@@ -0,0 +1,277 @@
+// src/utils/savedViews.js
+const { Op } = require('sequelize');
+const SavedView = require('../models/SavedView');
+const Role = require('../models/Role');
+const { getTableColumns } = require('./dynamicModel');
+const { getFieldMetadataMap } = require('./fieldMetadata');
+const { COMPUTED_TYPE } = require('./computedFields');
+const { FilterError, buildFilterClause, getFilterColumns } = require('./recordFilters');
+
+// Parámetro de la consulta de registros que aplica una vista guardada.
+const VIEW_PARAM = 'view_id';
+
+// Nombre de la vista que se crea al guardar las columnas visibles de un usuario sin vista por defecto.
+const DEFAULT_VIEW_NAME = 'Vista predeterminada';
+
+// Atributos de una vista que se pueden enviar al crearla o editarla.
+const VIEW_ATTRIBUTES = ['name', 'shared_role_ids', 'filters', 'sort', 'columns', 'is_default'];
+
+// Extrae los atributos de la vista recibidos en la solicitud y normaliza el orden y las columnas.
+// Solo se devuelven los atributos enviados, para no sobrescribir los demás al editar.
+function pickViewAttributes(body) {
+  const attributes = {};
+  for (const attribute of VIEW_ATTRIBUTES) {
+    if (body[attribute] !== undefined) {
+      attributes[attribute] = body[attribute];
+    }
+  }
+
+  // El orden se acepta también en el formato del parámetro 'sort' ("Apellidos,-id").
+  if (typeof attributes.sort === 'string') {
+    attributes.sort = attributes.sort.split(',').map((item) => item.trim()).filter(Boolean).map((item) => ({
+      column: item.replace(/^[-+]/, ''),
+      direction: item.startsWith('-') ? 'DESC' : 'ASC',
+    }));
+  }
+  if (Array.isArray(attributes.sort)) {
+    attributes.sort = attributes.sort.map((entry) => {
+      const raw = entry && typeof entry === 'object' ? entry : { column: entry };
+      return {
+        column: String(raw.column),
+        direction: String(raw.direction || 'ASC').toUpperCase() === 'DESC' ? 'DESC' : 'ASC',
+      };
+    });
+  }
+
+  // Las columnas se aceptan también como una lista de nombres (sin ancho).
+  if (Array.isArray(attributes.columns)) {
+    attributes.columns = attributes.columns.map((entry) => {
+      const raw = entry && typeof entry === 'object' ? entry : { name: entry };
+      return { name: String(raw.name), width: raw.width === undefined ? null : raw.width };
+    });
+  }
+
+  return attributes;
+}
+
+// Valida los atributos (ya normalizados) de una vista contra las columnas de la tabla.
+// Devuelve un mensaje de error o null.
+async function validateSavedView(tableName, attributes) {
+  if (attributes.name !== undefined && (typeof attributes.name !== 'string' || attributes.name.trim() === '')) {
+    return 'El nombre de la vista es requerido';
+  }
+
+  if (attributes.is_default !== undefined && typeof attributes.is_default !== 'boolean') {
+    return 'El atributo is_default debe ser true o false';
+  }
+
+  if (attributes.shared_role_ids !== undefined) {
+    const roleIds = attributes.shared_role_ids;
+    if (!Array.isArray(roleIds) || roleIds.some((roleId) => !Number.isInteger(roleId))) {
+      return 'shared_role_ids debe ser una lista de IDs de rol';
+    }
+    const roles = await Role.findAll({ where: { id: roleIds } });
+    const missing = roleIds.filter((roleId) => !roles.some((role) => role.id === roleId));
+    if (missing.length > 0) {
+      return `Los siguientes roles no existen: ${missing.join(', ')}`;
+    }
+  }
+
+  const fields = await getTableColumns(tableName);
+  const computedNames = Object.values(await getFieldMetadataMap(tableName))
+    .filter((metadata) => metadata.field_type === COMPUTED_TYPE)
+    .map((metadata) => metadata.field_name);
+  const columnNames = [...fields.map((field) => field.column_name), ...computedNames];
+
+  if (attributes.sort !== undefined) {
+    if (!Array.isArray(attributes.sort)) {
+      return 'El orden de la vista debe ser una lista de { column, direction }';
+    }
+    const missing = attributes.sort.map((entry) => entry.column).filter((column) => !columnNames.includes(column));
+    if (missing.length > 0) {
+      return `No se puede ordenar por las siguientes columnas porque no existen en la tabla: ${missing.join(', ')}`;
+    }
+  }
+
+  if (attributes.columns !== undefined) {
+    if (!Array.isArray(attributes.columns)) {
+      return 'Las columnas de la vista deben ser una lista de { name, width }';
+    }
+    const missing = attributes.columns.map((entry) => entry.name).filter((column) => !columnNames.includes(column));
+    if (missing.length > 0) {
+      return `Las siguientes columnas no existen en la tabla: ${missing.join(', ')}`;
+    }
+    const invalidWidth = attributes.columns.find(
+      (entry) => entry.width !== null && (!Number.isInteger(entry.width) || entry.width <= 0)
+    );
+    if (invalidWidth) {
+      return `El ancho de la columna ${invalidWidth.name} debe ser un entero positivo`;
+    }
+  }
+
+  // El filtro se valida construyendo la consulta, igual que en la consulta de registros.
+  if (attributes.filters !== undefined && attributes.filters !== null) {
+    try {
+      buildFilterClause({}, await getFilterColumns(tableName, fields), { baseFilter: attributes.filters });
+    } catch (error) {
+      if (error instanceof FilterError) {
+        return `Filtro de la vista no válido: ${error.message}`;
+      }
+      throw error;
+    }
+  }
+
+  return null;
+}
+
+// Cambia el nombre de una columna en un filtro de vista: recorre los grupos and / or / not y renombra las
+// condiciones de la columna. Como en buildFilterClause, el nombre se compara sin distinguir mayúsculas.
+function renameFilterColumn(node, oldName, newName) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return node;
+  }
+  const keys = Object.keys(node);
+  if (keys.length === 1 && (keys[0] === 'and' || keys[0] === 'or') && Array.isArray(node[keys[0]])) {
+    return { [keys[0]]: node[keys[0]].map((child) => renameFilterColumn(child, oldName, newName)) };
+  }
+  if (keys.length === 1 && keys[0] === 'not') {
+    return { not: renameFilterColumn(node.not, oldName, newName) };
+  }
+  return keys.reduce((acc, key) => {
+    acc[key.toLowerCase() === oldName.toLowerCase() ? newName : key] = node[key];
+    return acc;
+  }, {});
+}
+
+// Actualiza el filtro, el orden y las columnas de las vistas guardadas de una tabla al renombrar una columna.
+async function renameViewColumn(tableName, oldName, newName, { transaction } = {}) {
+  const views = await SavedView.findAll({ where: { table_name: tableName }, transaction });
+  for (const view of views) {
+    view.filters = renameFilterColumn(view.filters, oldName, newName);
+    view.sort = (view.sort || []).map((entry) => (entry.column === oldName ? { ...entry, column: newName } : entry));
+    view.columns = (view.columns || []).map((entry) => (entry.name === oldName ? { ...entry, name: newName } : entry));
+    if (view.changed()) {
+      await view.save({ transaction });
+    }
+  }
+}
+
+// Quita de un filtro de vista las condiciones de una columna eliminada. Los grupos que quedan vacíos se
+// descartan; devuelve null si no queda ninguna condición.
+function removeFilterColumn(node, columnName) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return node;
+  }
+  const keys = Object.keys(node);
+  if (keys.length === 1 && (keys[0] === 'and' || keys[0] === 'or') && Array.isArray(node[keys[0]])) {
+    const children = node[keys[0]].map((child) => removeFilterColumn(child, columnName)).filter(Boolean);
+    return children.length > 0 ? { [keys[0]]: children } : null;
+  }
+  if (keys.length === 1 && keys[0] === 'not') {
+    const child = removeFilterColumn(node.not, columnName);
+    return child ? { not: child } : null;
+  }
+  const remaining = keys.filter((key) => key.toLowerCase() !== columnName.toLowerCase());
+  if (remaining.length === 0) {
+    return null;
+  }
+  return remaining.reduce((acc, key) => {
+    acc[key] = node[key];
+    return acc;
+  }, {});
+}
+
+// Quita una columna eliminada del filtro, el orden y las columnas de las vistas guardadas de una tabla.
+async function removeViewColumn(tableName, columnName, { transaction } = {}) {
+  const views = await SavedView.findAll({ where: { table_name: tableName }, transaction });
+  for (const view of views) {
+    view.filters = removeFilterColumn(view.filters, columnName);
+    view.sort = (view.sort || []).filter((entry) => entry.column !== columnName);
+    view.columns = (view.columns || []).filter((entry) => entry.name !== columnName);
+    if (view.changed()) {
+      await view.save({ transaction });
+    }
+  }
+}
+
+// Condición de las vistas que puede usar un usuario: las propias y las compartidas con su rol.
+function visibleViewsWhere(user) {
+  return {
+    [Op.or]: [
+      { user_id: user.id },
+      { shared_role_ids: { [Op.contains]: [Number(user.role)] } },
+    ],
+  };
+}
+
+// Vistas de una tabla que puede usar un usuario, primero su vista por defecto.
+async function findVisibleViews(tableName, user) {
+  return SavedView.findAll({
+    where: { table_name: tableName, ...visibleViewsWhere(user) },
+    order: [['is_default', 'DESC'], ['name', 'ASC']],
+  });
+}
+
+// Busca una vista de la tabla que pueda usar el usuario. Devuelve null si no existe o no tiene acceso.
+async function findVisibleView(viewId, tableName, user) {
+  if (!Number.isInteger(Number(viewId))) {
+    return null;
+  }
+  return SavedView.findOne({
+    where: { id: Number(viewId), table_name: tableName, ...visibleViewsWhere(user) },
+  });
+}
+
+// Vista por defecto de un usuario para una tabla, o null.
+async function findDefaultView(tableName, userId) {
+  return SavedView.findOne({ where: { table_name: tableName, user_id: userId, is_default: true } });
+}
+
+// Quita la marca de vista por defecto de las demás vistas del propietario para la misma tabla.
+async function clearOtherDefaults(view, { transaction } = {}) {
+  await SavedView.update(
+    { is_default: false },
+    {
+      where: { table_name: view.table_name, user_id: view.user_id, is_default: true, id: { [Op.ne]: view.id } },
+      transaction,
+    }
+  );
+}
+
+// Aplica una vista a los parámetros de la consulta de registros: el orden y las columnas de la vista se usan
+// cuando la solicitud no indica 'sort' o 'fields'. Las columnas que ya no existen se ignoran.
+// Con 'cursor' no se aplica el orden de la vista: la paginación por cursor solo admite el orden por ID.
+// El filtro de la vista no se incluye aquí: se pasa como 'baseFilter' a buildFilterClause.
+function applyViewToQuery(view, query, columnNames) {
+  const viewQuery = { ...query };
+
+  if (query.sort === undefined && (query.cursor === undefined || query.cursor === '')) {
+    const sort = (view.sort || []).filter((entry) => columnNames.includes(entry.column));
+    if (sort.length > 0) {
+      viewQuery.sort = sort.map((entry) => `${entry.direction === 'DESC' ? '-' : ''}${entry.column}`).join(',');
+    }
+  }
+
+  if (query.fields === undefined) {
+    const fields = (view.columns || []).map((entry) => entry.name).filter((name) => columnNames.includes(name));
+    if (fields.length > 0) {
+      viewQuery.fields = fields.join(',');
+    }
+  }
+
+  return viewQuery;
+}
+
+module.exports = {
+  VIEW_PARAM,
+  DEFAULT_VIEW_NAME,
+  pickViewAttributes,
+  validateSavedView,
+  findVisibleViews,
+  findVisibleView,
+  findDefaultView,
+  clearOtherDefaults,
+  applyViewToQuery,
+  renameViewColumn,
+  removeViewColumn,
+};
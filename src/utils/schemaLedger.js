@@ -0,0 +1,138 @@
+// src/utils/schemaLedger.js
+const { QueryTypes } = require('sequelize');
+const sequelize = require('./sequelize');
+const SchemaChange = require('../models/SchemaChange');
+const { mapDataType, normalizeFieldType } = require('./fieldTypes');
+const { recordAudit } = require('./audit');
+
+// Normaliza la definición de un campo recibida en la solicitud para guardarla en el historial.
+function toFieldDefinition(field) {
+  const definition = {
+    name: field.name,
+    type: normalizeFieldType(field.type),
+    allow_null: field.allow_null !== false,
+  };
+
+  if (definition.type === 'FOREIGN_KEY') {
+    definition.relatedTable = field.relatedTable;
+    definition.relatedColumn = field.relatedColumn || 'id';
+  }
+
+  if (definition.type === 'COMPUTED') {
+    definition.expression = field.expression;
+  }
+
+  return definition;
+}
+
+// Registra un cambio de esquema con el siguiente número de versión de la tabla, y el evento correspondiente
+// en el registro de auditoría. Debe llamarse dentro de la misma transacción que el DDL que registra: el
+// bloqueo por tabla se mantiene hasta el final de la transacción, de modo que dos cambios simultáneos
+// sobre la misma tabla no obtengan el mismo número de versión.
+async function recordSchemaChange(
+  { tableName, operation, columnName, definition, previousDefinition, userId },
+  { transaction } = {}
+) {
+  await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:tableName))', {
+    replacements: { tableName },
+    transaction,
+  });
+
+  const lastVersion = await SchemaChange.max('version', {
+    where: { table_name: tableName },
+    transaction,
+  });
+
+  const change = await SchemaChange.create(
+    {
+      table_name: tableName,
+      version: (lastVersion || 0) + 1,
+      operation,
+      column_name: columnName || null,
+      definition: definition || null,
+      previous_definition: previousDefinition || null,
+      user_id: userId || null,
+    },
+    { transaction }
+  );
+
+  await recordAudit({
+    scope: 'schema',
+    tableName,
+    changeType: operation,
+    fieldName: columnName || null,
+    oldValue: previousDefinition || null,
+    newValue: definition || null,
+    description: `Cambio de esquema ${operation} (versión ${change.version})`,
+    userId: userId || null,
+    transaction,
+  });
+
+  return change;
+}
+
+// Obtiene el último cambio que aún no ha sido revertido para una tabla.
+async function getLastActiveChange(tableName, { transaction } = {}) {
+  return SchemaChange.findOne({
+    where: { table_name: tableName, rolled_back: false },
+    order: [['version', 'DESC']],
+    transaction,
+  });
+}
+
+// Describe una columna existente con el mismo formato que usan createTable y editTable,
+// para poder guardarla en el historial y recrearla si hay que revertir.
+async function describeColumn(tableName, columnName, { transaction } = {}) {
+  const [column] = await sequelize.query(
+    `
+    SELECT
+      c.column_name,
+      c.data_type,
+      c.numeric_precision,
+      c.numeric_scale,
+      c.is_nullable,
+      ccu.table_name AS foreign_table_name,
+      ccu.column_name AS foreign_column_name
+    FROM information_schema.columns c
+    LEFT JOIN (
+      information_schema.key_column_usage kcu
+      JOIN information_schema.table_constraints tc
+        ON kcu.constraint_name = tc.constraint_name
+        AND tc.constraint_type = 'FOREIGN KEY'
+    )
+      ON c.table_name = kcu.table_name
+      AND c.column_name = kcu.column_name
+    LEFT JOIN information_schema.constraint_column_usage ccu
+      ON tc.constraint_name = ccu.constraint_name
+    WHERE c.table_schema = 'public'
+      AND c.table_name = :tableName
+      AND c.column_name = :columnName
+    `,
+    {
+      replacements: { tableName, columnName },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  );
+
+  if (!column) {
+    return null;
+  }
+
+  const definition = {
+    name: column.column_name,
+    type: column.foreign_table_name
+      ? 'FOREIGN_KEY'
+      : mapDataType(column.data_type, { precision: column.numeric_precision, scale: column.numeric_scale }),
+    allow_null: column.is_nullable === 'YES',
+  };
+
+  if (column.foreign_table_name) {
+    definition.relatedTable = column.foreign_table_name;
+    definition.relatedColumn = column.foreign_column_name;
+  }
+
+  return definition;
+}
+
+module.exports = { toFieldDefinition, recordSchemaChange, getLastActiveChange, describeColumn };
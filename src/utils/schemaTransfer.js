@@ -0,0 +1,452 @@
+// src/utils/schemaTransfer.js
+const { DataTypes, QueryTypes } = require('sequelize');
+const sequelize = require('./sequelize');
+const TablesMetadata = require('../models/TablesMetadata');
+const InscriptionStructure = require('../models/InscriptionStructure');
+const FieldPreference = require('../models/FieldPreference')(sequelize, DataTypes);
+const { FOREIGN_KEY_ACTIONS, quoteIdentifier, describeTable, buildCreateTable } = require('./tableStructure');
+const { listIndexes, findUniqueViolations, buildIndexSql } = require('./tableIndexes');
+const { METADATA_ATTRIBUTES, saveFieldMetadata } = require('./fieldMetadata');
+const { getModules, matchTableModule, registerTable } = require('./tableRegistry');
+const { recordSchemaChange, describeColumn } = require('./schemaLedger');
+const { syncSearchIndex } = require('./recordSearch');
+
+// Identificador y versión del formato de exportación. La importación rechaza documentos de otro formato.
+const SCHEMA_FORMAT = 'impulso-local/table-schema';
+const SCHEMA_VERSION = 1;
+
+// Atributos del registro de la tabla que se exportan. 'owner_id' no se exporta porque los IDs de
+// usuario no coinciden entre bases de datos.
+const EXPORTED_REGISTRY_ATTRIBUTES = ['is_primary', 'display_name', 'description', 'icon', 'color', 'sort_order'];
+
+// Tipos de PostgreSQL admitidos en la importación, tal como los devuelve format_type(),
+// p. ej. 'character varying(255)', 'numeric(12,2)', 'timestamp with time zone', 'text[]'.
+const SQL_TYPE_PATTERN = /^[a-z][a-z0-9 ]*(\(\d+(,\d+)?\))?( with(out)? time zone)?(\[\])?$/i;
+
+// Expresiones que se admiten como valor por defecto además de los literales.
+const DEFAULT_EXPRESSIONS = {
+  'now()': 'now()',
+  current_timestamp: 'CURRENT_TIMESTAMP',
+  current_date: 'CURRENT_DATE',
+  true: 'true',
+  false: 'false',
+};
+
+// Literales de texto tal como los exporta PostgreSQL, con una conversión de tipo opcional
+// ('activo'::character varying, '{}'::text[]), y literales numéricos.
+const STRING_DEFAULT_PATTERN = /^'((?:[^']|'')*)'(::[a-z][a-z0-9 ]*(\[\])?)?$/i;
+const NUMERIC_DEFAULT_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Exporta la definición portable de una tabla: columnas, claves foráneas, índices, registro,
+// metadatos de los campos y preferencias de columnas. Devuelve null si la tabla no existe.
+async function exportTableSchema(tableName) {
+  const structure = await describeTable(tableName);
+  if (!structure) {
+    return null;
+  }
+
+  const metadata = await TablesMetadata.findOne({ where: { table_name: tableName } });
+  const fields = await InscriptionStructure.findAll({ where: { table_name: tableName }, order: [['field_name', 'ASC']] });
+  const preference = await FieldPreference.findOne({ where: { table_name: tableName } });
+  const indexes = await listIndexes(tableName);
+  const tableModule = matchTableModule(tableName, await getModules());
+
+  return {
+    table_name: tableName,
+    module: tableModule ? tableModule.key : null,
+    registry: EXPORTED_REGISTRY_ATTRIBUTES.reduce((acc, attribute) => {
+      acc[attribute] = metadata ? metadata[attribute] : null;
+      return acc;
+    }, {}),
+    columns: structure.columns.map((column) => ({
+      name: column.name,
+      type: column.sql_type,
+      allow_null: column.allow_null,
+      // Las secuencias pertenecen a la base de datos de origen; 'id' se recrea como SERIAL.
+      default_value: column.default_value && !column.default_value.startsWith('nextval(') ? column.default_value : null,
+    })),
+    foreign_keys: structure.foreignKeys.map((foreignKey) => ({
+      column_name: foreignKey.column_name,
+      related_table: foreignKey.related_table,
+      related_column: foreignKey.related_column,
+      on_update: FOREIGN_KEY_ACTIONS[foreignKey.update_action],
+      on_delete: FOREIGN_KEY_ACTIONS[foreignKey.delete_action],
+    })),
+    // Solo los índices sobre columnas; la clave primaria y los índices de expresiones no se exportan.
+    indexes: indexes
+      .filter((index) => !index.is_primary && !index.has_expressions)
+      .map((index) => ({ name: index.name, columns: index.columns, unique: index.is_unique })),
+    fields: fields.map((field) =>
+      ['field_name', 'field_type', ...METADATA_ATTRIBUTES].reduce((acc, attribute) => {
+        acc[attribute] = field[attribute];
+        return acc;
+      }, {})
+    ),
+    field_preferences: preference ? preference.visible_columns : null,
+  };
+}
+
+// Exporta varias tablas en un documento con el formato de importación.
+async function exportSchema(tableNames) {
+  const tables = [];
+  for (const tableName of tableNames) {
+    const table = await exportTableSchema(tableName);
+    if (table) {
+      tables.push(table);
+    }
+  }
+
+  return {
+    format: SCHEMA_FORMAT,
+    version: SCHEMA_VERSION,
+    exported_at: new Date().toISOString(),
+    tables,
+  };
+}
+
+// Convierte el valor por defecto de una columna del documento en SQL. Solo se admiten literales, que se
+// escapan con sequelize.escape (la conversión de tipo se omite: PostgreSQL la deduce de la columna), y las
+// expresiones de DEFAULT_EXPRESSIONS. Devuelve undefined si la columna no tiene valor por defecto y null
+// si el valor no se admite.
+function defaultValueSql(value) {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return Number.isFinite(value) || typeof value === 'boolean' ? sequelize.escape(value) : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const expression = value.trim();
+  if (DEFAULT_EXPRESSIONS[expression.toLowerCase()]) {
+    return DEFAULT_EXPRESSIONS[expression.toLowerCase()];
+  }
+  if (NUMERIC_DEFAULT_PATTERN.test(expression)) {
+    return sequelize.escape(Number(expression));
+  }
+  const match = expression.match(STRING_DEFAULT_PATTERN);
+  return match ? sequelize.escape(match[1].replace(/''/g, "'")) : null;
+}
+
+// Valida la forma de un documento de importación. Devuelve un mensaje de error o null.
+function validateSchemaDocument(schema) {
+  if (!schema || schema.format !== SCHEMA_FORMAT || schema.version !== SCHEMA_VERSION) {
+    return `El documento debe tener el formato ${SCHEMA_FORMAT} versión ${SCHEMA_VERSION}`;
+  }
+  if (!Array.isArray(schema.tables) || schema.tables.length === 0) {
+    return 'El documento no contiene tablas';
+  }
+
+  const tableNames = new Set();
+  const actions = Object.values(FOREIGN_KEY_ACTIONS);
+
+  for (const table of schema.tables) {
+    if (!table || typeof table.table_name !== 'string' || table.table_name.trim() === '') {
+      return 'Todas las tablas deben tener un nombre';
+    }
+    if (tableNames.has(table.table_name)) {
+      return `La tabla ${table.table_name} está repetida en el documento`;
+    }
+    tableNames.add(table.table_name);
+
+    if (!Array.isArray(table.columns) || !table.columns.some((column) => column && column.name === 'id')) {
+      return `La tabla ${table.table_name} debe incluir la columna id`;
+    }
+
+    const columnNames = new Set();
+    for (const column of table.columns) {
+      if (!column || typeof column.name !== 'string' || column.name.trim() === '' || columnNames.has(column.name)) {
+        return `La tabla ${table.table_name} tiene columnas sin nombre o repetidas`;
+      }
+      columnNames.add(column.name);
+
+      if (typeof column.type !== 'string' || !SQL_TYPE_PATTERN.test(column.type)) {
+        return `Tipo de dato no válido en ${table.table_name}.${column.name}: ${column.type}`;
+      }
+      if (defaultValueSql(column.default_value) === null) {
+        return `Valor por defecto no válido en ${table.table_name}.${column.name}: use un literal o ${Object.values(DEFAULT_EXPRESSIONS).join(', ')}`;
+      }
+    }
+
+    for (const foreignKey of table.foreign_keys || []) {
+      if (!foreignKey || !columnNames.has(foreignKey.column_name) || typeof foreignKey.related_table !== 'string') {
+        return `Clave foránea no válida en la tabla ${table.table_name}`;
+      }
+      if ((foreignKey.on_update && !actions.includes(foreignKey.on_update))
+        || (foreignKey.on_delete && !actions.includes(foreignKey.on_delete))) {
+        return `Acción no válida en la clave foránea ${table.table_name}.${foreignKey.column_name}`;
+      }
+    }
+
+    for (const index of table.indexes || []) {
+      if (!index || typeof index.name !== 'string' || !Array.isArray(index.columns) || index.columns.length === 0
+        || index.columns.some((column) => !columnNames.has(column))) {
+        return `Índice no válido en la tabla ${table.table_name}`;
+      }
+    }
+
+    if (table.fields !== undefined && !Array.isArray(table.fields)) {
+      return `Los metadatos de los campos de la tabla ${table.table_name} deben ser una lista`;
+    }
+  }
+
+  return null;
+}
+
+// Definición de una columna para ADD COLUMN a partir de su descripción en el documento.
+function columnDefinitionSql(column, { allowNull = column.allow_null } = {}) {
+  let definition = `${quoteIdentifier(column.name)} ${column.type}`;
+  const defaultSql = defaultValueSql(column.default_value);
+  if (defaultSql) {
+    definition += ` DEFAULT ${defaultSql}`;
+  }
+  if (allowNull === false) {
+    definition += ' NOT NULL';
+  }
+  return definition;
+}
+
+// Sentencia que agrega una clave foránea descrita en el documento.
+function foreignKeySql(tableName, foreignKey) {
+  return `ALTER TABLE ${quoteIdentifier(tableName)} ADD FOREIGN KEY (${quoteIdentifier(foreignKey.column_name)}) `
+    + `REFERENCES ${quoteIdentifier(foreignKey.related_table)} (${quoteIdentifier(foreignKey.related_column || 'id')}) `
+    + `ON UPDATE ${foreignKey.on_update || 'NO ACTION'} ON DELETE ${foreignKey.on_delete || 'NO ACTION'}`;
+}
+
+// Compara el documento con la base de datos y calcula el DDL necesario para crear o actualizar cada tabla.
+// Las sentencias se ordenan en tres fases (tablas y columnas, claves foráneas, índices) para que las
+// claves foráneas entre tablas del mismo documento se creen cuando todas las tablas ya existen.
+// Nunca se eliminan columnas, claves foráneas ni índices: las diferencias de ese tipo se informan como advertencias.
+// Devuelve { tables: [{ table_name, action, statements, warnings }], statements, errors }.
+async function buildImportPlan(schema) {
+  const modules = await getModules();
+  const importedTables = schema.tables.map((table) => table.table_name);
+  const phases = { structure: [], foreignKeys: [], indexes: [] };
+  const errors = [];
+  const tables = [];
+
+  for (const table of schema.tables) {
+    const { table_name: tableName } = table;
+    const entry = { table_name: tableName, action: 'unchanged', statements: [], warnings: [] };
+    tables.push(entry);
+
+    const add = (phase, statement) => {
+      phases[phase].push(statement);
+      entry.statements.push(statement);
+    };
+
+    if (!matchTableModule(tableName, modules)) {
+      errors.push(`La tabla ${tableName} no tiene el prefijo de un módulo registrado`);
+      continue;
+    }
+
+    // Las tablas relacionadas deben existir en la base de datos o venir en el mismo documento.
+    for (const foreignKey of table.foreign_keys || []) {
+      if (!importedTables.includes(foreignKey.related_table) && !(await describeTable(foreignKey.related_table))) {
+        errors.push(`La tabla ${foreignKey.related_table}, referenciada por ${tableName}.${foreignKey.column_name}, no existe`);
+      }
+    }
+
+    const current = await describeTable(tableName);
+
+    // Tabla nueva: se crea completa.
+    if (!current) {
+      entry.action = 'create';
+      const columns = table.columns.map((column) => ({
+        name: column.name,
+        sql_type: column.type,
+        allow_null: column.allow_null !== false,
+        default_value: defaultValueSql(column.default_value) || null,
+      }));
+      for (const statement of buildCreateTable(tableName, { columns, foreignKeys: [] })) {
+        add('structure', statement);
+      }
+      for (const foreignKey of table.foreign_keys || []) {
+        add('foreignKeys', foreignKeySql(tableName, foreignKey));
+      }
+      for (const index of table.indexes || []) {
+        add('indexes', buildIndexSql(tableName, index));
+      }
+      continue;
+    }
+
+    // Tabla existente: se agregan o ajustan las columnas, claves foráneas e índices que difieren.
+    const [{ count }] = await sequelize.query(
+      `SELECT COUNT(*)::int AS count FROM ${quoteIdentifier(tableName)}`,
+      { type: QueryTypes.SELECT }
+    );
+    const currentColumns = current.columns.reduce((acc, column) => {
+      acc[column.name] = column;
+      return acc;
+    }, {});
+    const alterTable = `ALTER TABLE ${quoteIdentifier(tableName)}`;
+
+    for (const column of table.columns) {
+      if (column.name === 'id') {
+        continue;
+      }
+      const existing = currentColumns[column.name];
+      const quotedColumn = quoteIdentifier(column.name);
+
+      if (!existing) {
+        // Una columna obligatoria sin valor por defecto solo se puede agregar a una tabla vacía.
+        const requiresValue = column.allow_null === false && !defaultValueSql(column.default_value) && count > 0;
+        if (requiresValue) {
+          entry.warnings.push(`La columna ${column.name} se agrega como opcional porque la tabla tiene registros`);
+        }
+        add('structure', `${alterTable} ADD COLUMN ${columnDefinitionSql(column, { allowNull: requiresValue ? true : column.allow_null })}`);
+        continue;
+      }
+
+      if (existing.sql_type !== column.type) {
+        entry.warnings.push(`La columna ${column.name} cambia de ${existing.sql_type} a ${column.type}; los valores que no se puedan convertir harán fallar la importación`);
+        add('structure', `${alterTable} ALTER COLUMN ${quotedColumn} TYPE ${column.type} USING ${quotedColumn}::${column.type}`);
+      }
+      if ((existing.default_value || null) !== (column.default_value || null)) {
+        const defaultSql = defaultValueSql(column.default_value);
+        add('structure', defaultSql
+          ? `${alterTable} ALTER COLUMN ${quotedColumn} SET DEFAULT ${defaultSql}`
+          : `${alterTable} ALTER COLUMN ${quotedColumn} DROP DEFAULT`);
+      }
+      if (existing.allow_null !== (column.allow_null !== false)) {
+        add('structure', `${alterTable} ALTER COLUMN ${quotedColumn} ${column.allow_null === false ? 'SET' : 'DROP'} NOT NULL`);
+      }
+    }
+
+    for (const name of Object.keys(currentColumns)) {
+      if (!table.columns.some((column) => column.name === name)) {
+        entry.warnings.push(`La columna ${name} no está en el documento y no se elimina`);
+      }
+    }
+
+    for (const foreignKey of table.foreign_keys || []) {
+      const existing = current.foreignKeys.find((item) => item.column_name === foreignKey.column_name);
+      if (!existing) {
+        add('foreignKeys', foreignKeySql(tableName, foreignKey));
+      } else if (existing.related_table !== foreignKey.related_table) {
+        entry.warnings.push(`La columna ${foreignKey.column_name} ya referencia a ${existing.related_table} y no se modifica`);
+      }
+    }
+
+    const currentIndexes = await listIndexes(tableName);
+    for (const index of table.indexes || []) {
+      if (currentIndexes.some((item) => item.name === index.name)) {
+        continue;
+      }
+      if (index.unique && index.columns.every((column) => currentColumns[column])) {
+        const violations = await findUniqueViolations(tableName, index.columns, { limit: 1 });
+        if (violations.total > 0) {
+          errors.push(`No se puede crear la restricción única ${index.name}: ${violations.total} combinaciones de valores están repetidas en ${tableName}`);
+          continue;
+        }
+      }
+      add('indexes', buildIndexSql(tableName, index));
+    }
+
+    if (entry.statements.length > 0) {
+      entry.action = 'update';
+    }
+  }
+
+  return {
+    tables,
+    statements: [...phases.structure, ...phases.foreignKeys, ...phases.indexes],
+    errors,
+  };
+}
+
+// Aplica un plan de importación en una transacción: ejecuta el DDL y sincroniza el registro de las tablas,
+// los metadatos de los campos y las preferencias de columnas. Si una sentencia falla, no se aplica ningún cambio
+// y el error incluye la sentencia en 'statement'.
+async function applyImportPlan(schema, plan, { userId } = {}) {
+  await sequelize.transaction(async (transaction) => {
+    for (const statement of plan.statements) {
+      try {
+        await sequelize.query(statement, { transaction });
+      } catch (error) {
+        error.statement = statement;
+        throw error;
+      }
+    }
+
+    for (const table of schema.tables) {
+      const { table_name: tableName } = table;
+      const entry = plan.tables.find((item) => item.table_name === tableName);
+
+      // Registro de la tabla.
+      const metadata = await registerTable(tableName, {}, { transaction });
+      const registry = table.registry || {};
+      for (const attribute of EXPORTED_REGISTRY_ATTRIBUTES) {
+        if (registry[attribute] !== undefined) {
+          metadata[attribute] = registry[attribute];
+        }
+      }
+      await metadata.save({ transaction });
+
+      // Índice de búsqueda con las columnas de texto de la tabla creada o actualizada.
+      if (entry && entry.action !== 'unchanged') {
+        await syncSearchIndex(tableName, { transaction });
+      }
+
+      // Metadatos de los campos (etiquetas, opciones, reglas, campos calculados...).
+      for (const field of table.fields || []) {
+        const fieldMetadata = METADATA_ATTRIBUTES.reduce((acc, attribute) => {
+          if (field[attribute] !== undefined) {
+            acc[attribute] = field[attribute];
+          }
+          return acc;
+        }, {});
+        await saveFieldMetadata(tableName, field.field_name, field.field_type, fieldMetadata, { transaction });
+      }
+
+      // Preferencias de columnas visibles.
+      if (table.field_preferences) {
+        const [preference, created] = await FieldPreference.findOrCreate({
+          where: { table_name: tableName },
+          defaults: { visible_columns: table.field_preferences },
+          transaction,
+        });
+        if (!created) {
+          preference.visible_columns = table.field_preferences;
+          preference.updated_at = new Date();
+          await preference.save({ transaction });
+        }
+      }
+
+      // Historial de esquema: las tablas nuevas empiezan con 'create_table'; las actualizadas registran el DDL aplicado.
+      if (entry.action === 'create') {
+        const fieldDefinitions = [];
+        for (const column of table.columns) {
+          if (column.name !== 'id') {
+            fieldDefinitions.push(await describeColumn(tableName, column.name, { transaction }));
+          }
+        }
+        await recordSchemaChange({
+          tableName,
+          operation: 'create_table',
+          definition: { fields: fieldDefinitions, imported: true },
+          userId,
+        }, { transaction });
+      } else if (entry.action === 'update') {
+        await recordSchemaChange({
+          tableName,
+          operation: 'import_schema',
+          definition: { statements: entry.statements, warnings: entry.warnings },
+          userId,
+        }, { transaction });
+      }
+    }
+  });
+}
+
+module.exports = {
+  SCHEMA_FORMAT,
+  SCHEMA_VERSION,
+  exportTableSchema,
+  exportSchema,
+  validateSchemaDocument,
+  buildImportPlan,
+  applyImportPlan,
+};
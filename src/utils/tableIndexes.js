@@ -0,0 +1,113 @@
+// src/utils/tableIndexes.js
+const { QueryTypes } = require('sequelize');
+const sequelize = require('./sequelize');
+const { quoteIdentifier } = require('./tableStructure');
+
+// Nombre válido para un índice o restricción de PostgreSQL (máximo 63 caracteres).
+const INDEX_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,62}$/;
+
+// Genera el nombre por defecto de un índice a partir de la tabla y sus columnas,
+// con el mismo sufijo que usa PostgreSQL: '_key' para restricciones únicas e '_idx' para índices.
+function buildIndexName(tableName, columns, unique) {
+  const base = `${tableName}_${columns.join('_')}`
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '_')
+    .replace(/_+/g, '_');
+  const suffix = unique ? '_key' : '_idx';
+  return `${base.slice(0, 63 - suffix.length)}${suffix}`;
+}
+
+// Lista los índices de una tabla con sus columnas en orden. 'constraint_type' es 'p' para la clave
+// primaria, 'u' para las restricciones únicas y null para los índices creados con CREATE INDEX.
+// 'has_expressions' indica que el índice incluye expresiones además de (o en lugar de) columnas.
+async function listIndexes(tableName, { transaction } = {}) {
+  return sequelize.query(
+    `
+    SELECT
+      i.relname AS name,
+      ix.indisunique AS is_unique,
+      ix.indisprimary AS is_primary,
+      con.contype AS constraint_type,
+      array_remove(array_agg(a.attname::text ORDER BY k.ordinality), NULL) AS columns,
+      bool_or(k.attnum = 0) AS has_expressions,
+      pg_get_indexdef(ix.indexrelid) AS definition
+    FROM pg_index ix
+    JOIN pg_class i ON i.oid = ix.indexrelid
+    LEFT JOIN pg_constraint con
+      ON con.conindid = ix.indexrelid
+      AND con.conrelid = ix.indrelid
+      AND con.contype IN ('p', 'u')
+    CROSS JOIN LATERAL unnest(ix.indkey::int2[]) WITH ORDINALITY AS k(attnum, ordinality)
+    LEFT JOIN pg_attribute a
+      ON a.attrelid = ix.indrelid
+      AND a.attnum = k.attnum
+    WHERE ix.indrelid = to_regclass(quote_ident(:tableName))
+    GROUP BY i.relname, ix.indexrelid, ix.indisunique, ix.indisprimary, con.contype
+    ORDER BY ix.indisprimary DESC, i.relname
+    `,
+    { replacements: { tableName }, type: QueryTypes.SELECT, transaction }
+  );
+}
+
+// Busca los valores repetidos que impedirían crear una restricción única sobre las columnas indicadas.
+// Las filas con algún valor nulo no se consideran repetidas (igual que en PostgreSQL).
+// Devuelve { total, rows } donde cada fila tiene los valores repetidos, 'count' y los 'record_ids'.
+async function findUniqueViolations(tableName, columns, { transaction, limit = 100 } = {}) {
+  const quotedColumns = columns.map(quoteIdentifier);
+
+  const rows = await sequelize.query(
+    `
+    SELECT
+      ${quotedColumns.join(', ')},
+      COUNT(*)::int AS count,
+      array_agg(id ORDER BY id) AS record_ids,
+      COUNT(*) OVER ()::int AS total_groups
+    FROM ${quoteIdentifier(tableName)}
+    WHERE ${quotedColumns.map((column) => `${column} IS NOT NULL`).join(' AND ')}
+    GROUP BY ${quotedColumns.join(', ')}
+    HAVING COUNT(*) > 1
+    ORDER BY COUNT(*) DESC
+    LIMIT :limit
+    `,
+    { replacements: { limit }, type: QueryTypes.SELECT, transaction }
+  );
+
+  return {
+    total: rows.length > 0 ? rows[0].total_groups : 0,
+    rows: rows.map(({ total_groups, ...row }) => row),
+  };
+}
+
+// Construye la sentencia que crea una restricción única (unique = true) o un índice simple
+// sobre una o varias columnas.
+function buildIndexSql(tableName, { name, columns, unique }) {
+  const columnList = columns.map(quoteIdentifier).join(', ');
+  return unique
+    ? `ALTER TABLE ${quoteIdentifier(tableName)} ADD CONSTRAINT ${quoteIdentifier(name)} UNIQUE (${columnList})`
+    : `CREATE INDEX ${quoteIdentifier(name)} ON ${quoteIdentifier(tableName)} (${columnList})`;
+}
+
+// Crea una restricción única o un índice simple (ver buildIndexSql).
+async function createIndex(tableName, index, { transaction } = {}) {
+  await sequelize.query(buildIndexSql(tableName, index), { transaction });
+}
+
+// Elimina un índice obtenido con 'listIndexes'. Las restricciones únicas se eliminan como restricción
+// para no dejar la tabla con una restricción sin índice.
+async function dropIndex(tableName, index, { transaction } = {}) {
+  const sql = index.constraint_type
+    ? `ALTER TABLE ${quoteIdentifier(tableName)} DROP CONSTRAINT ${quoteIdentifier(index.name)}`
+    : `DROP INDEX ${quoteIdentifier(index.name)}`;
+
+  await sequelize.query(sql, { transaction });
+}
+
+module.exports = {
+  INDEX_NAME_PATTERN,
+  buildIndexName,
+  listIndexes,
+  findUniqueViolations,
+  buildIndexSql,
+  createIndex,
+  dropIndex,
+};
@@ -0,0 +1,172 @@
+// src/utils/tableRegistry.js
+const { QueryTypes } = require('sequelize');
+const sequelize = require('./sequelize');
+const TableModule = require('../models/TableModule');
+const TablesMetadata = require('../models/TablesMetadata');
+
+// Módulos que existían antes del registro. Se crean al iniciar el servidor si aún no están registrados.
+const DEFAULT_MODULES = [
+  {
+    key: 'inscription',
+    prefix: 'inscription_',
+    name: 'Inscripción',
+    related_modules: ['inscription'],
+    sort_order: 1,
+  },
+  {
+    key: 'provider',
+    prefix: 'provider_',
+    name: 'Proveedores',
+    related_modules: ['provider'],
+    sort_order: 2,
+  },
+  {
+    key: 'pi',
+    prefix: 'pi_',
+    name: 'Plan de Inversión',
+    related_modules: ['pi', 'inscription', 'provider'],
+    sort_order: 3,
+  },
+];
+
+// Clave del módulo del plan de inversión. Sus tablas guardan los registros por caracterización: se unen a
+// 'inscription_caracterizacion' en los listados y sus archivos y comentarios usan el ID de la caracterización.
+const PI_MODULE_KEY = 'pi';
+
+// Atributos del registro de una tabla que se pueden editar desde la API.
+const TABLE_REGISTRY_ATTRIBUTES = ['display_name', 'description', 'icon', 'color', 'sort_order', 'owner_id'];
+
+// Extrae de la solicitud los atributos del registro de una tabla que fueron enviados.
+function pickTableRegistryAttributes(body) {
+  const attributes = {};
+  for (const attribute of TABLE_REGISTRY_ATTRIBUTES) {
+    if (body[attribute] !== undefined) {
+      attributes[attribute] = body[attribute];
+    }
+  }
+  return attributes;
+}
+
+// Obtiene los módulos registrados, en su orden de presentación.
+async function getModules({ transaction } = {}) {
+  return TableModule.findAll({ order: [['sort_order', 'ASC'], ['key', 'ASC']], transaction });
+}
+
+// Busca en una lista de módulos el que corresponde a una tabla según su prefijo, o null si ninguno
+// la reconoce. Si varios prefijos coinciden, se usa el más largo.
+function matchTableModule(tableName, modules) {
+  if (typeof tableName !== 'string') {
+    return null;
+  }
+
+  return modules
+    .filter((item) => tableName.startsWith(item.prefix) && tableName.length > item.prefix.length)
+    .sort((a, b) => b.prefix.length - a.prefix.length)[0] || null;
+}
+
+// Obtiene el módulo registrado al que pertenece una tabla, o null si el nombre no tiene un prefijo registrado.
+async function getTableModule(tableName, { transaction } = {}) {
+  return matchTableModule(tableName, await getModules({ transaction }));
+}
+
+// Indica si una tabla pertenece al módulo con la clave indicada.
+async function isModuleTable(tableName, moduleKey, { transaction } = {}) {
+  const tableModule = await getTableModule(tableName, { transaction });
+  return Boolean(tableModule) && tableModule.key === moduleKey;
+}
+
+// Mensaje de error para nombres de tabla sin un prefijo registrado.
+async function getPrefixErrorMessage({ transaction } = {}) {
+  const prefixes = (await getModules({ transaction })).map((item) => item.prefix);
+  return `El nombre de la tabla debe empezar con uno de los prefijos registrados: ${prefixes.join(', ')}`;
+}
+
+// Indica si una tabla puede tener claves foráneas hacia otra según los módulos de ambas.
+async function canRelateTables(tableName, relatedTableName, { transaction } = {}) {
+  const tableModule = await getTableModule(tableName, { transaction });
+  const relatedModule = await getTableModule(relatedTableName, { transaction });
+  if (!tableModule || !relatedModule) {
+    return false;
+  }
+  return (tableModule.related_modules || []).includes(relatedModule.key);
+}
+
+// Registra una tabla en 'TablesMetadata' con su módulo. Si ya estaba registrada, completa el módulo.
+async function registerTable(tableName, attributes = {}, { transaction } = {}) {
+  const tableModule = await getTableModule(tableName, { transaction });
+  const [metadata, created] = await TablesMetadata.findOrCreate({
+    where: { table_name: tableName },
+    defaults: { ...attributes, module: tableModule ? tableModule.key : null },
+    transaction,
+  });
+
+  if (!created && !metadata.module && tableModule) {
+    metadata.module = tableModule.key;
+    await metadata.save({ transaction });
+  }
+
+  return metadata;
+}
+
+// Obtiene los nombres de las tablas existentes en la base de datos.
+async function listDatabaseTables() {
+  const tables = await sequelize.query(
+    `
+    SELECT table_name
+    FROM information_schema.tables
+    WHERE table_schema = 'public'
+    AND table_type = 'BASE TABLE'
+    `,
+    { type: QueryTypes.SELECT }
+  );
+  return tables.map((table) => table.table_name);
+}
+
+// Busca las tablas del sistema que empiezan con un prefijo: las tablas existentes que no pertenecen a ningún
+// módulo y las de los modelos de Sequelize. Un módulo con ese prefijo las convertiría en tablas dinámicas.
+async function findPrefixConflicts(prefix) {
+  const modules = await getModules();
+  const modelTables = Object.values(sequelize.models).map((model) => {
+    const tableName = model.getTableName();
+    return typeof tableName === 'string' ? tableName : tableName.tableName;
+  });
+
+  return [...new Set([...(await listDatabaseTables()), ...modelTables])]
+    .filter((tableName) => tableName.startsWith(prefix) && !matchTableModule(tableName, modules))
+    .sort();
+}
+
+// Crea los módulos por defecto que falten y registra en 'TablesMetadata' las tablas existentes
+// que aún no tienen registro o módulo. Se ejecuta al iniciar el servidor.
+async function ensureTableRegistry() {
+  for (const defaultModule of DEFAULT_MODULES) {
+    await TableModule.findOrCreate({ where: { key: defaultModule.key }, defaults: defaultModule });
+  }
+
+  const modules = await getModules();
+  let registered = 0;
+  for (const table_name of await listDatabaseTables()) {
+    if (matchTableModule(table_name, modules)) {
+      await registerTable(table_name);
+      registered++;
+    }
+  }
+
+  return registered;
+}
+
+module.exports = {
+  DEFAULT_MODULES,
+  PI_MODULE_KEY,
+  TABLE_REGISTRY_ATTRIBUTES,
+  pickTableRegistryAttributes,
+  getModules,
+  matchTableModule,
+  getTableModule,
+  isModuleTable,
+  getPrefixErrorMessage,
+  canRelateTables,
+  findPrefixConflicts,
+  registerTable,
+  ensureTableRegistry,
+};
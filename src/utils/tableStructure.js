@@ -0,0 +1,109 @@
+// src/utils/tableStructure.js
+const { QueryTypes } = require('sequelize');
+const sequelize = require('./sequelize');
+
+// Acciones ON UPDATE / ON DELETE de las claves foráneas según su código en pg_constraint.
+const FOREIGN_KEY_ACTIONS = {
+  a: 'NO ACTION',
+  r: 'RESTRICT',
+  c: 'CASCADE',
+  n: 'SET NULL',
+  d: 'SET DEFAULT',
+};
+
+// Escapa un identificador de PostgreSQL (nombre de tabla o columna) entre comillas dobles.
+const quoteIdentifier = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+// Describe la estructura física de una tabla: sus columnas con el tipo exacto de PostgreSQL
+// (p. ej. 'character varying(255)', 'numeric(10,2)'), nulabilidad y valor por defecto, y sus claves foráneas
+// ('update_action' / 'delete_action' usan los códigos de pg_constraint, ver FOREIGN_KEY_ACTIONS).
+// Devuelve null si la tabla no existe.
+async function describeTable(tableName, { transaction } = {}) {
+  const columns = await sequelize.query(
+    `
+    SELECT
+      a.attname AS name,
+      format_type(a.atttypid, a.atttypmod) AS sql_type,
+      NOT a.attnotnull AS allow_null,
+      pg_get_expr(d.adbin, d.adrelid) AS default_value
+    FROM pg_attribute a
+    LEFT JOIN pg_attrdef d
+      ON d.adrelid = a.attrelid
+      AND d.adnum = a.attnum
+    WHERE a.attrelid = to_regclass(quote_ident(:tableName))
+      AND a.attnum > 0
+      AND NOT a.attisdropped
+    ORDER BY a.attnum
+    `,
+    { replacements: { tableName }, type: QueryTypes.SELECT, transaction }
+  );
+
+  if (columns.length === 0) {
+    return null;
+  }
+
+  const foreignKeys = await sequelize.query(
+    `
+    SELECT
+      a.attname AS column_name,
+      ref.relname AS related_table,
+      ra.attname AS related_column,
+      con.confupdtype AS update_action,
+      con.confdeltype AS delete_action,
+      pg_get_constraintdef(con.oid) AS definition
+    FROM pg_constraint con
+    JOIN pg_class ref ON ref.oid = con.confrelid
+    JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = con.conkey[1]
+    JOIN pg_attribute ra ON ra.attrelid = con.confrelid AND ra.attnum = con.confkey[1]
+    WHERE con.conrelid = to_regclass(quote_ident(:tableName))
+      AND con.contype = 'f'
+    ORDER BY con.conname
+    `,
+    { replacements: { tableName }, type: QueryTypes.SELECT, transaction }
+  );
+
+  return { columns, foreignKeys };
+}
+
+// Construye las sentencias SQL que crean una tabla con la estructura obtenida de 'describeTable'.
+// La columna 'id' se crea como clave primaria con su propia secuencia; las claves foráneas conservan
+// su definición original (tabla y columna referenciadas, ON UPDATE / ON DELETE).
+function buildCreateTable(tableName, structure) {
+  const columnDefinitions = structure.columns.map((column) => {
+    if (column.name === 'id') {
+      return `${quoteIdentifier('id')} SERIAL PRIMARY KEY`;
+    }
+
+    let definition = `${quoteIdentifier(column.name)} ${column.sql_type}`;
+    // Los valores por defecto basados en secuencias pertenecen a la tabla original y no se copian.
+    if (column.default_value && !column.default_value.startsWith('nextval(')) {
+      definition += ` DEFAULT ${column.default_value}`;
+    }
+    if (!column.allow_null) {
+      definition += ' NOT NULL';
+    }
+    return definition;
+  });
+
+  const statements = [`CREATE TABLE ${quoteIdentifier(tableName)} (${columnDefinitions.join(', ')})`];
+
+  for (const foreignKey of structure.foreignKeys) {
+    statements.push(`ALTER TABLE ${quoteIdentifier(tableName)} ADD ${foreignKey.definition}`);
+  }
+
+  return statements;
+}
+
+// Ajusta la secuencia de la columna 'id' al mayor valor existente, después de copiar registros.
+async function resetIdSequence(tableName, { transaction } = {}) {
+  await sequelize.query(
+    `SELECT setval(
+       pg_get_serial_sequence(quote_ident(:tableName), 'id'),
+       COALESCE(MAX(id), 1),
+       MAX(id) IS NOT NULL
+     ) FROM ${quoteIdentifier(tableName)}`,
+    { replacements: { tableName }, transaction }
+  );
+}
+
+module.exports = { FOREIGN_KEY_ACTIONS, quoteIdentifier, describeTable, buildCreateTable, resetIdSequence };